@@ -22,15 +22,65 @@ module.exports = {
   processing: {
     maxJobsPerRun: 20,
     batchSize: 50,
-    timeoutMinutes: 30
+    timeoutMinutes: 30,
+    seenJobsTtlDays: 90  // seen_jobs.json entries not seen for this long are dropped on save
   },
 
-  // Rate limiting per domain
+  // Job-processor stores (lib/storage.js): 'json', 'sqlite' or 'memory'
+  // JOB_STORAGE_BACKEND / JOB_STORAGE_DIR override backend / dataDir
+  storage: {
+    backend: 'json',
+    dataDir: '.github/data',
+    sqliteFile: 'jobs.sqlite'
+  },
+
+  // Rate limiting per domain (enforced by lib/rate-limiter.js; subdomains match their parent)
   domains: {
     'jsearch.org': {
       requestsPerMinute: 10,
       requestsPerHour: 100
     },
+    'jsearch.p.rapidapi.com': {
+      requestsPerMinute: 10,
+      requestsPerHour: 100,
+      concurrent: 1
+    },
+    'boards-api.greenhouse.io': {
+      requestsPerMinute: 60,
+      requestsPerHour: 1000,
+      concurrent: 2
+    },
+    'api.lever.co': {
+      requestsPerMinute: 60,
+      requestsPerHour: 1000,
+      concurrent: 2
+    },
+    'api.ashbyhq.com': {
+      requestsPerMinute: 60,
+      requestsPerHour: 1000,
+      concurrent: 2
+    },
+    // Apply-link checks (lib/link-checker.js)
+    'boards.greenhouse.io': {
+      requestsPerMinute: 30,
+      requestsPerHour: 500,
+      concurrent: 2
+    },
+    'job-boards.greenhouse.io': {
+      requestsPerMinute: 30,
+      requestsPerHour: 500,
+      concurrent: 2
+    },
+    'jobs.lever.co': {
+      requestsPerMinute: 30,
+      requestsPerHour: 500,
+      concurrent: 2
+    },
+    'myworkdayjobs.com': {
+      requestsPerMinute: 20,
+      requestsPerHour: 300,
+      concurrent: 2
+    },
     'linkedin.com': {
       requestsPerMinute: 5,
       requestsPerHour: 30
@@ -20,10 +20,11 @@ module.exports = {
     'Design': 'Design'
   },
 
-  // Category keywords for classification
+  // Category keywords for classification (see lib/categorizer.js). Lists
+  // weigh 1 per keyword; use { keyword: weight } for other weights
   keywords: {
     'Mobile Development': ['ios', 'android', 'mobile', 'react native', 'flutter', 'swift', 'kotlin'],
-    'Frontend Development': ['frontend', 'front-end', 'react', 'vue', 'angular', 'ui', 'ux engineer'],
+    'Frontend Development': ['frontend', 'front-end', 'react', 'vue', 'angular', 'ux engineer'],
     'Backend Development': ['backend', 'back-end', 'api', 'server', 'microservices'],
     'Full Stack Development': ['full stack', 'fullstack', 'full-stack'],
     'Machine Learning & AI': ['machine learning', 'ml ', 'ai ', 'artificial intelligence', 'deep learning', 'nlp', 'computer vision'],
@@ -34,22 +35,82 @@ module.exports = {
     'Design': ['design', 'ux ', 'ui ', 'user experience', 'user interface', 'graphic design', 'product design']
   },
 
-  // Experience level mappings
+  // A category is ruled out when one of its negative keywords matches
+  negativeKeywords: {
+    'Design': ['api design', 'system design', 'systems design', 'database design', 'chip design', 'circuit design'],
+    'Product Management': ['product designer']
+  },
+
+  // Keyword matches in the title count titleWeight times, in the
+  // description descriptionWeight times (0 = title only)
+  categoryScoring: {
+    titleWeight: 3,
+    descriptionWeight: 1
+  },
+
+  // Experience level mappings (plain keyword lists; used by the seniority
+  // classifier only for configs without a `seniority` section)
   experienceLevels: {
     'Entry-Level': ['entry', 'junior', 'jr.', 'intern', 'internship', 'associate', 'level 1', 'l1', 'campus', 'student', 'new grad', 'graduate', 'early career', '0-2 years'],
     'Mid-Level': ['mid', 'mid-level', '3-5 years', '4-6 years'],
     'Senior': ['senior', 'sr.', 'lead', 'principal', 'staff', 'architect', '5+ years', 'senior level']
   },
 
-  // Employment type mappings
+  // Weighted seniority classifier (see lib/seniority.js). Signals are
+  // whole-word matches ('lead' does not match "leadership"; spaces and
+  // hyphens are interchangeable). A signal in the title counts titleWeight
+  // times its weight, in the description descriptionWeight times. The highest
+  // score wins; only an exact tie goes to the level listed first. Levels in
+  // needsTitleOrExperience cannot win on description signals alone ("report
+  // to an engineering manager" does not make a job Senior).
+  seniority: {
+    titleWeight: 3,
+    descriptionWeight: 1,
+    needsTitleOrExperience: ['Senior'],
+    defaultLevel: 'Entry-Level', // JSearch already filters for under_3_years_experience
+    trustSources: ['jsearch'],   // isSeniorJob skips jobs from these sources
+    // Required years of experience (see lib/experience.js) count as one more
+    // signal: the minimum years map to a level and add `weight` to it
+    experienceYears: { weight: 6, midLevelFrom: 3, seniorFrom: 5 },
+    signals: {
+      'Entry-Level': {
+        'entry level': 3, 'junior': 3, 'jr': 3, 'new grad': 3, 'recent graduate': 3,
+        'early career': 3, 'intern': 3, 'internship': 3, 'apprentice': 2, 'campus': 2,
+        'level 1': 2, 'l1': 2, 'associate': 2, 'graduate': 1, 'student': 1, 'trainee': 2
+      },
+      'Mid-Level': {
+        'mid level': 3, 'intermediate': 2, 'level 2': 2, 'l2': 1, 'ii': 1
+      },
+      'Senior': {
+        'senior': 3, 'sr': 3, 'principal': 3, 'director': 3, 'vp': 3, 'vice president': 3,
+        'head of': 3, 'distinguished': 3, 'staff': 2, 'lead': 2, 'architect': 2,
+        'manager': 2, 'level 3': 2, 'iii': 1
+      }
+    }
+  },
+
+  // Employment type mappings (see lib/employment-type.js). Whole-word
+  // matches; 'ft'/'pt' are left out because 'PT' is also physical therapy
   employmentTypes: {
-    'Full-time': ['full-time', 'full time', 'permanent', 'ft'],
-    'Part-time': ['part-time', 'part time', 'pt'],
-    'Contract': ['contract', 'contractor', 'contractor'],
+    'Full-time': ['full-time', 'permanent'],
+    'Part-time': ['part-time'],
+    'Contract': ['contract', 'contractor', 'contract-to-hire', 'temporary', 'freelance'],
     'Internship': ['internship', 'intern'],
-    'Co-op': ['co-op', 'co-op', 'coop']
+    'Co-op': ['co-op', 'coop']
+  },
+
+  // A cue in the title counts titleWeight, the source's structured field
+  // (JSearch job_employment_type, ATS employment_type) fieldWeight and a cue
+  // in the description descriptionWeight. Ties go to the type listed first.
+  employmentTypeScoring: {
+    titleWeight: 3,
+    fieldWeight: 2,
+    descriptionWeight: 1
   },
 
+  // Employment type when nothing matches
+  defaultEmploymentType: 'Full-time',
+
   // Default category when no match found
   defaultCategory: 'Software Engineering',
 
@@ -23,6 +23,7 @@ module.exports = {
   processingLimits: apiLimits.processing,
   retryConfig: apiLimits.retry,
   socketHangUp: apiLimits.socketHangUp,  // Add this export
+  storageConfig: apiLimits.storage,
   jobCategories: categories.categories,
   experienceLevels: categories.experienceLevels,
   usStates: locations.usStates,
@@ -9,22 +9,37 @@
  */
 
 const jobId = require('./lib/jobId');
+const idStrategy = require('./lib/id-strategy');
 const deduplication = require('./lib/deduplication');
+const jobMerge = require('./lib/job-merge');
+const dedupAudit = require('./lib/dedup-audit');
 const utils = require('./lib/utils');
+const seniority = require('./lib/seniority');
+const experience = require('./lib/experience');
+const categorizer = require('./lib/categorizer');
+const employmentType = require('./lib/employment-type');
+const jobSchema = require('./lib/job-schema');
 const config = require('./config');
 const logger = require('./lib/logger');
 const errorHandler = require('./lib/error-handler');
+const sources = require('./lib/sources');
 
 module.exports = {
   // Job ID generation
   ...jobId,
+  ...idStrategy,
 
   // Deduplication
   ...deduplication,
+  ...jobMerge,
+  ...dedupAudit,
 
   // Utilities
   ...utils,
 
+  // Canonical job schema
+  ...jobSchema,
+
   // Configuration
   ...config,
 
@@ -32,7 +47,10 @@ module.exports = {
   ...logger,
 
   // Error handling
-  ...errorHandler
+  ...errorHandler,
+
+  // Job sources
+  ...sources
 };
 
 // Export specific functions for convenience
@@ -41,6 +59,7 @@ module.exports.generateJobIdFromUrl = utils.generateJobIdFromUrl;
 module.exports.generateJobIdHash = utils.generateJobIdHash;
 module.exports.generateEnhancedId = utils.generateEnhancedId;
 module.exports.migrateOldJobId = utils.migrateOldJobId;
+module.exports.createIdStrategy = idStrategy.createIdStrategy;
 
 module.exports.generateFingerprint = deduplication.generateFingerprint;
 module.exports.generateJobFingerprint = utils.generateJobFingerprint;
@@ -48,6 +67,12 @@ module.exports.generateMinimalJobFingerprint = utils.generateMinimalJobFingerpri
 module.exports.isDuplicate = deduplication.isDuplicate;
 module.exports.filterDuplicates = deduplication.filterDuplicates;
 module.exports.enrichJob = deduplication.enrichJob;
+module.exports.mergeJobRecords = jobMerge.mergeJobRecords;
+module.exports.DedupAudit = dedupAudit.DedupAudit;
+
+module.exports.toCanonical = jobSchema.toCanonical;
+module.exports.fromCanonical = jobSchema.fromCanonical;
+module.exports.validateJob = jobSchema.validateJob;
 
 module.exports.normalizeCompanyName = utils.normalizeCompanyName;
 module.exports.getCompanyEmoji = utils.getCompanyEmoji;
@@ -60,7 +85,11 @@ module.exports.isJobOlderThanWeek = utils.isJobOlderThanWeek;
 module.exports.isUSOnlyJob = utils.isUSOnlyJob;
 
 module.exports.getExperienceLevel = utils.getExperienceLevel;
+module.exports.classifySeniority = seniority.classifySeniority;
+module.exports.extractExperience = experience.extractExperience;
 module.exports.getJobCategory = utils.getJobCategory;
+module.exports.categorizeJob = categorizer.categorizeJob;
+module.exports.getEmploymentType = employmentType.getEmploymentType;
 
 module.exports.delay = utils.delay;
 module.exports.initCompanyDatabase = utils.initCompanyDatabase;
@@ -78,3 +107,16 @@ module.exports.withRetry = errorHandler.withRetry;
 module.exports.parallel = errorHandler.parallel;
 module.exports.validateParams = errorHandler.validateParams;
 module.exports.createHandler = errorHandler.createHandler;
+module.exports.HttpError = errorHandler.HttpError;
+module.exports.AuthenticationError = errorHandler.AuthenticationError;
+module.exports.QuotaExceededError = errorHandler.QuotaExceededError;
+module.exports.MissingFixtureError = errorHandler.MissingFixtureError;
+module.exports.parseRetryAfter = errorHandler.parseRetryAfter;
+
+// Export job sources
+module.exports.createSourceRegistry = sources.createSourceRegistry;
+module.exports.fetchAllJobs = sources.fetchAllJobs;
+module.exports.createJSearchSource = sources.createJSearchSource;
+module.exports.createGreenhouseSource = sources.createGreenhouseSource;
+module.exports.createLeverSource = sources.createLeverSource;
+module.exports.createAshbySource = sources.createAshbySource;
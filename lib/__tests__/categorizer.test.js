@@ -0,0 +1,98 @@
+/**
+ * Unit tests for categorizer.js
+ */
+
+const { normalizeCategories, categorizeJob } = require('../categorizer');
+
+describe('Job Categorizer', () => {
+  const jobCategories = {
+    software_engineering: { title: 'Software Engineering', emoji: '💻', keywords: ['software engineer', 'developer'] },
+    frontend: { title: 'Frontend', emoji: '🎨', keywords: ['frontend', 'react'] },
+    backend: { title: 'Backend', emoji: '🔧', keywords: ['backend', 'api'] },
+    full_stack: { title: 'Full Stack', emoji: '🥞', keywords: ['full stack', 'fullstack'] },
+    design: { title: 'Design', emoji: '✏️', keywords: ['design', 'figma'], negativeKeywords: ['api design'], titleOnly: true }
+  };
+
+  test('ranks every matching category by score', () => {
+    const { category, labels } = categorizeJob({
+      title: 'Full Stack Engineer',
+      description: 'React frontend and Node backend'
+    }, { categories: jobCategories });
+
+    expect(category).toBe('full_stack');
+    expect(labels.map(({ category: key, score }) => [key, score])).toEqual([
+      ['full_stack', 3],
+      ['frontend', 2],
+      ['backend', 1]
+    ]);
+    expect(labels[0].matches).toEqual([{ keyword: 'full stack', field: 'title', weight: 3 }]);
+  });
+
+  test('is not decided by category order', () => {
+    const result = categorizeJob({ title: 'Fullstack Engineer', description: 'Builds our API with the backend team' }, { categories: jobCategories });
+    expect(result.category).toBe('full_stack');
+  });
+
+  test('keeps category order for ties', () => {
+    const result = categorizeJob({ title: 'Full Stack Developer' }, { categories: jobCategories });
+    expect(result.labels.map(label => label.category)).toEqual(['software_engineering', 'full_stack']);
+  });
+
+  test('matches whole words', () => {
+    const result = categorizeJob({ title: 'Engineer', description: 'Experience with rapid prototyping' }, { categories: jobCategories });
+    expect(result).toEqual({ category: 'Software Engineering', labels: [] });
+  });
+
+  test('negative keywords rule a category out', () => {
+    const result = categorizeJob({ title: 'API Design Engineer' }, { categories: jobCategories });
+
+    expect(result.category).toBe('backend');
+    expect(result.labels.map(label => label.category)).toEqual(['backend']);
+  });
+
+  test('titleOnly categories ignore the description', () => {
+    const result = categorizeJob({ title: 'Backend Developer', description: 'Work with our design team in Figma' }, { categories: jobCategories });
+    expect(result.labels.map(label => label.category)).not.toContain('design');
+  });
+
+  test('weights title and description matches', () => {
+    const job = { title: 'Frontend Engineer', description: 'Our backend and API platform' };
+
+    expect(categorizeJob(job, { categories: jobCategories }).category).toBe('frontend');
+    expect(categorizeJob(job, { categories: jobCategories, titleWeight: 1 }).category).toBe('backend');
+    expect(categorizeJob(job, { categories: jobCategories, descriptionWeight: 0 }).labels).toHaveLength(1);
+  });
+
+  test('supports weighted keywords', () => {
+    const categories = { ml: { keywords: { 'machine learning': 3, python: 1 } }, data: { keywords: ['python', 'sql'] } };
+    const result = categorizeJob({ title: 'Engineer', description: 'Machine learning in Python and SQL' }, { categories });
+
+    expect(result.labels.map(({ category, score }) => [category, score])).toEqual([['ml', 4], ['data', 2]]);
+  });
+
+  test('falls back to the default category', () => {
+    expect(categorizeJob({ title: 'Welder' }, { categories: jobCategories, defaultCategory: 'software_engineering' }).category)
+      .toBe('software_engineering');
+  });
+
+  describe('config/categories.js', () => {
+    test('is the default source', () => {
+      expect(categorizeJob({ title: 'iOS Engineer' }).category).toBe('Mobile Development');
+      expect(categorizeJob({ title: 'Engineer' }).category).toBe('Software Engineering');
+    });
+
+    test('"API design" is not a Design job', () => {
+      const result = categorizeJob({ title: 'Software Engineer', description: 'Own API design for our payments platform' });
+      expect(result.labels.map(label => label.category)).toEqual(['Backend Development', 'DevOps & Infrastructure']);
+    });
+
+    test('normalizes keyword lists and negative keywords', () => {
+      const categories = normalizeCategories({
+        keywords: { Design: ['design'] },
+        negativeKeywords: { Design: ['api design'] }
+      });
+
+      expect(categories).toEqual([{ key: 'Design', keywords: { design: 1 }, negativeKeywords: ['api design'], titleOnly: false }]);
+    });
+  });
+});
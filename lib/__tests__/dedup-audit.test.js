@@ -0,0 +1,167 @@
+/**
+ * Unit tests for dedup-audit.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DedupAudit, getMatchFlags } = require('../dedup-audit');
+const { filterDuplicates, isDuplicate } = require('../deduplication');
+const { DedupIndex } = require('../dedup-index');
+const { processJobs } = require('../job-processor');
+const { createJsonStorage } = require('../storage');
+
+describe('Dedup Audit', () => {
+  const job = (overrides) => ({
+    company: 'Acme',
+    title: 'Software Engineer',
+    location: 'Austin, TX',
+    url: 'https://boards.greenhouse.io/acme/jobs/1',
+    source: 'greenhouse',
+    ...overrides
+  });
+
+  describe('isDuplicate()', () => {
+    test('reports the rule and key that matched', () => {
+      const existing = filterDuplicates([job()]);
+      const result = isDuplicate(job(), existing);
+
+      expect(result.rule).toBe('id');
+      expect(result.key).toBe(existing[0].id);
+    });
+
+    test('reports fingerprint matches', () => {
+      const existing = filterDuplicates([job()]);
+      const result = isDuplicate(job({ url: 'https://example.com/careers/2' }), existing);
+
+      expect(result.rule).toBe('fingerprint');
+      expect(result.key).toBe(existing[0].fingerprint);
+    });
+
+    test('reports no rule when nothing matches', () => {
+      const result = isDuplicate(job({ title: 'Data Analyst', url: 'https://example.com/3' }), [job()]);
+
+      expect(result.isDuplicate).toBe(false);
+      expect(result.rule).toBeNull();
+    });
+
+    test('DedupIndex reports the matched key', () => {
+      const index = DedupIndex.fromJobs([job()]);
+      const result = index.findDuplicate(job({ title: 'Platform Engineer', url: 'https://www.boards.greenhouse.io/acme/jobs/1/' }));
+
+      expect(result.rule).toBe('url');
+      expect(result.key).toBe('boards.greenhouse.io/acme/jobs/1');
+    });
+  });
+
+  describe('getMatchFlags()', () => {
+    test('flags seniority differences', () => {
+      expect(getMatchFlags(job({ title: 'Senior Software Engineer' }), job())).toEqual(['seniority_mismatch', 'title_mismatch']);
+      expect(getMatchFlags(job({ title: 'Software Engineer II' }), job())).toContain('seniority_mismatch');
+    });
+
+    test('does not flag identical titles', () => {
+      expect(getMatchFlags(job(), job({ title: 'software engineer' }))).toEqual([]);
+    });
+  });
+
+  describe('filterDuplicates() with an audit', () => {
+    test('records every dropped job with its match and rule', () => {
+      const audit = new DedupAudit();
+      const unique = filterDuplicates([
+        job(),
+        job(),
+        job({ url: 'https://www.linkedin.com/jobs/view/9', source: 'jsearch' })
+      ], { audit });
+
+      expect(unique).toHaveLength(1);
+      expect(audit.decisions.map(d => d.rule)).toEqual(['id', 'fingerprint']);
+      expect(audit.decisions[1].match.url).toBe('https://boards.greenhouse.io/acme/jobs/1');
+      expect(audit.summary()).toEqual({
+        total: 2,
+        by_rule: { id: 1, fingerprint: 1 },
+        by_action: { dropped: 2 },
+        flagged: {}
+      });
+    });
+
+    test('records fuzzy scores and replaced matches', () => {
+      const audit = new DedupAudit();
+      filterDuplicates([
+        job({ title: 'Software Engineer I – Remote', url: 'https://www.linkedin.com/jobs/view/1', source: 'jsearch' }),
+        job({ title: 'Software Engineer 1 (Remote)' })
+      ], { fuzzy: true, audit });
+
+      expect(audit.decisions).toHaveLength(1);
+      expect(audit.decisions[0]).toMatchObject({ rule: 'fuzzy', action: 'replaced', score: 1 });
+    });
+
+    test('marks merged decisions', () => {
+      const audit = new DedupAudit();
+      filterDuplicates([job(), job()], { merge: true, audit });
+
+      expect(audit.decisions[0].action).toBe('merged');
+    });
+  });
+
+  describe('reports', () => {
+    test('lists seniority mismatches first in Markdown', () => {
+      const audit = new DedupAudit();
+      audit.record(job({ title: 'Senior Software Engineer' }), { match: job(), rule: 'fingerprint', reason: 'Fingerprint match' });
+
+      const markdown = audit.toMarkdown();
+      expect(markdown).toContain('Seniority mismatches');
+      expect(markdown).toContain('| fingerprint | dropped | Senior Software Engineer | Software Engineer | Acme |');
+      expect(audit.suspicious()).toHaveLength(1);
+    });
+
+    test('ignores results without a match', () => {
+      const audit = new DedupAudit();
+      expect(audit.record(job(), { isDuplicate: false, match: null })).toBeNull();
+      expect(audit.decisions).toHaveLength(0);
+    });
+
+    test('save() writes JSON and Markdown', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedup-audit-'));
+      const audit = new DedupAudit();
+      audit.record(job(), { match: job(), rule: 'id', key: 'acme-1' });
+
+      const { jsonPath, markdownPath } = audit.save(dir);
+
+      expect(JSON.parse(fs.readFileSync(jsonPath, 'utf8')).decisions[0].key).toBe('acme-1');
+      expect(fs.readFileSync(markdownPath, 'utf8')).toContain('# Dedup Audit');
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe('processJobs()', () => {
+    const fetched = (url) => ({
+      job_title: 'Software Engineer',
+      employer_name: 'Acme',
+      job_city: 'Austin',
+      job_state: 'TX',
+      job_country: 'US',
+      job_apply_link: url,
+      job_posted_at_datetime_utc: new Date().toISOString()
+    });
+
+    test('records the dedup step when audit is set', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedup-audit-run-'));
+      const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        const { currentJobs, audit } = await processJobs([
+          fetched('https://boards.greenhouse.io/acme/jobs/1'),
+          fetched('https://www.linkedin.com/jobs/view/1')
+        ], { storage: createJsonStorage({ dataDir: dir }), audit: true });
+
+        expect(currentJobs).toHaveLength(1);
+        expect(audit.summary()).toMatchObject({ total: 1, by_rule: { fingerprint: 1 } });
+        expect(fs.existsSync(path.join(dir, 'dedup-audit.json'))).toBe(true);
+      } finally {
+        consoleLogSpy.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for dedup-index.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isDuplicate } = require('../deduplication');
+const { DedupIndex, normalizeApplyUrl } = require('../dedup-index');
+
+describe('DedupIndex', () => {
+  const swe = {
+    job_title: 'Software Engineer',
+    employer_name: 'Acme',
+    job_city: 'Austin',
+    job_apply_link: 'https://boards.greenhouse.io/acme/jobs/1'
+  };
+  const pm = {
+    job_title: 'Product Manager',
+    employer_name: 'Acme',
+    job_city: 'Austin',
+    job_apply_link: 'https://boards.greenhouse.io/acme/jobs/2'
+  };
+
+  test('normalizeApplyUrl() drops www, query and trailing slash', () => {
+    expect(normalizeApplyUrl('https://www.Example.com/jobs/1/?utm=x')).toBe('example.com/jobs/1');
+    expect(normalizeApplyUrl('not a url')).toBeNull();
+  });
+
+  test('matches by ID first', () => {
+    const index = DedupIndex.fromJobs([swe, pm]);
+    const result = index.findDuplicate({ ...swe });
+
+    expect(index.size).toBe(2);
+    expect(result).toMatchObject({ isDuplicate: true, rule: 'id', match: swe });
+  });
+
+  test('matches the same apply URL under a different ID', () => {
+    const index = DedupIndex.fromJobs([swe]);
+    const result = index.findDuplicate({ ...swe, id: 'other-id', job_title: 'SWE', job_apply_link: 'https://boards.greenhouse.io/acme/jobs/1/' });
+
+    expect(result.rule).toBe('url');
+  });
+
+  test('matches by fingerprint across formats', () => {
+    const index = DedupIndex.fromJobs([swe]);
+    const primary = { title: 'Software Engineer', company_name: 'Acme', locations: ['Austin'], url: 'https://acme.com/careers/9' };
+
+    expect(index.findDuplicate(primary).rule).toBe('fingerprint');
+  });
+
+  test('isDuplicate() gives the same answer for an array and an index', () => {
+    const primary = { title: 'Software Engineer', company_name: 'Acme', locations: ['Austin'], url: 'https://acme.com/careers/9' };
+    const index = DedupIndex.fromJobs([swe]);
+
+    const fromArray = isDuplicate(primary, [swe]);
+    const fromIndex = isDuplicate(primary, index);
+    expect(fromArray).toMatchObject({ isDuplicate: true, rule: 'fingerprint' });
+    expect(fromIndex).toEqual(fromArray);
+
+    expect(isDuplicate(pm, [swe]).isDuplicate).toBe(false);
+    expect(isDuplicate(pm, index).isDuplicate).toBe(false);
+  });
+
+  test('reports the ID scheme on ID matches, as the array path does', () => {
+    const index = DedupIndex.fromJobs([swe]);
+
+    expect(index.findDuplicate({ ...swe }).reason).toBe('ID match (url-v1)');
+    expect(isDuplicate({ ...swe }, [{ ...swe, id: index.keysFor(swe).id }]).reason).toBe('ID match (url-v1)');
+  });
+
+  test('jobs without title or company do not collide', () => {
+    const index = DedupIndex.fromJobs([{ url: 'https://a.com/1' }]);
+    expect(index.findDuplicate({ url: 'https://b.com/2' }).isDuplicate).toBe(false);
+  });
+
+  test('fuzzy matching only compares the same company', () => {
+    const index = DedupIndex.fromJobs([{ ...swe, job_title: 'Software Engineer I – Remote', job_city: 'Remote' }]);
+    const near = { job_title: 'Software Engineer 1 (Remote)', employer_name: 'Acme', job_city: 'Remote' };
+
+    expect(index.findDuplicate(near).isDuplicate).toBe(false);
+    expect(index.findDuplicate(near, { fuzzy: true })).toMatchObject({ isDuplicate: true, rule: 'fuzzy', score: 1 });
+    expect(index.findDuplicate({ ...near, employer_name: 'Globex' }, { fuzzy: true }).isDuplicate).toBe(false);
+  });
+
+  test('supports incremental add and remove', () => {
+    const index = new DedupIndex();
+    const id = index.add(swe);
+
+    expect(index.get(id)).toBe(swe);
+    expect(index.remove(id)).toBe(true);
+    expect(index.remove(id)).toBe(false);
+    expect(index.findDuplicate(swe).isDuplicate).toBe(false);
+    expect(index.size).toBe(0);
+  });
+
+  test('keeps other jobs reachable when one sharing a key is removed', () => {
+    const copy = { ...swe, id: 'copy' };
+    const index = DedupIndex.fromJobs([swe, copy]);
+
+    index.remove(copy);
+
+    expect(index.findDuplicate({ ...swe, id: 'third' }).match).toBe(swe);
+  });
+
+  test('round-trips through disk', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedup-index-'));
+    const file = path.join(dir, 'index.json');
+
+    try {
+      DedupIndex.fromJobs([swe, pm]).save(file);
+      const loaded = DedupIndex.load(file);
+
+      expect(loaded.size).toBe(2);
+      expect(loaded.findDuplicate({ ...pm, id: 'x' }).rule).toBe('fingerprint');
+      expect(DedupIndex.load(path.join(dir, 'missing.json')).size).toBe(0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rehashes jobs from an index saved by an older version', () => {
+    const stale = { ...swe, id: 'swe', fingerprint: 'stale' };
+    const loaded = DedupIndex.fromJSON({
+      version: 1,
+      scheme: 'url-v1',
+      entries: [{ keys: { id: 'swe', fingerprint: 'stale' }, job: stale }]
+    });
+    const primary = { title: 'Software Engineer', company_name: 'Acme', locations: ['Austin'], url: 'https://acme.com/careers/9' };
+
+    expect(loaded.get('swe').fingerprint).toBeUndefined();
+    expect(loaded.findDuplicate(primary).rule).toBe('fingerprint');
+    expect(loaded.findDuplicate({ ...pm, fingerprint: 'stale' }).isDuplicate).toBe(false);
+  });
+
+  test('can be passed to isDuplicate() instead of an array', () => {
+    const index = DedupIndex.fromJobs([swe]);
+    expect(isDuplicate({ ...swe }, index).isDuplicate).toBe(true);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit tests for deduplication.js
+ */
+
+const {
+  generateFingerprint,
+  tokenizeTitle,
+  scoreSimilarity,
+  findNearDuplicate,
+  getSourceRank,
+  isDuplicate,
+  filterDuplicates
+} = require('../deduplication');
+
+describe('Deduplication Module', () => {
+  const remoteI = { company: 'Acme', title: 'Software Engineer I – Remote', location: 'Remote', url: 'https://www.linkedin.com/jobs/view/1' };
+  const remote1 = { company: 'Acme Inc.', title: 'Software Engineer 1 (Remote)', location: 'Remote', url: 'https://boards.greenhouse.io/acme/jobs/1' };
+
+  const jsearch = (company, title, city) => ({ employer_name: company, job_title: title, job_city: city, job_employment_type: 'FULLTIME' });
+
+  describe('generateFingerprint()', () => {
+    test('reads JSearch and primary-format fields alike', () => {
+      const primary = { company_name: 'Acme', title: 'Software Engineer', locations: ['Austin'], employment_type: 'Full-time' };
+
+      expect(generateFingerprint(jsearch('Acme', 'Software Engineer', 'Austin'))).toBe(generateFingerprint(primary));
+      expect(generateFingerprint(jsearch('Acme', 'Software Engineer', 'Austin')))
+        .not.toBe(generateFingerprint(jsearch('Globex', 'Data Analyst', 'Boston')));
+    });
+
+    test('ignores employment type cues in the description', () => {
+      const job = { company: 'Acme', title: 'Software Engineer', location: 'Austin, TX' };
+      const copy = { ...job, description: 'You will mentor our summer intern cohort.' };
+
+      expect(generateFingerprint(copy)).toBe(generateFingerprint(job));
+      expect(isDuplicate(copy, [job]).isDuplicate).toBe(true);
+      expect(generateFingerprint({ ...job, title: 'Software Engineer Intern' })).not.toBe(generateFingerprint(job));
+    });
+  });
+
+  describe('tokenizeTitle()', () => {
+    test('normalizes numerals, abbreviations and punctuation', () => {
+      expect(tokenizeTitle('Sr. Software Engineer II – Remote')).toEqual(['senior', 'software', 'engineer', '2', 'remote']);
+      expect(tokenizeTitle('Software Engineer I – Remote')).toEqual(tokenizeTitle('Software Engineer 1 (Remote)'));
+    });
+  });
+
+  describe('scoreSimilarity()', () => {
+    test('scores near-identical postings as a match on every field', () => {
+      const result = scoreSimilarity(remoteI, remote1);
+
+      expect(result.score).toBe(1);
+      expect(result.matchedFields).toEqual(['title', 'company', 'location']);
+    });
+
+    test('keeps different levels below the default threshold', () => {
+      const result = scoreSimilarity(
+        { company: 'Acme', title: 'Software Engineer I', location: 'NYC' },
+        { company: 'Acme', title: 'Software Engineer II', location: 'NYC' }
+      );
+
+      expect(result.score).toBeLessThan(0.85);
+      expect(result.matchedFields).toEqual(['company', 'location']);
+    });
+
+    test('reads legacy JSearch fields', () => {
+      const legacy = { job_title: 'Software Engineer 1 - Remote', employer_name: 'Acme', job_city: 'Remote' };
+      expect(scoreSimilarity(legacy, remoteI).score).toBe(1);
+    });
+  });
+
+  describe('findNearDuplicate()', () => {
+    test('never matches across companies', () => {
+      const other = { ...remote1, company: 'Globex' };
+      expect(findNearDuplicate(remoteI, [other], { threshold: 0.5 }).isDuplicate).toBe(false);
+    });
+
+    test('honours a custom threshold', () => {
+      const level2 = { company: 'Acme', title: 'Software Engineer 2', location: 'Remote' };
+
+      expect(findNearDuplicate(remoteI, [level2]).isDuplicate).toBe(false);
+      expect(findNearDuplicate(remoteI, [level2], { threshold: 0.7 }).isDuplicate).toBe(true);
+    });
+  });
+
+  describe('getSourceRank()', () => {
+    test('prefers ATS links over aggregators', () => {
+      expect(getSourceRank(remote1)).toBeGreaterThan(getSourceRank(remoteI));
+      expect(getSourceRank({ title: 'x', company: 'y' })).toBe(0);
+    });
+  });
+
+  describe('isDuplicate()', () => {
+    test('only reports fuzzy matches when enabled', () => {
+      expect(isDuplicate(remote1, [remoteI]).isDuplicate).toBe(false);
+
+      const result = isDuplicate(remote1, [remoteI], { fuzzy: true });
+      expect(result.isDuplicate).toBe(true);
+      expect(result.score).toBe(1);
+      expect(result.reason).toContain('Fuzzy match');
+    });
+  });
+
+  describe('filterDuplicates()', () => {
+    test('folds near-duplicates into the best-sourced copy', () => {
+      const other = { company: 'Acme', title: 'Product Manager', location: 'Remote' };
+      const unique = filterDuplicates([{ ...remoteI }, { ...other }, { ...remote1 }], { fuzzy: true });
+
+      expect(unique.map(j => j.url)).toEqual([remote1.url, undefined]);
+    });
+
+    test('keeps different JSearch-format jobs', () => {
+      const unique = filterDuplicates([jsearch('Acme', 'Software Engineer', 'Austin'), jsearch('Globex', 'Data Analyst', 'Boston')]);
+
+      expect(unique.map(j => j.employer_name)).toEqual(['Acme', 'Globex']);
+    });
+
+    test('drops a JSearch job whose primary-format copy was already seen', () => {
+      const primary = { company_name: 'Acme', title: 'Software Engineer', locations: ['Austin'], url: 'https://acme.com/careers/9' };
+      const unique = filterDuplicates([primary, { ...jsearch('Acme', 'Software Engineer', 'Austin'), job_apply_link: 'https://jobs.example.com/1' }]);
+
+      expect(unique).toEqual([primary]);
+    });
+
+    test('does not fingerprint jobs with no title or company', () => {
+      const blank = [{ url: 'https://acme.com/careers/1' }, { url: 'https://acme.com/careers/2' }];
+      const unique = filterDuplicates(blank);
+
+      expect(unique).toHaveLength(2);
+      expect(unique[0].fingerprint).toBeUndefined();
+    });
+
+    test('keeps near-duplicates without fuzzy option', () => {
+      expect(filterDuplicates([{ ...remoteI }, { ...remote1 }])).toHaveLength(2);
+    });
+  });
+});
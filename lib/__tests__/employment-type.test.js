@@ -0,0 +1,83 @@
+/**
+ * Unit tests for employment-type.js
+ */
+
+const { normalizeEmploymentType, classifyEmploymentType, getEmploymentType } = require('../employment-type');
+const { generateFingerprint } = require('../deduplication');
+
+describe('Employment Type Classifier', () => {
+  describe('normalizeEmploymentType()', () => {
+    test('maps JSearch and ATS values', () => {
+      expect(normalizeEmploymentType('FULLTIME')).toBe('Full-time');
+      expect(normalizeEmploymentType('full_time')).toBe('Full-time');
+      expect(normalizeEmploymentType('PARTTIME')).toBe('Part-time');
+      expect(normalizeEmploymentType('CONTRACTOR')).toBe('Contract');
+      expect(normalizeEmploymentType('INTERN')).toBe('Internship');
+      expect(normalizeEmploymentType('Co-op')).toBe('Co-op');
+      expect(normalizeEmploymentType('Volunteer')).toBeNull();
+      expect(normalizeEmploymentType('')).toBeNull();
+    });
+  });
+
+  test('uses the structured field', () => {
+    expect(getEmploymentType({ job_title: 'Software Engineer', job_employment_type: 'PARTTIME' })).toBe('Part-time');
+    expect(getEmploymentType({ title: 'Software Engineer', employment_type: 'Contract' })).toBe('Contract');
+    expect(getEmploymentType({ job_title: 'Software Engineer', job_employment_types: ['CONTRACTOR'] })).toBe('Contract');
+  });
+
+  test('title cues outweigh the structured field', () => {
+    const result = classifyEmploymentType({ job_title: 'Software Engineering Intern', job_employment_type: 'FULLTIME' });
+
+    expect(result.type).toBe('Internship');
+    expect(result.scores).toEqual({ 'Full-time': 2, Internship: 3 });
+    expect(result.evidence).toEqual([
+      { type: 'Internship', cue: 'intern', field: 'title', weight: 3 },
+      { type: 'Full-time', cue: 'FULLTIME', field: 'employment_type', weight: 2 }
+    ]);
+  });
+
+  test('the structured field outweighs description cues', () => {
+    expect(getEmploymentType({
+      job_title: 'Software Engineer',
+      job_employment_type: 'FULLTIME',
+      job_description: 'Many of our engineers started in our internship program.'
+    })).toBe('Full-time');
+  });
+
+  test('uses description cues when nothing else matches', () => {
+    expect(getEmploymentType({ title: 'Data Analyst', description: 'This is a 6-month contract-to-hire role.' })).toBe('Contract');
+    expect(getEmploymentType({ title: 'Data Analyst', description: 'Part time, 20 hours a week.' })).toBe('Part-time');
+  });
+
+  test('matches whole words only', () => {
+    expect(getEmploymentType({ title: 'International Sales Engineer', description: 'Internal tools and contractual terms' }))
+      .toBe('Full-time');
+    expect(classifyEmploymentType({ title: 'Physical Therapist (PT)' }).evidence).toEqual([]);
+  });
+
+  test('fields limits the text searched for cues', () => {
+    const job = { title: 'Data Analyst', description: 'This is a 6-month contract-to-hire role.' };
+
+    expect(getEmploymentType(job, { fields: ['title'] })).toBe('Full-time');
+    expect(getEmploymentType({ ...job, title: 'Contract Data Analyst' }, { fields: ['title'] })).toBe('Contract');
+  });
+
+  test('defaults to Full-time', () => {
+    expect(classifyEmploymentType({ title: 'Software Engineer' })).toEqual({ type: 'Full-time', scores: {}, evidence: [] });
+  });
+
+  test('accepts custom cues', () => {
+    const categories = { employmentTypes: { Seasonal: ['seasonal', 'summer'] }, defaultEmploymentType: 'Permanent' };
+
+    expect(getEmploymentType({ title: 'Seasonal Ranger' }, { categories })).toBe('Seasonal');
+    expect(getEmploymentType({ title: 'Ranger' }, { categories })).toBe('Permanent');
+  });
+
+  test('feeds the fingerprint', () => {
+    const job = { company: 'Acme', title: 'Software Engineer', location: 'Austin, TX' };
+
+    expect(generateFingerprint({ ...job, employment_type: 'FULLTIME' })).toBe(generateFingerprint(job));
+    expect(generateFingerprint({ ...job, employment_type: 'Full-time' })).toBe(generateFingerprint(job));
+    expect(generateFingerprint({ ...job, employment_type: 'CONTRACTOR' })).not.toBe(generateFingerprint(job));
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for error-handler.js
+ */
+
+const {
+  HttpError,
+  AuthenticationError,
+  QuotaExceededError,
+  parseRetryAfter,
+  withRetry
+} = require('../error-handler');
+
+// Short delays so retries run in real time
+const FAST = { initialDelayMs: 1, maxDelayMs: 50 };
+
+/**
+ * Function that throws each error in turn, then resolves with 'ok'
+ */
+function failing(...errors) {
+  return jest.fn(async () => {
+    if (errors.length > 0) throw errors.shift();
+    return 'ok';
+  });
+}
+
+describe('Error Handler', () => {
+  let consoleLogSpy;
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+  });
+
+  describe('parseRetryAfter()', () => {
+    test('parses delta-seconds', () => {
+      expect(parseRetryAfter('120')).toBe(120000);
+      expect(parseRetryAfter('0')).toBe(0);
+    });
+
+    test('parses an HTTP-date relative to now', () => {
+      const now = new Date('2025-01-01T00:00:00Z');
+      expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:30 GMT', now)).toBe(30000);
+    });
+
+    test('clamps a date in the past to zero', () => {
+      const now = new Date('2025-01-01T00:01:00Z');
+      expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:00 GMT', now)).toBe(0);
+    });
+
+    test('returns null for a missing or unparseable value', () => {
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter('')).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('Error classes', () => {
+    test('HttpError carries status, Retry-After and body', () => {
+      const error = new HttpError('HTTP 503', { statusCode: 503, retryAfterMs: 2000, body: 'busy' });
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('HttpError');
+      expect(error.statusCode).toBe(503);
+      expect(error.retryAfterMs).toBe(2000);
+      expect(error.body).toBe('busy');
+    });
+
+    test('HttpError defaults retryAfterMs and body', () => {
+      const error = new HttpError('HTTP 500', { statusCode: 500 });
+
+      expect(error.retryAfterMs).toBeNull();
+      expect(error.body).toBe('');
+    });
+
+    test('AuthenticationError and QuotaExceededError are HttpErrors', () => {
+      const auth = new AuthenticationError('HTTP 401', { statusCode: 401 });
+      const quota = new QuotaExceededError('HTTP 429', { statusCode: 429 });
+
+      expect(auth).toBeInstanceOf(HttpError);
+      expect(auth.name).toBe('AuthenticationError');
+      expect(auth.statusCode).toBe(401);
+      expect(quota).toBeInstanceOf(HttpError);
+      expect(quota.name).toBe('QuotaExceededError');
+    });
+  });
+
+  describe('withRetry()', () => {
+    test('retries network errors by default', async () => {
+      const error = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+      const fn = failing(error);
+
+      await expect(withRetry(fn, 'test', FAST)).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry other errors', async () => {
+      const fn = failing(new Error('Invalid JSON'));
+
+      await expect(withRetry(fn, 'test', FAST)).rejects.toThrow('Invalid JSON');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries listed status codes', async () => {
+      const fn = failing(new HttpError('HTTP 503', { statusCode: 503 }));
+
+      await expect(withRetry(fn, 'test', { ...FAST, retryableStatusCodes: [503] })).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry unlisted status codes', async () => {
+      const fn = failing(new HttpError('HTTP 400', { statusCode: 400 }));
+
+      await expect(withRetry(fn, 'test', { ...FAST, retryableStatusCodes: [503] })).rejects.toThrow('HTTP 400');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps retrying status errors whose message matches without a status list', async () => {
+      const fn = failing(new HttpError('HTTP 504 gateway timeout', { statusCode: 504 }));
+
+      await expect(withRetry(fn, 'test', FAST)).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test('gives up after maxAttempts', async () => {
+      const error = new HttpError('HTTP 500', { statusCode: 500 });
+      const fn = failing(error, error, error);
+
+      await expect(withRetry(fn, 'test', { ...FAST, maxAttempts: 2, retryableStatusCodes: [500] })).rejects.toThrow('HTTP 500');
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test('never retries AuthenticationError or QuotaExceededError', async () => {
+      const options = { ...FAST, retryableStatusCodes: [401, 429] };
+      const auth = failing(new AuthenticationError('HTTP 401 timeout', { statusCode: 401 }));
+      const quota = failing(new QuotaExceededError('HTTP 429', { statusCode: 429 }));
+
+      await expect(withRetry(auth, 'test', options)).rejects.toBeInstanceOf(AuthenticationError);
+      await expect(withRetry(quota, 'test', options)).rejects.toBeInstanceOf(QuotaExceededError);
+      expect(auth).toHaveBeenCalledTimes(1);
+      expect(quota).toHaveBeenCalledTimes(1);
+    });
+
+    test('waits the full Retry-After within maxDelayMs', async () => {
+      const fn = failing(new HttpError('HTTP 429', { statusCode: 429, retryAfterMs: 40 }));
+      const start = Date.now();
+
+      await expect(withRetry(fn, 'test', { ...FAST, retryableStatusCodes: [429] })).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(Date.now() - start).toBeGreaterThanOrEqual(35);
+    });
+
+    test('does not retry when Retry-After exceeds maxDelayMs', async () => {
+      const fn = failing(new HttpError('HTTP 429', { statusCode: 429, retryAfterMs: 3600000 }));
+
+      await expect(withRetry(fn, 'test', { ...FAST, retryableStatusCodes: [429] })).rejects.toThrow('HTTP 429');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('stops retrying when shouldRetry returns false', async () => {
+      const error = new HttpError('HTTP 503', { statusCode: 503 });
+      const fn = failing(error, error, error);
+      const shouldRetry = jest.fn((err, attempt) => attempt < 2);
+
+      await expect(withRetry(fn, 'test', { ...FAST, retryableStatusCodes: [503], shouldRetry })).rejects.toThrow('HTTP 503');
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(shouldRetry).toHaveBeenCalledWith(error, 2);
+    });
+
+    test('gives socket hang ups their own retry budget', async () => {
+      const hangUp = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+      const fn = failing(hangUp(), hangUp(), hangUp(), hangUp());
+
+      const options = { ...FAST, maxAttempts: 2, socketHangUp: { maxRetries: 4, retryDelayMs: 1, backoff: false } };
+      await expect(withRetry(fn, 'test', options)).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(5);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for experience.js
+ */
+
+const { parseExperienceRequirements, extractExperience } = require('../experience');
+
+describe('Experience Extraction', () => {
+  describe('parseExperienceRequirements()', () => {
+    const parse = text => parseExperienceRequirements(text).map(({ min, max }) => ({ min, max }));
+
+    test.each([
+      ['3+ years of experience', { min: 3, max: null }],
+      ['minimum of two years of relevant experience', { min: 2, max: null }],
+      ['1–3 yrs', { min: 1, max: 3 }],
+      ['at least 5 years of professional experience', { min: 5, max: null }],
+      ['2 to 4 years in a similar role', { min: 2, max: 4 }],
+      ['Experience: 3 years+', { min: 3, max: null }],
+      ['five or more years of experience', { min: 5, max: null }],
+      ['more than 7 years of backend experience', { min: 7, max: null }]
+    ])('parses "%s"', (text, expected) => {
+      expect(parse(text)).toEqual([expected]);
+    });
+
+    test('needs experience context for a bare "N years"', () => {
+      expect(parse('5 years of experience with SQL')).toEqual([{ min: 5, max: null }]);
+      expect(parse('Founded 10 years ago, we are growing fast.')).toEqual([]);
+      expect(parse('We offer 2 years of paid tuition. Great team.')).toEqual([]);
+    });
+
+    test('needs experience or requirement context for "over N" and "N+ years"', () => {
+      expect(parse('For over 20 years, Acme has served customers.')).toEqual([]);
+      expect(parse('Acme has 15+ years of history in fintech.')).toEqual([]);
+      expect(parse('Trusted by banks for more than 10 years.')).toEqual([]);
+      expect(parse('You have 3+ years in Python.')).toEqual([{ min: 3, max: null }]);
+      expect(parse('Requires over 4 years with Kubernetes.')).toEqual([{ min: 4, max: null }]);
+    });
+
+    test('ignores version numbers and implausible values', () => {
+      expect(parse('Experience with v2.5 years-old codebase')).toEqual([]);
+      expect(parse('99+ years of experience')).toEqual([]);
+    });
+
+    test('finds every requirement in a description', () => {
+      const text = 'You have 2+ years of Python. You have 5+ years of software development experience.';
+      expect(parseExperienceRequirements(text).map(r => r.text)).toEqual(['2+ years', '5+ years']);
+    });
+  });
+
+  describe('extractExperience()', () => {
+    test('returns null without requirements', () => {
+      expect(extractExperience({ job_title: 'Engineer', job_description: 'Great team.' })).toBeNull();
+      expect(extractExperience(null)).toBeNull();
+    });
+
+    test('combines requirements into one range', () => {
+      expect(extractExperience({ description: 'Requires 2+ years of Python and 5+ years of software development.' }))
+        .toMatchObject({ min: 5, max: null });
+      expect(extractExperience({ description: '1-3 years of experience. 2-4 years in startups.' }))
+        .toMatchObject({ min: 2, max: 4 });
+    });
+
+    test('reads JSearch job_required_experience', () => {
+      expect(extractExperience({
+        job_title: 'Engineer',
+        job_required_experience: { no_experience_required: true, required_experience_in_months: null }
+      })).toEqual({ min: 0, max: 0, requirements: [{ min: 0, max: 0, text: 'no experience required', source: 'jsearch' }] });
+
+      expect(extractExperience({
+        job_title: 'Engineer',
+        job_description: '1+ years of experience',
+        job_required_experience: { no_experience_required: false, required_experience_in_months: 36 }
+      })).toMatchObject({ min: 3, max: null, requirements: [{ source: 'description' }, { source: 'jsearch', text: '36 months' }] });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for filter-pipeline.js
+ */
+
+const {
+  DEFAULT_FILTERS,
+  normalizeCountry,
+  getJobCountry,
+  createFilterStage,
+  runFilterPipeline
+} = require('../filter-pipeline');
+const { processJobs } = require('../job-processor');
+const { createMemoryStorage } = require('../storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Filter Pipeline', () => {
+  const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+  const job = (overrides) => ({
+    job_title: 'Software Engineer',
+    employer_name: 'Acme',
+    job_city: 'Austin',
+    job_state: 'TX',
+    job_country: 'US',
+    job_description: '',
+    job_posted_at_datetime_utc: daysAgo(1),
+    job_source: 'greenhouse',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('countries', () => {
+    test('normalizes names and codes', () => {
+      expect(normalizeCountry('United States')).toBe('us');
+      expect(normalizeCountry('Canada')).toBe('ca');
+      expect(normalizeCountry('UK')).toBe('gb');
+      expect(normalizeCountry('Brazil')).toBe('brazil');
+    });
+
+    test('infers the country from US states and remote cities', () => {
+      expect(getJobCountry(job({ job_country: '' }))).toBe('us');
+      expect(getJobCountry(job({ job_country: '', job_state: '', job_city: 'Remote' }))).toBe('remote');
+      expect(getJobCountry(job({ job_country: '', job_state: '', job_city: 'Lagos' }))).toBe('');
+    });
+  });
+
+  describe('stages', () => {
+    const keeps = (stage, overrides) => createFilterStage(stage).test(job(overrides));
+
+    test('country keeps allowed countries', () => {
+      const stage = { type: 'country', allow: ['us', 'ca'] };
+      expect(keeps(stage)).toBe(true);
+      expect(keeps(stage, { job_country: 'Canada', job_state: 'ON' })).toBe(true);
+      expect(keeps(stage, { job_country: 'Germany', job_state: '' })).toBe(false);
+      expect(keeps(stage, { job_country: '', job_state: '', job_city: 'Remote' })).toBe(true);
+      expect(keeps({ ...stage, allowRemote: false }, { job_country: '', job_state: '', job_city: 'Remote' })).toBe(false);
+    });
+
+    test('seniority drops excluded levels', () => {
+      const stage = { type: 'seniority', exclude: ['Senior'] };
+      expect(keeps(stage)).toBe(true);
+      expect(keeps(stage, { job_title: 'Senior Software Engineer' })).toBe(false);
+      expect(keeps(stage, { job_title: 'Senior Software Engineer', job_source: 'jsearch' })).toBe(true);
+      expect(keeps({ ...stage, exclude: ['Senior', 'Entry-Level'] })).toBe(false);
+    });
+
+    test('seniority without exclude uses isSeniorJob', () => {
+      expect(keeps({ type: 'seniority' }, { job_title: 'Staff Engineer' })).toBe(false);
+      expect(keeps({ type: 'seniority' }, { job_title: 'Associate Staff Engineer' })).toBe(true);
+    });
+
+    test('maxAge drops jobs at or past the limit', () => {
+      expect(keeps({ type: 'maxAge', days: 7 }, { job_posted_at_datetime_utc: daysAgo(6) })).toBe(true);
+      expect(keeps({ type: 'maxAge', days: 7 }, { job_posted_at_datetime_utc: daysAgo(7) })).toBe(false);
+      expect(keeps({ type: 'maxAge', days: 7 }, { job_posted_at_datetime_utc: '' })).toBe(true);
+    });
+
+    test('keywords include and exclude', () => {
+      const stage = { type: 'keywords', include: ['nurse', 'rn'], exclude: ['travel'] };
+      expect(keeps(stage, { job_title: 'Registered Nurse' })).toBe(true);
+      expect(keeps(stage, { job_title: 'Travel Nurse' })).toBe(false);
+      expect(keeps(stage)).toBe(false);
+    });
+
+    test('employmentType include and exclude', () => {
+      const stage = { type: 'employmentType', include: ['Full-time', 'Internship'] };
+      expect(keeps(stage)).toBe(true);
+      expect(keeps(stage, { job_title: 'Software Engineering Intern' })).toBe(true);
+      expect(keeps(stage, { job_employment_type: 'CONTRACTOR' })).toBe(false);
+      expect(keeps({ type: 'employmentType', exclude: ['Contract'] }, { job_description: 'A 6-month contract role.' })).toBe(false);
+    });
+
+    test('rejects unknown types', () => {
+      expect(() => createFilterStage({ type: 'salary' })).toThrow('Unknown filter stage type: salary');
+    });
+
+    test('accepts extra stage types per call', () => {
+      const stageTypes = { company: params => j => !params.exclude.includes(j.employer_name) };
+      const stage = { type: 'company', exclude: ['Acme'] };
+
+      expect(createFilterStage(stage, stageTypes).test(job())).toBe(false);
+      expect(() => createFilterStage(stage)).toThrow('Unknown filter stage type: company');
+    });
+  });
+
+  describe('runFilterPipeline()', () => {
+    test('reports kept and dropped counts to the tracer', () => {
+      const tracer = { checkpoint: jest.fn() };
+      const result = runFilterPipeline([
+        job(),
+        job({ job_title: 'Senior Engineer' }),
+        job({ job_posted_at_datetime_utc: daysAgo(30) })
+      ], [
+        { type: 'seniority', exclude: ['Senior'] },
+        { type: 'maxAge', name: 'fresh', days: 7 }
+      ], { tracer });
+
+      expect(result.jobs).toHaveLength(1);
+      expect(result.stages.map(s => [s.name, s.kept, s.dropped])).toEqual([['seniority', 2, 1], ['fresh', 1, 1]]);
+      expect(result.dropped.fresh).toHaveLength(1);
+      expect(tracer.checkpoint).toHaveBeenCalledWith('filter_fresh', result.jobs, {
+        type: 'maxAge',
+        params: { days: 7 },
+        kept: 1,
+        dropped: 1
+      });
+    });
+
+    test('defaults to the original chain', () => {
+      expect(DEFAULT_FILTERS.map(s => s.type)).toEqual(['usOnly', 'seniority', 'maxAge']);
+    });
+  });
+
+  describe('processJobs()', () => {
+    test('uses the board filters and archives jobs dropped for age', async () => {
+      const { currentJobs, archivedJobs, stages } = await processJobs([
+        job({ job_apply_link: 'https://example.com/1' }),
+        job({ job_apply_link: 'https://example.com/2', job_country: 'Canada', job_state: 'ON' }),
+        job({ job_apply_link: 'https://example.com/3', job_posted_at_datetime_utc: daysAgo(10) })
+      ], {
+        storage: createMemoryStorage(),
+        filters: [{ type: 'country', allow: ['us'] }, { type: 'maxAge', days: 7 }]
+      });
+
+      expect(currentJobs).toHaveLength(1);
+      expect(archivedJobs.map(j => j.job_apply_link)).toEqual(['https://example.com/3']);
+      expect(stages.map(s => s.dropped)).toEqual([1, 1]);
+    });
+  });
+});
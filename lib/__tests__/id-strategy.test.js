@@ -0,0 +1,167 @@
+/**
+ * Unit tests for id-strategy.js and migrate-job-ids.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jobId = require('../jobId');
+const utils = require('../utils');
+const { isDuplicate, generateFingerprint } = require('../deduplication');
+const { generateJobId: processorJobId } = require('../job-processor');
+const { DEFAULT_ID_SCHEME, createIdStrategy } = require('../id-strategy');
+const { migrateJobIds } = require('../migrate-job-ids');
+const { createMemoryStorage } = require('../storage');
+const { DedupIndex } = require('../dedup-index');
+
+describe('Job ID Strategy', () => {
+  const withUrl = {
+    job_title: 'Software Engineer',
+    employer_name: 'Google',
+    job_city: 'Mountain View',
+    job_apply_link: 'https://careers.google.com/jobs/123/'
+  };
+  const withoutUrl = { job_title: 'Sr. Data Analyst', employer_name: 'Acme Inc.', job_city: 'New York' };
+
+  describe('createIdStrategy()', () => {
+    test('defaults to the scheme index.js exports', () => {
+      const ids = createIdStrategy();
+
+      expect(ids.scheme).toBe(DEFAULT_ID_SCHEME);
+      expect(ids.generate(withUrl)).toBe(utils.generateJobId(withUrl));
+      expect(ids.generate(withoutUrl)).toBe(utils.generateJobId(withoutUrl));
+    });
+
+    test('reproduces persisted formats', () => {
+      const bare = { company: 'Google', title: 'SWE', location: 'NYC' };
+
+      expect(createIdStrategy({ scheme: 'hash-v1' }).generate(bare)).toBe(jobId.generateJobId(bare));
+      expect(createIdStrategy({ scheme: 'url-slug-v1' }).generate(withUrl)).toBe('careers-google-com-jobs-123');
+      expect(createIdStrategy({ scheme: 'url-slug-v1' }).generate(withoutUrl)).toBe('acme-inc-sr-data-analyst-new-york');
+    });
+
+    test('generateJobId helpers are the registered schemes', () => {
+      [withUrl, withoutUrl].forEach(job => {
+        expect(utils.generateJobIdFromUrl(job)).toBe(createIdStrategy({ scheme: 'url-v1' }).generate(job));
+        expect(utils.generateJobIdHash(job)).toBe(createIdStrategy({ scheme: 'hash-canonical-v1' }).generate(job));
+        expect(jobId.generateJobId(job)).toBe(createIdStrategy({ scheme: 'hash-v1' }).generate(job));
+      });
+      expect(() => jobId.generateJobId(null)).toThrow('Job object is required');
+    });
+
+    test('rejects unknown schemes', () => {
+      expect(() => createIdStrategy({ scheme: 'md5' })).toThrow('Unknown job ID scheme');
+    });
+  });
+
+  test('deduplication and job-processor use the same IDs as callers', () => {
+    expect(processorJobId(withoutUrl)).toBe(utils.generateJobId(withoutUrl));
+
+    const existing = [{ ...withUrl, id: utils.generateJobId(withUrl) }];
+    expect(isDuplicate({ ...withUrl }, existing).isDuplicate).toBe(true);
+  });
+
+  describe('migrateJobIds()', () => {
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-ids-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('rewrites current and seen IDs from old schemes', () => {
+      const oldId = createIdStrategy({ scheme: 'url-slug-v1' }).generate(withoutUrl);
+      const newId = utils.generateJobId(withoutUrl);
+
+      fs.writeFileSync(path.join(dataDir, 'current_jobs.json'), JSON.stringify([{ ...withoutUrl, id: oldId }]));
+      fs.writeFileSync(path.join(dataDir, 'seen_jobs.json'), JSON.stringify([oldId, 'expired-job']));
+
+      const report = migrateJobIds({ dataDir });
+
+      expect(report.current).toEqual({ total: 1, changed: 1, collapsed: 0, fingerprints: 0 });
+      expect(report.seen).toEqual({ total: 2, changed: 1, unmapped: 1, collisions: [] });
+
+      const current = JSON.parse(fs.readFileSync(path.join(dataDir, 'current_jobs.json'), 'utf8'));
+      expect(current[0]).toMatchObject({ id: newId, id_scheme: 'url-v1' });
+      expect(JSON.parse(fs.readFileSync(path.join(dataDir, 'seen_jobs.json'), 'utf8'))).toEqual([newId, 'expired-job']);
+      expect(fs.existsSync(path.join(dataDir, 'seen_jobs.json.bak'))).toBe(true);
+    });
+
+    test('merges seen entries whose old IDs map to the same new ID', () => {
+      const slugId = createIdStrategy({ scheme: 'url-slug-v1' }).generate(withoutUrl);
+      const hashId = utils.generateJobIdHash(withoutUrl);
+      const newId = utils.generateJobId(withoutUrl);
+
+      fs.writeFileSync(path.join(dataDir, 'current_jobs.json'), JSON.stringify([{ ...withoutUrl, id: slugId }]));
+      fs.writeFileSync(path.join(dataDir, 'seen_jobs.json'), JSON.stringify({
+        version: 2,
+        entries: {
+          [slugId]: { first_seen: '2025-03-01T00:00:00.000Z', last_seen: '2025-03-10T00:00:00.000Z', source: 'lever', times_seen: 4 },
+          [hashId]: { first_seen: '2025-02-01T00:00:00.000Z', last_seen: '2025-02-05T00:00:00.000Z', source: 'jsearch', times_seen: 2 }
+        }
+      }));
+
+      const report = migrateJobIds({ dataDir });
+
+      expect(report.seen.collisions).toEqual([{ id: newId, from: [slugId, hashId] }]);
+      const seen = JSON.parse(fs.readFileSync(path.join(dataDir, 'seen_jobs.json'), 'utf8'));
+      expect(seen.entries).toEqual({
+        [newId]: { first_seen: '2025-02-01T00:00:00.000Z', last_seen: '2025-03-10T00:00:00.000Z', source: 'jsearch', times_seen: 6 }
+      });
+    });
+
+    test('recomputes stored fingerprints', () => {
+      const stale = { ...withoutUrl, id: utils.generateJobId(withoutUrl), fingerprint: 'stale' };
+      fs.writeFileSync(path.join(dataDir, 'current_jobs.json'), JSON.stringify([stale]));
+
+      const report = migrateJobIds({ dataDir });
+
+      expect(report.current.fingerprints).toBe(1);
+      const current = JSON.parse(fs.readFileSync(path.join(dataDir, 'current_jobs.json'), 'utf8'));
+      expect(current[0].fingerprint).toBe(generateFingerprint(withoutUrl));
+    });
+
+    test('migrates the archive, run diff and dedup index through the storage backend', () => {
+      const oldId = createIdStrategy({ scheme: 'url-slug-v1' }).generate(withoutUrl);
+      const newId = utils.generateJobId(withoutUrl);
+      const oldJob = { ...withoutUrl, id: oldId };
+      const record = { id: oldId, state: 'archived', first_seen: '2025-03-01T00:00:00.000Z', last_seen: '2025-03-02T00:00:00.000Z', history: [], job: oldJob };
+      const storage = createMemoryStorage({
+        documents: {
+          seen_jobs: [oldId],
+          job_archive: { version: 1, records: { [oldId]: record } },
+          run_diff: { version: 1, added: [], removed: [oldJob], updated: [], unchanged: [oldId] },
+          dedup_index: DedupIndex.fromJobs([oldJob], { scheme: 'url-slug-v1' }).toJSON()
+        }
+      });
+
+      const report = migrateJobIds({ storage });
+
+      // The archived job is no longer current, but its seen ID is still mapped
+      expect(report.seen).toMatchObject({ changed: 1, unmapped: 0 });
+      expect(report.archive).toEqual({ total: 1, changed: 1, collapsed: 0 });
+      expect(report.runDiff).toEqual({ total: 2, changed: 2 });
+      expect(report.dedupIndex).toEqual({ total: 1, changed: 1 });
+
+      expect(storage.read('seen_jobs')).toEqual([newId]);
+      expect(storage.read('job_archive').records[newId]).toMatchObject({ id: newId, job: { id: newId } });
+      expect(storage.read('run_diff')).toMatchObject({ removed: [{ id: newId }], unchanged: [newId] });
+      expect(DedupIndex.fromJSON(storage.read('dedup_index')).get(newId)).toMatchObject({ id: newId });
+      expect(storage.read('seen_jobs.bak')).toEqual([oldId]);
+    });
+
+    test('dry run leaves files untouched', () => {
+      const seenPath = path.join(dataDir, 'seen_jobs.json');
+      fs.writeFileSync(path.join(dataDir, 'current_jobs.json'), JSON.stringify([{ ...withoutUrl, id: 'old' }]));
+      fs.writeFileSync(seenPath, JSON.stringify({ old: true }));
+
+      const report = migrateJobIds({ dataDir, dryRun: true });
+
+      expect(report.seen.changed).toBe(1);
+      expect(JSON.parse(fs.readFileSync(seenPath, 'utf8'))).toEqual({ old: true });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for job-archive.js
+ */
+
+const { createJobArchive } = require('../job-archive');
+const { createMemoryStorage } = require('../storage');
+const { processJobs } = require('../job-processor');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Job Archive', () => {
+  let clock;
+  let storage;
+  const now = () => clock;
+  const job = (id, daysOld = 1, overrides = {}) => ({
+    id,
+    job_title: 'Software Engineer',
+    employer_name: id.startsWith('b') ? 'Beta' : 'Acme',
+    job_posted_at_datetime_utc: new Date(clock - daysOld * DAY_MS).toISOString(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    clock = Date.parse('2026-03-10T00:00:00Z');
+    storage = createMemoryStorage();
+  });
+
+  test('moves jobs through new, active, stale and archived', () => {
+    const archive = createJobArchive({ storage, now });
+
+    expect(archive.sync({ currentJobs: [job('a1')] })).toEqual({ new: 1 });
+    clock += DAY_MS;
+    expect(archive.sync({ currentJobs: [job('a1', 2)] })).toEqual({ active: 1 });
+    clock += DAY_MS;
+    expect(archive.sync({ currentJobs: [job('a1', 8)] })).toEqual({ stale: 1 });
+    clock += DAY_MS;
+    expect(archive.sync({ currentJobs: [], archivedJobs: [job('a1', 15)] })).toEqual({ archived: 1 });
+
+    const record = archive.get('a1');
+    expect(record.state).toBe('archived');
+    expect(record.history.map(entry => entry.state)).toEqual(['new', 'active', 'stale', 'archived']);
+    expect(record.first_seen).toBe('2026-03-10T00:00:00.000Z');
+    expect(record.state_changed_at).toBe('2026-03-13T00:00:00.000Z');
+  });
+
+  test('archives listed jobs that leave the current set', () => {
+    const archive = createJobArchive({ storage, now });
+    archive.sync({ currentJobs: [job('a1'), job('a2')] });
+
+    clock += DAY_MS;
+    expect(archive.sync({ currentJobs: [job('a1')] })).toEqual({ active: 1, archived: 1 });
+    expect(archive.get('a2').history[1]).toMatchObject({ state: 'archived', reason: 'left current set' });
+  });
+
+  test('queries by state and date range', () => {
+    const archive = createJobArchive({ storage, now });
+    archive.sync({ currentJobs: [], archivedJobs: [job('a1', 20)] });
+    clock += 5 * DAY_MS;
+    archive.sync({ currentJobs: [], archivedJobs: [job('b1', 20)] });
+
+    expect(archive.query({ state: 'archived' }).map(r => r.id)).toEqual(['b1', 'a1']);
+    expect(archive.jobs({ state: 'archived', from: clock - DAY_MS }).map(j => j.id)).toEqual(['b1']);
+    expect(archive.query({ state: ['new', 'active'] })).toEqual([]);
+  });
+
+  test('reports stats for a date range', () => {
+    const archive = createJobArchive({ storage, now });
+    archive.sync({ currentJobs: [job('a1')], archivedJobs: [job('b1', 20)] });
+    clock += 10 * DAY_MS;
+    archive.sync({ currentJobs: [job('a2')] });
+
+    expect(archive.stats()).toEqual({
+      total: 3,
+      byState: { archived: 2, new: 1 },
+      archivedByCompany: { Acme: 1, Beta: 1 },
+      transitions: { new: 2, archived: 2 }
+    });
+    expect(archive.stats({ from: clock - DAY_MS }).transitions).toEqual({ new: 1, archived: 1 });
+  });
+
+  test('removes jobs and rejects unknown states', () => {
+    const archive = createJobArchive({ storage, now });
+    archive.sync({ currentJobs: [job('a1')] });
+
+    expect(archive.remove('a1', 'posting closed').state).toBe('removed');
+    expect(archive.remove('missing')).toBeNull();
+    expect(() => archive.transition('a1', 'deleted')).toThrow('Unknown job state: deleted');
+  });
+
+  test('save applies retention and persists history', () => {
+    const archive = createJobArchive({ storage, now, retentionDays: 30 });
+    archive.sync({ currentJobs: [], archivedJobs: [job('a1', 20)] });
+    archive.sync({ currentJobs: [job('a2')] });
+    archive.remove('a2');
+
+    clock += 31 * DAY_MS;
+    expect(archive.save()).toEqual({ removed: 1, dropped: 1 });
+
+    const reloaded = createJobArchive({ storage, now });
+    expect(reloaded.size).toBe(1);
+    expect(reloaded.get('a1').state).toBe('removed');
+  });
+
+  test('processJobs records its runs in the archive', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const fresh = (link, daysOld) => ({
+      job_title: 'Software Engineer',
+      employer_name: 'Acme',
+      job_city: 'Austin',
+      job_state: 'TX',
+      job_apply_link: link,
+      job_posted_at_datetime_utc: new Date(Date.now() - daysOld * DAY_MS).toISOString()
+    });
+
+    const first = await processJobs([fresh('https://example.com/1', 1), fresh('https://example.com/2', 20)], { storage });
+    expect(first.archive.stats().byState).toEqual({ new: 1, archived: 1 });
+    expect(first.archivedJobs.map(j => j.job_apply_link)).toEqual(['https://example.com/2']);
+
+    const second = await processJobs([], { storage, filters: [{ type: 'maxAge', days: 14 }] });
+    expect(second.archive.get(first.currentJobs[0].id).state).toBe('active');
+    // archivedJobs is this run's aged-out jobs only; earlier ones stay in the archive
+    expect(second.archivedJobs).toEqual([]);
+    expect(second.archive.jobs({ state: 'archived' })).toHaveLength(1);
+    console.log.mockRestore();
+  });
+});
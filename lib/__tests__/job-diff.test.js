@@ -0,0 +1,131 @@
+/**
+ * Unit tests for job-diff.js
+ */
+
+const { changedFields, diffJobs, summarizeDiff, toRunDiffArtifact } = require('../job-diff');
+const { processJobs } = require('../job-processor');
+const { createMemoryStorage } = require('../storage');
+
+describe('Job Diff', () => {
+  const job = (id, overrides = {}) => ({ id, job_title: `Engineer ${id}`, employer_name: 'Acme', ...overrides });
+
+  test('splits jobs into added, removed, updated and unchanged', () => {
+    const before = [job('a'), job('b'), job('c')];
+    const after = [job('a'), job('b', { job_title: 'Staff Engineer' }), job('d')];
+
+    const diff = diffJobs(before, after);
+
+    expect(diff.added.map(j => j.id)).toEqual(['d']);
+    expect(diff.removed.map(j => j.id)).toEqual(['c']);
+    expect(diff.updated).toEqual([
+      { id: 'b', fields: ['job_title'], before: before[1], after: after[1] }
+    ]);
+    expect(diff.unchanged.map(j => j.id)).toEqual(['a']);
+    expect(summarizeDiff(diff)).toEqual({ added: 1, removed: 1, updated: 1, unchanged: 1 });
+  });
+
+  test('ignores merge provenance and link check timestamps', () => {
+    const diff = diffJobs(
+      [job('a', { link_checked_at: '2026-01-01T00:00:00.000Z' })],
+      [job('a', { link_checked_at: '2026-01-02T00:00:00.000Z', sources: [{ source: 'jsearch' }] })]
+    );
+
+    expect(diff.updated).toEqual([]);
+    expect(diff.unchanged).toHaveLength(1);
+  });
+
+  test('ignores link check results', () => {
+    const diff = diffJobs(
+      [job('a', { link_status: 'open' })],
+      [job('a', { link_status: 'closed', link_closed_reason: 'HTTP 404' })]
+    );
+
+    expect(diff.updated).toEqual([]);
+    expect(diff.unchanged).toHaveLength(1);
+  });
+
+  test('reports added and removed fields', () => {
+    expect(changedFields(job('a', { job_city: 'Austin' }), job('a', { job_state: 'TX' }))).toEqual(['job_city', 'job_state']);
+  });
+
+  test('compares nested values by content', () => {
+    const highlights = () => ({ Qualifications: ['JavaScript'] });
+    expect(changedFields(job('a', { job_highlights: highlights() }), job('a', { job_highlights: highlights() }))).toEqual([]);
+  });
+
+  test('keys jobs without an ID by their generated ID', () => {
+    const raw = { job_title: 'Engineer', employer_name: 'Acme', job_city: 'Austin', job_state: 'TX' };
+    const diff = diffJobs([raw], [{ ...raw }]);
+
+    expect(diff.unchanged).toHaveLength(1);
+  });
+
+  test('builds the run diff artifact', () => {
+    const diff = diffJobs([job('a'), job('b'), job('c')], [job('a'), job('b', { job_city: 'Austin' }), job('d')]);
+    const artifact = toRunDiffArtifact(diff, { now: () => Date.parse('2026-03-01T00:00:00Z') });
+
+    expect(artifact).toEqual({
+      version: 1,
+      generated_at: '2026-03-01T00:00:00.000Z',
+      summary: { added: 1, removed: 1, updated: 1, unchanged: 1 },
+      added: [job('d')],
+      removed: [job('c')],
+      updated: [{
+        id: 'b',
+        fields: ['job_city'],
+        changes: { job_city: { before: undefined, after: 'Austin' } },
+        job: job('b', { job_city: 'Austin' })
+      }],
+      unchanged: ['a']
+    });
+  });
+
+  describe('processJobs()', () => {
+    const recent = new Date().toISOString();
+    const fetched = (title, overrides = {}) => ({
+      job_title: title,
+      employer_name: 'Acme',
+      job_city: 'Austin',
+      job_state: 'TX',
+      job_country: 'US',
+      job_apply_link: `https://example.com/${encodeURIComponent(title)}`,
+      job_posted_at_datetime_utc: recent,
+      ...overrides
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    test('diffs each run against the previous current set', async () => {
+      const storage = createMemoryStorage();
+      await processJobs([fetched('Software Engineer'), fetched('Data Engineer')], { storage });
+
+      const { diff } = await processJobs([
+        fetched('Software Engineer', { job_description: 'Build things' }),
+        fetched('Data Engineer'),
+        fetched('Frontend Engineer')
+      ], { storage });
+
+      expect(summarizeDiff(diff)).toEqual({ added: 1, removed: 0, updated: 1, unchanged: 1 });
+      expect(diff.added[0].job_title).toBe('Frontend Engineer');
+      expect(diff.updated[0].fields).toEqual(['job_description']);
+
+      const artifact = storage.read('run_diff');
+      expect(artifact.summary).toEqual({ added: 1, removed: 0, updated: 1, unchanged: 1 });
+      expect(artifact.updated[0].changes.job_description).toEqual({ before: undefined, after: 'Build things' });
+    });
+
+    test('new_jobs only lists jobs that were not current before', async () => {
+      const storage = createMemoryStorage();
+      await processJobs([fetched('Software Engineer')], { storage });
+      await processJobs([fetched('Software Engineer'), fetched('Data Engineer')], { storage });
+
+      expect(storage.read('new_jobs').map(j => j.job_title)).toEqual(['Data Engineer']);
+    });
+  });
+});
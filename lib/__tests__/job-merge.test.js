@@ -0,0 +1,91 @@
+/**
+ * Unit tests for job-merge.js
+ */
+
+const { toCanonical } = require('../job-schema');
+const { getLinkRank, getProvenance, mergeJobRecords } = require('../job-merge');
+const { filterDuplicates } = require('../deduplication');
+const { mergeJobs } = require('../job-processor');
+
+describe('Job Merge', () => {
+  const jsearch = {
+    id: 'acme-swe',
+    job_title: 'Software Engineer',
+    employer_name: 'Acme',
+    job_city: 'Austin',
+    job_state: 'TX',
+    job_apply_link: 'https://www.linkedin.com/jobs/view/123',
+    job_description: 'Short.',
+    job_posted_at_datetime_utc: '2026-03-05T00:00:00Z',
+    job_source: 'jsearch'
+  };
+  const greenhouse = {
+    title: 'Software Engineer',
+    company_name: 'Acme',
+    locations: ['Austin, TX', 'Remote'],
+    url: 'https://boards.greenhouse.io/acme/jobs/1',
+    description: 'A much longer description of the role.',
+    date_posted: '2026-03-01T00:00:00Z',
+    source: 'greenhouse'
+  };
+
+  test('getLinkRank() prefers ATS over employer over aggregator links', () => {
+    expect(getLinkRank('https://boards.greenhouse.io/acme/jobs/1')).toBe(3);
+    expect(getLinkRank('https://acme.com/careers/1')).toBe(2);
+    expect(getLinkRank('https://www.linkedin.com/jobs/view/1')).toBe(1);
+    expect(getLinkRank('')).toBe(0);
+  });
+
+  test('mergeJobRecords() combines fields and keeps the base format', () => {
+    const merged = mergeJobRecords(jsearch, greenhouse);
+
+    expect(merged.id).toBe('acme-swe');
+    expect(merged.job_description).toBe(greenhouse.description);
+    expect(merged.job_posted_at_datetime_utc).toBe(greenhouse.date_posted);
+    expect(merged.job_apply_link).toBe(greenhouse.url);
+    expect(merged.locations).toEqual(['Austin', 'Remote']);
+    expect(merged.sources.map(s => s.source)).toEqual(['jsearch', 'greenhouse']);
+
+    // Canonical view still reads the merged values
+    expect(toCanonical(merged)).toMatchObject({ city: 'Austin', url: greenhouse.url });
+  });
+
+  test('mergeJobRecords() keeps better base values', () => {
+    const merged = mergeJobRecords(greenhouse, jsearch);
+
+    expect(merged.url).toBe(greenhouse.url);
+    expect(merged.description).toBe(greenhouse.description);
+    expect(merged.date_posted).toBe(greenhouse.date_posted);
+    expect(merged.locations).toEqual(greenhouse.locations);
+  });
+
+  test('provenance accumulates without repeats', () => {
+    const once = mergeJobRecords(jsearch, greenhouse);
+    const twice = mergeJobRecords(once, { ...greenhouse });
+
+    expect(twice.sources).toHaveLength(2);
+    expect(getProvenance({ title: 'x', company: 'y', url: 'https://www.indeed.com/1' })[0].source).toBe('indeed.com');
+  });
+
+  test('filterDuplicates({ merge: true }) merges instead of dropping', () => {
+    const a = { company: 'Acme', title: 'SWE', location: 'Austin', url: 'https://www.indeed.com/1' };
+    const b = { company: 'Acme', title: 'SWE', location: 'Austin', url: 'https://jobs.lever.co/acme/1', description: 'Details' };
+
+    const [kept] = filterDuplicates([{ ...a }, { ...b }], { merge: true });
+
+    expect(kept.url).toBe(b.url);
+    expect(kept.description).toBe('Details');
+    expect(kept.sources).toHaveLength(2);
+    expect(filterDuplicates([{ ...a }, { ...b }])[0].url).toBe(a.url);
+  });
+
+  test('mergeJobs() merges fresh jobs into persisted ones with the same ID', () => {
+    const persisted = { ...jsearch, job_description: 'The long original description.', job_posted_at_datetime_utc: '2026-03-01T00:00:00Z' };
+    const fresh = { ...jsearch };
+
+    const [merged] = mergeJobs([persisted], [fresh]);
+
+    expect(merged.job_description).toBe(persisted.job_description);
+    expect(merged.job_posted_at_datetime_utc).toBe('2026-03-01T00:00:00Z');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for job-schema.js
+ */
+
+const { detectFormat, toCanonical, fromCanonical, validateJob } = require('../job-schema');
+
+describe('Job Schema', () => {
+  const legacyJob = {
+    job_id: 'js-123',
+    job_title: 'Software Engineer',
+    employer_name: 'Google',
+    job_city: 'Mountain View',
+    job_state: 'CA',
+    job_country: 'US',
+    job_apply_link: 'https://careers.google.com/jobs/123',
+    job_description: 'Build things',
+    job_posted_at_datetime_utc: '2026-02-01T00:00:00.000Z',
+    job_employment_type: 'FULLTIME',
+    job_source: 'jsearch'
+  };
+
+  const primaryJob = {
+    title: 'Frontend Engineer',
+    company_name: 'Meta',
+    locations: ['Menlo Park, CA', 'Seattle, WA'],
+    url: 'https://metacareers.com/jobs/1'
+  };
+
+  describe('detectFormat()', () => {
+    test('detects legacy, primary and canonical jobs', () => {
+      expect(detectFormat(legacyJob)).toBe('legacy');
+      expect(detectFormat(primaryJob)).toBe('primary');
+      expect(detectFormat(toCanonical(primaryJob))).toBe('canonical');
+    });
+  });
+
+  describe('toCanonical()', () => {
+    test('maps legacy JSearch fields', () => {
+      expect(toCanonical(legacyJob)).toEqual({
+        id: null,
+        source_id: 'js-123',
+        title: 'Software Engineer',
+        company: 'Google',
+        location: 'Mountain View',
+        locations: ['Mountain View'],
+        city: 'Mountain View',
+        state: 'CA',
+        country: 'US',
+        url: 'https://careers.google.com/jobs/123',
+        description: 'Build things',
+        posted_at: '2026-02-01T00:00:00.000Z',
+        employment_type: 'FULLTIME',
+        source: 'jsearch'
+      });
+    });
+
+    test('maps primary fields and splits the first location', () => {
+      const job = toCanonical(primaryJob);
+
+      expect(job.company).toBe('Meta');
+      expect(job.location).toBe('Menlo Park, CA');
+      expect(job.locations).toEqual(['Menlo Park, CA', 'Seattle, WA']);
+      expect(job.city).toBe('Menlo Park');
+      expect(job.state).toBe('CA');
+    });
+
+    test('is idempotent', () => {
+      const once = toCanonical(legacyJob);
+      expect(toCanonical(once)).toEqual(once);
+    });
+
+    test('throws on missing job', () => {
+      expect(() => toCanonical(null)).toThrow('Job object is required');
+    });
+  });
+
+  describe('fromCanonical()', () => {
+    test('round-trips legacy jobs', () => {
+      const legacy = fromCanonical(toCanonical(legacyJob), 'legacy');
+      expect(legacy).toMatchObject(legacyJob);
+    });
+
+    test('produces primary format', () => {
+      const primary = fromCanonical(legacyJob, 'primary');
+
+      expect(primary.title).toBe('Software Engineer');
+      expect(primary.company_name).toBe('Google');
+      expect(primary.locations).toEqual(['Mountain View']);
+      expect(primary.url).toBe(legacyJob.job_apply_link);
+    });
+
+    test('rejects unknown formats', () => {
+      expect(() => fromCanonical(legacyJob, 'xml')).toThrow('Unknown job format');
+    });
+  });
+
+  describe('validateJob()', () => {
+    test('accepts a complete job', () => {
+      expect(validateJob(legacyJob)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('reports missing fields and bad values', () => {
+      const result = validateJob({ title: '', url: 'not a url', posted_at: 'yesterday-ish' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Missing required field: title',
+        'Missing required field: company',
+        'Invalid url: not a url',
+        'Invalid posted_at: yesterday-ish'
+      ]);
+    });
+
+    test('accepts relative posted dates', () => {
+      expect(validateJob({ ...primaryJob, posted_at: '3d' }).valid).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for jsearch-budget.js
+ */
+
+const {
+  resolveQueryConfig,
+  buildSearchParams,
+  computeRunBudget,
+  planJSearchRun
+} = require('../jsearch-budget');
+
+describe('JSearch Budget', () => {
+  describe('resolveQueryConfig()', () => {
+    test('applies defaults to a plain query string', () => {
+      const config = resolveQueryConfig('software engineer');
+
+      expect(config.query).toBe('software engineer');
+      expect(config.datePosted).toBe('month');
+      expect(config.numPages).toBe(3);
+    });
+
+    test('per-query overrides win over fetcher defaults', () => {
+      const config = resolveQueryConfig({ query: 'nurse', datePosted: 'week' }, { datePosted: 'today', remoteOnly: true });
+
+      expect(config.datePosted).toBe('week');
+      expect(config.remoteOnly).toBe(true);
+    });
+
+    test('throws when query is missing', () => {
+      expect(() => resolveQueryConfig({ datePosted: 'week' })).toThrow('query string');
+    });
+  });
+
+  describe('buildSearchParams()', () => {
+    test('matches the historical default request', () => {
+      const params = buildSearchParams(resolveQueryConfig('data scientist'));
+
+      expect(params.get('query')).toBe('data scientist United States');
+      expect(params.get('employment_types')).toBe('FULLTIME,PARTTIME,INTERN');
+      expect(params.get('num_pages')).toBe('3');
+      expect(params.get('date_posted')).toBe('month');
+      expect(params.get('country')).toBe('us');
+      expect(params.has('remote_jobs_only')).toBe(false);
+    });
+
+    test('adds remote and experience filters', () => {
+      const params = buildSearchParams(resolveQueryConfig({
+        query: 'swe',
+        remoteOnly: true,
+        jobRequirements: ['under_3_years_experience', 'no_experience']
+      }), 4);
+
+      expect(params.get('page')).toBe('4');
+      expect(params.get('remote_jobs_only')).toBe('true');
+      expect(params.get('job_requirements')).toBe('under_3_years_experience,no_experience');
+    });
+  });
+
+  describe('computeRunBudget()', () => {
+    test('defaults to one request per run', () => {
+      expect(computeRunBudget({ maxRequestsPerDay: 30, requestsUsedToday: 5 })).toBe(1);
+      expect(computeRunBudget({ maxRequestsPerDay: 30, requestsUsedToday: 30 })).toBe(0);
+    });
+
+    test('paces the quota across runs', () => {
+      const noon = new Date(Date.UTC(2026, 1, 1, 12, 0));
+
+      // 96 runs/day, run index 48 at noon: (49 * 100) / 96 = 51 allowed so far
+      expect(computeRunBudget({ maxRequestsPerDay: 100, requestsUsedToday: 40, runsPerDay: 96, now: noon })).toBe(11);
+      expect(computeRunBudget({ maxRequestsPerDay: 100, requestsUsedToday: 60, runsPerDay: 96, now: noon })).toBe(0);
+    });
+
+    test('paces from the start of the daily quota window', () => {
+      // Quota resets at 08:00 UTC; at 09:00 only the first of 4 runs has come round
+      const now = new Date(Date.UTC(2026, 1, 1, 9, 0));
+      const windowStart = new Date(Date.UTC(2026, 1, 1, 8, 0));
+
+      expect(computeRunBudget({ maxRequestsPerDay: 100, requestsUsedToday: 0, runsPerDay: 4, now, windowStart })).toBe(25);
+      expect(computeRunBudget({ maxRequestsPerDay: 100, requestsUsedToday: 0, runsPerDay: 4, now })).toBe(50);
+    });
+
+    test('respects maxRequestsPerRun', () => {
+      const lastRun = new Date(Date.UTC(2026, 1, 1, 23, 59));
+      expect(computeRunBudget({ maxRequestsPerDay: 100, requestsUsedToday: 0, runsPerDay: 4, maxRequestsPerRun: 5, now: lastRun })).toBe(5);
+    });
+  });
+
+  describe('planJSearchRun()', () => {
+    test('rotates queries from the cursor', () => {
+      const { calls, nextCursor } = planJSearchRun(['a', 'b', 'c'], 2, { cursor: 2 });
+
+      expect(calls.map(c => c.queryConfig.query)).toEqual(['c', 'a']);
+      expect(nextCursor).toBe(1);
+    });
+
+    test('requests later pages once every query has run', () => {
+      const { calls } = planJSearchRun(['a', { query: 'b', numPages: 2 }], 4);
+
+      expect(calls.map(c => [c.queryConfig.query, c.page])).toEqual([['a', 1], ['b', 1], ['a', 4], ['b', 3]]);
+    });
+
+    test('returns no calls without budget', () => {
+      expect(planJSearchRun(['a'], 0).calls).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for jsearch-fixtures.js (record/replay)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createJSearchFetcher = require('../jsearch-fetcher');
+const { buildSearchParams, resolveQueryConfig } = require('../jsearch-budget');
+const { createRateLimiter } = require('../rate-limiter');
+const { MissingFixtureError } = require('../error-handler');
+const {
+  fixtureKey,
+  saveFixture,
+  loadFixture,
+  createReplayServer
+} = require('../jsearch-fixtures');
+
+describe('JSearch Fixtures', () => {
+  let tmpDir;
+  let fixturesDir;
+
+  const createFetcher = (queries, options) => createJSearchFetcher(queries, 'test-key', {
+    ledgerFile: path.join(tmpDir, 'ledger.json'),
+    usageFile: path.join(tmpDir, 'usage.json'),
+    rateLimiter: createRateLimiter({ stateFile: null }),
+    ...options
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsearch-fixtures-'));
+    fixturesDir = path.join(tmpDir, 'fixtures');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('fixtureKey()', () => {
+    test('ignores parameter order', () => {
+      expect(fixtureKey('query=swe&page=2')).toBe(fixtureKey('page=2&query=swe'));
+      expect(fixtureKey('query=swe&page=2')).toMatch(/^swe-p2-[0-9a-f]{12}$/);
+    });
+
+    test('differs when any param differs', () => {
+      expect(fixtureKey({ query: 'swe', date_posted: 'week' })).not.toBe(fixtureKey({ query: 'swe', date_posted: 'month' }));
+    });
+  });
+
+  describe('saveFixture() / loadFixture()', () => {
+    test('round-trips a response without transport headers', () => {
+      saveFixture(fixturesDir, { query: 'swe' }, {
+        statusCode: 200,
+        headers: { 'content-length': '11', 'x-ratelimit-requests-remaining': '9' },
+        body: '{"data":[]}'
+      });
+
+      const fixture = loadFixture(fixturesDir, { query: 'swe' });
+      expect(fixture.response.body).toBe('{"data":[]}');
+      expect(fixture.response.headers).toEqual({ 'x-ratelimit-requests-remaining': '9' });
+      expect(loadFixture(fixturesDir, { query: 'other' })).toBeNull();
+    });
+  });
+
+  describe('createReplayServer()', () => {
+    test('serves recorded responses to the fetcher and records them again', async () => {
+      const params = buildSearchParams(resolveQueryConfig('software engineer'), 1);
+      saveFixture(fixturesDir, params, {
+        statusCode: 200,
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ data: [{ job_title: 'Software Engineer', employer_name: 'Acme' }] })
+      });
+
+      const server = createReplayServer(fixturesDir);
+      const baseUrl = await server.start();
+      const recordDir = path.join(tmpDir, 'recorded');
+
+      try {
+        const fetcher = createFetcher(['software engineer'], { baseUrl, recordFixturesDir: recordDir });
+        const jobs = await fetcher.fetchAllJSearchJobs();
+
+        expect(jobs).toEqual([{ job_title: 'Software Engineer', employer_name: 'Acme' }]);
+        expect(server.requests[0].params.query).toBe('software engineer United States');
+        expect(loadFixture(recordDir, params).response.statusCode).toBe(200);
+      } finally {
+        await server.stop();
+      }
+    });
+
+    test('fails the run with MissingFixtureError for requests without a fixture', async () => {
+      const server = createReplayServer(fixturesDir);
+      const baseUrl = await server.start();
+
+      try {
+        const error = await createFetcher(['missing'], { baseUrl }).fetchAllJSearchJobs().catch(e => e);
+
+        expect(error).toBeInstanceOf(MissingFixtureError);
+        expect(error.statusCode).toBe(404);
+        expect(error.message).toContain('missing-united-states-p1-');
+        expect(server.requests).toHaveLength(1);
+      } finally {
+        await server.stop();
+      }
+    });
+
+    test('replay runs keep the quota ledger in memory', async () => {
+      const params = buildSearchParams(resolveQueryConfig('software engineer'), 1);
+      saveFixture(fixturesDir, params, { statusCode: 200, headers: {}, body: JSON.stringify({ data: [] }) });
+
+      const server = createReplayServer(fixturesDir);
+      const baseUrl = await server.start();
+      const cwd = process.cwd();
+      process.chdir(tmpDir);
+
+      try {
+        const fetcher = createJSearchFetcher(['software engineer'], 'replay', { baseUrl, replay: true });
+        await fetcher.fetchAllJSearchJobs();
+
+        expect(server.requests).toHaveLength(1);
+        expect(fetcher.getUsageReport().daily.total).toBe(1);
+        expect(fs.existsSync(path.join(tmpDir, '.github'))).toBe(false);
+      } finally {
+        process.chdir(cwd);
+        await server.stop();
+      }
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * End-to-end tests for the JSearch fetcher against jsearch-mock-server.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createJSearchFetcher = require('../jsearch-fetcher');
+const { createRateLimiter } = require('../rate-limiter');
+const { AuthenticationError, QuotaExceededError } = require('../error-handler');
+const { generateJobs, createMockJSearchServer } = require('../jsearch-mock-server');
+
+describe('Mock JSearch Server', () => {
+  let tmpDir;
+  let server;
+  let baseUrl;
+
+  const createFetcher = (options = {}) => createJSearchFetcher(['software engineer'], options.apiKey || 'test-key', {
+    baseUrl,
+    ledgerFile: path.join(tmpDir, 'ledger.json'),
+    usageFile: path.join(tmpDir, 'usage.json'),
+    rateLimiter: createRateLimiter({ stateFile: null }),
+    timeoutMs: 200,
+    retryConfig: { maxAttempts: 4, initialDelayMs: 1, maxDelayMs: 10 },
+    socketHangUp: { maxRetries: 2, retryDelayMs: 1 },
+    queryDefaults: { numPages: 1 },
+    ...options
+  });
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsearch-mock-'));
+    server = createMockJSearchServer({ apiKey: 'test-key', pageSize: 5 });
+    baseUrl = await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('generateJobs() is deterministic per page', () => {
+    expect(generateJobs('swe', 2, 3)).toEqual(generateJobs('swe', 2, 3));
+    expect(generateJobs('swe', 2, 3)[0].job_id).toBe('mock-swe-3');
+  });
+
+  test('returns a page of synthetic jobs', async () => {
+    const jobs = await createFetcher().fetchAllJSearchJobs();
+
+    expect(jobs).toHaveLength(5);
+    expect(server.requests[0].params.query).toBe('software engineer United States');
+    expect(server.requests[0].key).toBe('test-key');
+  });
+
+  test('rejects a wrong key with AuthenticationError', async () => {
+    await expect(createFetcher({ apiKey: 'wrong' }).fetchAllJSearchJobs()).rejects.toBeInstanceOf(AuthenticationError);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('retries 5xx, rate limits and socket resets', async () => {
+    server.enqueue(
+      { type: 'status', statusCode: 503, headers: { 'retry-after': '0' } },
+      { type: 'reset' },
+      { type: 'rateLimit', retryAfter: 0 },
+      { type: 'jobs', count: 2 }
+    );
+
+    const jobs = await createFetcher().fetchAllJSearchJobs();
+
+    expect(jobs).toHaveLength(2);
+    expect(server.requests).toHaveLength(4);
+  });
+
+  test('does not retry past the daily request limit', async () => {
+    server.enqueue(
+      { type: 'status', statusCode: 503, headers: { 'retry-after': '0' } },
+      { type: 'status', statusCode: 503, headers: { 'retry-after': '0' } },
+      { type: 'jobs', count: 2 }
+    );
+
+    const fetcher = createFetcher({ maxRequestsPerDay: 2, runsPerDay: 1 });
+    const jobs = await fetcher.fetchAllJSearchJobs();
+
+    expect(jobs).toEqual([]);
+    expect(server.requests).toHaveLength(2);
+    expect(fetcher.getUsageReport().daily.total).toBe(2);
+  });
+
+  test('counts requests from a legacy usage file dated today', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'usage.json'), JSON.stringify({ date: new Date().toDateString(), requests: 2, query_cursor: 0 }));
+
+    const fetcher = createFetcher({ maxRequestsPerDay: 2 });
+
+    expect(await fetcher.fetchAllJSearchJobs()).toEqual([]);
+    expect(server.requests).toHaveLength(0);
+    expect(fetcher.getUsageReport().daily.byStatus).toEqual({ legacy: 2 });
+
+    // Carried over once, not again on the next run
+    await fetcher.fetchAllJSearchJobs();
+    expect(fetcher.getUsageReport().daily.total).toBe(2);
+  });
+
+  test('ignores legacy usage from an earlier day', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'usage.json'), JSON.stringify({ date: 'Mon Jan 05 2026', requests: 2, query_cursor: 0 }));
+
+    const jobs = await createFetcher({ maxRequestsPerDay: 2 }).fetchAllJSearchJobs();
+
+    expect(jobs).toHaveLength(5);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('retries slow responses after the timeout', async () => {
+    server.enqueue({ type: 'slow', delayMs: 1000 }, { type: 'jobs', count: 1 });
+
+    const jobs = await createFetcher().fetchAllJSearchJobs();
+
+    expect(jobs).toHaveLength(1);
+    expect(server.requests).toHaveLength(2);
+  });
+
+  test('stop() clears pending slow responses', async () => {
+    const setSpy = jest.spyOn(global, 'setTimeout');
+    const clearSpy = jest.spyOn(global, 'clearTimeout');
+    server.enqueue({ type: 'slow', delayMs: 60000 });
+
+    const request = createFetcher({ retryConfig: { maxAttempts: 1 }, socketHangUp: { maxRetries: 0 } }).fetchAllJSearchJobs();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await server.stop();
+    await request;
+
+    const slowTimer = setSpy.mock.results[setSpy.mock.calls.findIndex(([, ms]) => ms === 60000)].value;
+    expect(server.requests).toHaveLength(1);
+    expect(clearSpy).toHaveBeenCalledWith(slowTimer);
+    setSpy.mockRestore();
+    clearSpy.mockRestore();
+  });
+
+  test('does not retry malformed JSON', async () => {
+    server.enqueue('malformed');
+
+    const jobs = await createFetcher().fetchAllJSearchJobs();
+
+    expect(jobs).toEqual([]);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('stops the run with QuotaExceededError once the plan is used up', async () => {
+    await server.stop();
+    server = createMockJSearchServer({ apiKey: 'test-key', quota: 1 });
+    baseUrl = await server.start();
+
+    const fetcher = createFetcher({ maxRequestsPerDay: 10, runsPerDay: 1 });
+
+    await expect(fetcher.fetchAllJSearchJobs()).rejects.toBeInstanceOf(QuotaExceededError);
+    expect(server.requests).toHaveLength(2);
+    expect(fetcher.getUsageReport().daily.byStatus).toEqual({ 200: 1, 429: 1 });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for link-checker.js
+ */
+
+const http = require('http');
+const { classifyLinkResponse, checkApplyLink, checkJobLinks, isClosedJob } = require('../link-checker');
+const { createRateLimiter } = require('../rate-limiter');
+const { createJobArchive } = require('../job-archive');
+const { createMemoryStorage } = require('../storage');
+
+describe('Link Checker', () => {
+  describe('classifyLinkResponse()', () => {
+    const classify = (url, finalUrl, statusCode = 200, body = '') => classifyLinkResponse({ url, finalUrl, statusCode, body });
+
+    test('treats 404 and 410 as closed', () => {
+      expect(classify('https://example.com/jobs/1', null, 404)).toEqual({ status: 'closed', reason: 'HTTP 404' });
+      expect(classify('https://example.com/jobs/1', null, 410).status).toBe('closed');
+    });
+
+    test('recognises Greenhouse board redirects', () => {
+      expect(classify('https://boards.greenhouse.io/acme/jobs/123', 'https://boards.greenhouse.io/acme?error=true').status).toBe('closed');
+      expect(classify('https://boards.greenhouse.io/acme/jobs/123', 'https://job-boards.greenhouse.io/acme/jobs/123').status).toBe('open');
+    });
+
+    test('treats Greenhouse embed and gh_jid redirects as open', () => {
+      const url = 'https://boards.greenhouse.io/acme/jobs/123';
+
+      expect(classify(url, 'https://boards.greenhouse.io/embed/job_app?for=acme&token=123')).toEqual({ status: 'open', reason: 'HTTP 200' });
+      expect(classify(url, 'https://boards.greenhouse.io/acme?gh_jid=123').status).toBe('open');
+      expect(classify(url, 'https://boards.greenhouse.io/acme?gh_jid=123&error=true').status).toBe('closed');
+      expect(classify(url, 'https://boards.greenhouse.io/acme').status).toBe('closed');
+      expect(classify(url, 'https://boards.greenhouse.io/embed/job_board?for=acme').status).toBe('closed');
+    });
+
+    test('recognises Lever company-page redirects', () => {
+      expect(classify('https://jobs.lever.co/acme/0f1e2d', 'https://jobs.lever.co/acme').reason).toBe('Lever redirected to the company page');
+    });
+
+    test('recognises Workday redirects and missing pages', () => {
+      const posting = 'https://acme.wd5.myworkdayjobs.com/en-US/External/job/Austin-TX/Engineer_R123';
+      expect(classify(posting, 'https://acme.wd5.myworkdayjobs.com/en-US/External').status).toBe('closed');
+      expect(classify(posting, posting, 200, '<p>The page you are looking for doesn\'t exist.</p>').status).toBe('closed');
+    });
+
+    test('recognises careers-homepage redirects and closed-posting text', () => {
+      expect(classify('https://acme.com/careers/engineer-123', 'https://acme.com/careers').status).toBe('closed');
+      expect(classify('https://acme.com/careers/engineer-123', 'https://acme.com/').status).toBe('closed');
+      expect(classify('https://acme.com/jobs/1', null, 200, 'This job is no longer accepting applications').reason)
+        .toBe('Page says "no longer accepting applications"');
+      expect(classify('https://acme.com/jobs/1', null, 200, 'The position has been filled.').status).toBe('closed');
+    });
+
+    test('never closes on transient failures', () => {
+      expect(classify('https://acme.com/jobs/1', null, 429).status).toBe('unknown');
+      expect(classify('https://acme.com/jobs/1', null, 503).status).toBe('unknown');
+      expect(classify('https://acme.com/jobs/1', null, null).status).toBe('unknown');
+    });
+
+    test('treats other 2xx pages as open', () => {
+      expect(classify('https://acme.com/jobs/1', 'https://acme.com/jobs/1?src=x', 200, 'Apply now')).toEqual({ status: 'open', reason: 'HTTP 200' });
+    });
+  });
+
+  describe('against a local server', () => {
+    let server;
+    let baseUrl;
+    const methods = [];
+    const rateLimiter = () => createRateLimiter({ stateFile: null });
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        methods.push(`${req.method} ${req.url}`);
+
+        if (req.url === '/jobs/open') {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(req.method === 'HEAD' ? undefined : '<h1>Apply now</h1>');
+        } else if (req.url === '/jobs/text') {
+          if (req.method === 'HEAD') {
+            res.writeHead(405);
+            res.end();
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end('<p>Sorry, this position is no longer available.</p>');
+        } else if (req.url === '/careers/engineer/42') {
+          res.writeHead(302, { Location: '/careers' });
+          res.end();
+        } else if (req.url === '/careers') {
+          res.writeHead(200);
+          res.end('Careers');
+        } else if (req.url === '/busy') {
+          res.writeHead(503);
+          res.end();
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      });
+
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('uses HEAD and falls back to GET', async () => {
+      const open = await checkApplyLink(`${baseUrl}/jobs/open`, { rateLimiter: rateLimiter() });
+      const text = await checkApplyLink(`${baseUrl}/jobs/text`, { rateLimiter: rateLimiter() });
+
+      expect(open).toMatchObject({ status: 'open', statusCode: 200 });
+      expect(text).toMatchObject({ status: 'closed', statusCode: 200 });
+      expect(methods).toEqual(expect.arrayContaining(['HEAD /jobs/open', 'HEAD /jobs/text', 'GET /jobs/text']));
+    });
+
+    test('follows redirects', async () => {
+      const result = await checkApplyLink(`${baseUrl}/careers/engineer/42`, { rateLimiter: rateLimiter() });
+      expect(result).toMatchObject({ status: 'closed', reason: 'Redirected to careers homepage', finalUrl: `${baseUrl}/careers` });
+    });
+
+    test('reports rate-limited hosts as unknown instead of waiting', async () => {
+      const limiter = createRateLimiter({
+        stateFile: null,
+        limits: { domains: {}, default: { requestsPerMinute: 1, requestsPerHour: 1, concurrent: 1 } }
+      });
+
+      await checkApplyLink(`${baseUrl}/jobs/open`, { rateLimiter: limiter });
+      const second = await checkApplyLink(`${baseUrl}/jobs/open`, { rateLimiter: limiter, maxWaitMs: 0 });
+
+      expect(second.status).toBe('unknown');
+    });
+
+    test('checkJobLinks marks closed jobs and removes them from the archive', async () => {
+      const storage = createMemoryStorage();
+      const archive = createJobArchive({ storage });
+      const jobs = [
+        { id: 'open', job_apply_link: `${baseUrl}/jobs/open` },
+        { id: 'gone', job_apply_link: `${baseUrl}/jobs/gone` },
+        { id: 'busy', job_apply_link: `${baseUrl}/busy` },
+        { id: 'recent', job_apply_link: `${baseUrl}/jobs/gone`, link_checked_at: new Date().toISOString() }
+      ];
+      archive.sync({ currentJobs: jobs });
+
+      const result = await checkJobLinks(jobs, { rateLimiter: rateLimiter(), archive });
+
+      expect(result.open.map(j => j.id)).toEqual(['open']);
+      expect(result.closed.map(j => j.id)).toEqual(['gone']);
+      expect(result.unknown.map(j => j.id)).toEqual(['busy']);
+      expect(result.skipped.map(j => j.id)).toEqual(['recent']);
+
+      expect(jobs[1]).toMatchObject({ link_status: 'closed', link_closed_reason: 'HTTP 404' });
+      expect(jobs[2].link_checked_at).toBeUndefined();
+      expect(isClosedJob(jobs[1])).toBe(true);
+      expect(archive.get('gone')).toMatchObject({ state: 'removed' });
+    });
+  });
+});
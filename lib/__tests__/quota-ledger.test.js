@@ -0,0 +1,139 @@
+/**
+ * Unit tests for quota-ledger.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getWindow,
+  summarizeUsage,
+  loadLedger,
+  createQuotaLedger
+} = require('../quota-ledger');
+
+describe('Quota Ledger', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-ledger-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('getWindow()', () => {
+    test('daily window starts at the reset hour', () => {
+      const early = getWindow('daily', { now: Date.UTC(2026, 2, 10, 3), resetHourUtc: 5 });
+      expect(early.start.toISOString()).toBe('2026-03-09T05:00:00.000Z');
+      expect(early.end.toISOString()).toBe('2026-03-10T05:00:00.000Z');
+    });
+
+    test('monthly window follows the plan renewal day', () => {
+      const window = getWindow('monthly', { now: Date.UTC(2026, 0, 10), monthlyResetDay: 14 });
+      expect(window.start.toISOString()).toBe('2025-12-14T00:00:00.000Z');
+      expect(window.end.toISOString()).toBe('2026-01-14T00:00:00.000Z');
+    });
+
+    test('clamps renewal day to short months', () => {
+      const window = getWindow('monthly', { now: Date.UTC(2026, 1, 28, 12), monthlyResetDay: 31 });
+      expect(window.start.toISOString()).toBe('2026-02-28T00:00:00.000Z');
+      expect(window.end.toISOString()).toBe('2026-03-31T00:00:00.000Z');
+    });
+  });
+
+  describe('summarizeUsage()', () => {
+    test('splits usage by board and status', () => {
+      const entries = [
+        { timestamp: '2026-03-10T01:00:00Z', board: 'a', status: 200, result_count: 10 },
+        { timestamp: '2026-03-10T02:00:00Z', board: 'b', status: 429, result_count: 0 },
+        { timestamp: '2026-03-02T02:00:00Z', board: 'a', status: 200, result_count: 5 },
+        { timestamp: '2026-02-20T02:00:00Z', board: 'a', status: 200, result_count: 5 }
+      ];
+
+      const usage = summarizeUsage(entries, { now: Date.UTC(2026, 2, 10, 12), monthlyLimit: 200 });
+
+      expect(usage.daily.total).toBe(2);
+      expect(usage.daily.byStatus).toEqual({ 200: 1, 429: 1 });
+      expect(usage.monthly.byBoard).toEqual({ a: 2, b: 1 });
+      expect(usage.monthly.results).toBe(15);
+      expect(usage.monthly.remaining).toBe(197);
+      expect(usage.monthly.percentUsed).toBe(1.5);
+    });
+  });
+
+  describe('createQuotaLedger()', () => {
+    test('records requests and counts them per window', () => {
+      let now = Date.UTC(2026, 2, 10, 23);
+      const ledger = createQuotaLedger({ file: path.join(tmpDir, 'ledger.json'), board: 'a', now: () => now });
+
+      ledger.record({ query: 'swe', page: 1, status: 200, result_count: 10 });
+      ledger.record({ query: 'swe', page: 2, status: 500, result_count: 0 });
+      now = Date.UTC(2026, 2, 11, 1);
+      ledger.record({ query: 'pm', page: 1, status: 200, result_count: 3 });
+
+      expect(ledger.count('daily')).toBe(1);
+      expect(ledger.count('monthly')).toBe(3);
+      expect(ledger.entries()[0]).toMatchObject({ timestamp: '2026-03-10T23:00:00.000Z', board: 'a', query: 'swe' });
+    });
+
+    test('file: null keeps the ledger in memory', () => {
+      const cwd = process.cwd();
+      process.chdir(tmpDir);
+
+      try {
+        const ledger = createQuotaLedger({ file: null });
+        ledger.record({ query: 'swe', status: 200, result_count: 1 });
+        ledger.save();
+
+        expect(ledger.count('daily')).toBe(1);
+        expect(fs.readdirSync(tmpDir)).toEqual([]);
+      } finally {
+        process.chdir(cwd);
+      }
+    });
+
+    test('currentWindow() starts at the reset hour', () => {
+      const ledger = createQuotaLedger({ file: path.join(tmpDir, 'ledger.json'), resetHourUtc: 8, now: () => Date.UTC(2026, 2, 11, 5) });
+
+      expect(ledger.currentWindow('daily').start.toISOString()).toBe('2026-03-10T08:00:00.000Z');
+    });
+
+    test('persists entries and state, dropping expired entries', () => {
+      const file = path.join(tmpDir, 'ledger.json');
+      let now = Date.UTC(2026, 0, 1);
+      const ledger = createQuotaLedger({ file, board: 'a', retentionDays: 30, now: () => now });
+
+      ledger.record({ query: 'old', status: 200, result_count: 1 });
+      now = Date.UTC(2026, 2, 1);
+      ledger.record({ query: 'new', status: 200, result_count: 1 });
+      ledger.setState({ query_cursor: 4 });
+      ledger.save();
+
+      const reloaded = createQuotaLedger({ file, board: 'a', now: () => now });
+      expect(reloaded.entries().map(e => e.query)).toEqual(['new']);
+      expect(reloaded.getState()).toEqual({ query_cursor: 4 });
+      expect(loadLedger(file).board).toBe('a');
+    });
+
+    test('only counts this board', () => {
+      const file = path.join(tmpDir, 'ledger.json');
+      const now = () => Date.UTC(2026, 2, 10);
+      const other = createQuotaLedger({ file, board: 'other', now });
+      other.record({ query: 'x', status: 200 });
+      other.save();
+
+      const ledger = createQuotaLedger({ file, board: 'mine', now });
+      expect(ledger.count('daily')).toBe(0);
+      expect(ledger.report().daily.byBoard).toEqual({ other: 1 });
+    });
+
+    test('starts empty when the file is corrupt', () => {
+      const file = path.join(tmpDir, 'ledger.json');
+      fs.writeFileSync(file, '{not json');
+
+      expect(createQuotaLedger({ file }).entries()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for rate-limiter.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toHost, resolveLimits, createRateLimiter } = require('../rate-limiter');
+
+describe('Rate Limiter', () => {
+  const limits = {
+    domains: {
+      'example.com': { requestsPerMinute: 2, requestsPerHour: 10, concurrent: 1 }
+    },
+    default: { requestsPerMinute: 5, requestsPerHour: 30, concurrent: 2 }
+  };
+
+  // Fake clock: sleep() advances time instead of waiting
+  function fakeClock() {
+    let current = Date.UTC(2026, 1, 1);
+    const sleeps = [];
+    return {
+      now: () => current,
+      sleep: async (ms) => { sleeps.push(ms); current += ms; },
+      sleeps
+    };
+  }
+
+  describe('toHost()', () => {
+    test('extracts hostnames from URLs and bare hosts', () => {
+      expect(toHost('https://API.Lever.co/v0/postings/acme')).toBe('api.lever.co');
+      expect(toHost('jsearch.p.rapidapi.com')).toBe('jsearch.p.rapidapi.com');
+      expect(toHost('localhost:3000')).toBe('localhost');
+    });
+  });
+
+  describe('resolveLimits()', () => {
+    test('matches subdomains to their parent entry', () => {
+      expect(resolveLimits('jobs.example.com', limits).requestsPerMinute).toBe(2);
+    });
+
+    test('falls back to default limits', () => {
+      expect(resolveLimits('unknown.org', limits)).toEqual(limits.default);
+    });
+
+    test('reads config/api-limits.js by default', () => {
+      expect(resolveLimits('jsearch.p.rapidapi.com').requestsPerMinute).toBe(10);
+    });
+  });
+
+  describe('acquire()', () => {
+    test('waits for the per-minute bucket to refill', async () => {
+      const clock = fakeClock();
+      const limiter = createRateLimiter({ limits, stateFile: null, ...clock });
+
+      for (let i = 0; i < 3; i++) {
+        const release = await limiter.acquire('https://example.com/a');
+        release();
+      }
+
+      // Third request needs one token at 2/minute = 30s
+      expect(clock.sleeps).toEqual([30000]);
+    });
+
+    test('enforces the concurrency limit', async () => {
+      const clock = fakeClock();
+      const limiter = createRateLimiter({ limits, stateFile: null, ...clock });
+
+      const release = await limiter.acquire('example.com');
+      const second = limiter.acquire('example.com');
+
+      // Let the second acquire poll once, then free the slot
+      await Promise.resolve();
+      release();
+      const releaseSecond = await second;
+      releaseSecond();
+
+      expect(clock.sleeps.length).toBeGreaterThan(0);
+      expect(limiter.getState()['example.com'].active).toBe(0);
+    });
+
+    test('rejects when the wait exceeds maxWaitMs', async () => {
+      const clock = fakeClock();
+      const limiter = createRateLimiter({ limits, stateFile: null, maxWaitMs: 1000, ...clock });
+
+      await limiter.acquire('example.com').then(r => r());
+      await limiter.acquire('example.com').then(r => r());
+
+      await expect(limiter.acquire('example.com')).rejects.toMatchObject({ code: 'ERATELIMIT' });
+    });
+
+    test('accepts a per-call maxWaitMs', async () => {
+      const clock = fakeClock();
+      const limiter = createRateLimiter({ limits, stateFile: null, ...clock });
+
+      await limiter.acquire('example.com').then(r => r());
+      await limiter.acquire('example.com').then(r => r());
+
+      await expect(limiter.schedule('example.com', async () => 'ok', { maxWaitMs: 0 })).rejects.toMatchObject({ code: 'ERATELIMIT' });
+    });
+  });
+
+  describe('schedule()', () => {
+    test('releases the slot when fn throws', async () => {
+      const limiter = createRateLimiter({ limits, stateFile: null, ...fakeClock() });
+
+      await expect(limiter.schedule('example.com', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+      expect(limiter.getState()['example.com'].active).toBe(0);
+    });
+  });
+
+  describe('Persistence', () => {
+    test('bucket state survives a new limiter instance', async () => {
+      const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limiter-')), 'rate_limits.json');
+      const clock = fakeClock();
+
+      const first = createRateLimiter({ limits, stateFile, ...clock });
+      await first.schedule('example.com', async () => {});
+      await first.schedule('example.com', async () => {});
+
+      const second = createRateLimiter({ limits, stateFile, ...clock });
+      expect(second.getState()['example.com'].minute).toBe(0);
+
+      fs.rmSync(path.dirname(stateFile), { recursive: true, force: true });
+    });
+  });
+});
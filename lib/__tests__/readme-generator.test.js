@@ -0,0 +1,135 @@
+/**
+ * Unit tests for readme-generator.js (line diff and dry-run updates)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReadmeGenerator } = require('../readme-generator');
+
+describe('README Generator', () => {
+  let repoRoot;
+  let readmePath;
+  let generator;
+  let consoleLogSpy;
+
+  const config = {
+    repoPrefix: 'sej',
+    title: 'Software Engineering Jobs',
+    headingImageAlt: 'Software engineering jobs',
+    tagline: 'Fresh jobs every day',
+    descriptionLine1: '{totalCompanies} companies hiring',
+    descriptionLine2: '',
+    noteType: 'TIP',
+    noteText: 'Apply early.',
+    features: { internships: false, moreResources: false }
+  };
+  const jobCategories = {
+    software: { title: 'Software Engineering', emoji: '💻', keywords: ['software', 'engineer'] }
+  };
+  const jobs = [{
+    id: 'acme-swe',
+    job_title: 'Software Engineer',
+    employer_name: 'Acme',
+    job_city: 'Austin',
+    job_state: 'TX',
+    job_apply_link: 'https://boards.greenhouse.io/acme/jobs/1',
+    job_posted_at_datetime_utc: new Date().toISOString()
+  }];
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // createReadmeGenerator loads the repo's utils from .github/scripts/job-fetcher
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'readme-generator-'));
+    const utilsDir = path.join(repoRoot, '.github', 'scripts', 'job-fetcher');
+    fs.mkdirSync(utilsDir, { recursive: true });
+    fs.writeFileSync(path.join(utilsDir, 'utils.js'), `module.exports = require(${JSON.stringify(path.join(__dirname, '..', 'utils.js'))});\n`);
+
+    readmePath = path.join(repoRoot, 'README.md');
+    generator = createReadmeGenerator(config, jobCategories, repoRoot);
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    delete process.env.DRY_RUN;
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  describe('diffReadmeLines()', () => {
+    test('counts added and removed lines', () => {
+      expect(generator.diffReadmeLines('a\nb\nc', 'a\nc\nd\ne')).toEqual({
+        linesBefore: 3,
+        linesAfter: 4,
+        added: 2,
+        removed: 1,
+        delta: 1
+      });
+    });
+
+    test('treats moved lines as unchanged and repeated lines by count', () => {
+      expect(generator.diffReadmeLines('a\nb\nb', 'b\na\nb')).toMatchObject({ added: 0, removed: 0, delta: 0 });
+      expect(generator.diffReadmeLines('b', 'b\nb')).toMatchObject({ added: 1, removed: 0 });
+    });
+
+    test('treats a missing README as empty', () => {
+      expect(generator.diffReadmeLines('', 'a\nb')).toEqual({ linesBefore: 0, linesAfter: 2, added: 2, removed: 0, delta: 2 });
+    });
+  });
+
+  describe('updateReadme()', () => {
+    const existing = '# Old README\nstale line\n';
+
+    test('dry run leaves README.md unchanged and reports the line diff', async () => {
+      fs.writeFileSync(readmePath, existing);
+      const generated = await generator.generateReadme(jobs, [], null, null);
+      const generatedLines = generated.split('\n');
+
+      const result = await generator.updateReadme(jobs, [], null, null, { dryRun: true });
+
+      expect(fs.readFileSync(readmePath, 'utf8')).toBe(existing);
+      // Only the trailing empty line of the old README is also in the generated one
+      expect(result).toEqual({
+        dryRun: true,
+        linesBefore: 3,
+        linesAfter: generatedLines.length,
+        added: generatedLines.length - 1,
+        removed: 2,
+        delta: generatedLines.length - 3
+      });
+    });
+
+    test('dry run does not create a missing README.md', async () => {
+      const result = await generator.updateReadme(jobs, [], null, null, { dryRun: true });
+
+      expect(fs.existsSync(readmePath)).toBe(false);
+      expect(result).toMatchObject({ dryRun: true, linesBefore: 0, removed: 0 });
+      expect(result.added).toBe(result.linesAfter);
+    });
+
+    test('DRY_RUN=true enables a dry run', async () => {
+      fs.writeFileSync(readmePath, existing);
+      process.env.DRY_RUN = 'true';
+
+      const result = await generator.updateReadme(jobs, [], null, null);
+
+      expect(result.dryRun).toBe(true);
+      expect(fs.readFileSync(readmePath, 'utf8')).toBe(existing);
+    });
+
+    test('writes README.md and reports the same diff without a dry run', async () => {
+      fs.writeFileSync(readmePath, existing);
+
+      const preview = await generator.updateReadme(jobs, [], null, null, { dryRun: true });
+      const result = await generator.updateReadme(jobs, [], null, null, { dryRun: false });
+
+      const written = fs.readFileSync(readmePath, 'utf8');
+      expect(written).toContain('Software Engineer');
+      expect(written).toContain('Acme');
+      expect(result).toEqual({ ...preview, dryRun: false });
+
+      // Nothing left to change on a second dry run
+      expect(await generator.updateReadme(jobs, [], null, null, { dryRun: true })).toMatchObject({ added: 0, removed: 0, delta: 0 });
+    });
+  });
+});
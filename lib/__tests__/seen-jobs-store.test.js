@@ -0,0 +1,131 @@
+/**
+ * Unit tests for seen-jobs-store.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSeenJobsStore, loadSeenEntries } = require('../seen-jobs-store');
+const { loadSeenJobsStore, saveSeenJobsStore } = require('../job-processor');
+const { migrateJobIds } = require('../migrate-job-ids');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Seen Jobs Store', () => {
+  let dataDir;
+  let file;
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seen-jobs-'));
+    file = path.join(dataDir, 'seen_jobs.json');
+    clock = Date.parse('2026-03-01T00:00:00Z');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('records first seen, last seen, source and times seen', () => {
+    const store = createSeenJobsStore({ file, now });
+    store.markSeen({ id: 'acme-1', job_source: 'jsearch' });
+
+    clock += DAY_MS;
+    store.markSeen({ id: 'acme-1', source: 'greenhouse' });
+
+    expect(store.get('acme-1')).toEqual({
+      first_seen: '2026-03-01T00:00:00.000Z',
+      last_seen: '2026-03-02T00:00:00.000Z',
+      source: 'greenhouse',
+      times_seen: 2
+    });
+  });
+
+  test('round-trips through save and load', () => {
+    const store = createSeenJobsStore({ file, now });
+    store.markSeen('acme-1', { source: 'lever' });
+    store.save();
+
+    const reloaded = createSeenJobsStore({ file, now });
+    expect(reloaded.has('acme-1')).toBe(true);
+    expect(reloaded.get('acme-1').source).toBe('lever');
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).version).toBe(1);
+  });
+
+  test('expires entries past the TTL on save', () => {
+    const store = createSeenJobsStore({ file, now, ttlDays: 30 });
+    store.markSeen('old');
+    clock += 20 * DAY_MS;
+    store.markSeen('recent');
+    clock += 15 * DAY_MS;
+
+    expect(store.save()).toBe(1);
+    expect(store.ids()).toEqual(['recent']);
+  });
+
+  test('seeing a job again keeps it alive', () => {
+    const store = createSeenJobsStore({ file, now, ttlDays: 30 });
+    store.markSeen('acme-1');
+    clock += 25 * DAY_MS;
+    store.markSeen('acme-1');
+    clock += 25 * DAY_MS;
+
+    expect(store.compact()).toBe(0);
+    expect(store.has('acme-1')).toBe(true);
+  });
+
+  test('reads the legacy array and object formats', () => {
+    fs.writeFileSync(file, JSON.stringify(['a', 'b']));
+    expect(Object.keys(loadSeenEntries(file, '2026-03-01T00:00:00.000Z'))).toEqual(['a', 'b']);
+
+    fs.writeFileSync(file, JSON.stringify({ c: true }));
+    const store = createSeenJobsStore({ file, now });
+    expect(store.get('c')).toEqual({
+      first_seen: '2026-03-01T00:00:00.000Z',
+      last_seen: '2026-03-01T00:00:00.000Z',
+      source: null,
+      times_seen: 1
+    });
+  });
+
+  test('is Set-like', () => {
+    const store = createSeenJobsStore({ file, now });
+    store.add('a').add('b');
+
+    expect(store.size).toBe(2);
+    expect(Array.from(store)).toEqual(['a', 'b']);
+    expect(store.delete('a')).toBe(true);
+    expect(store.has('a')).toBe(false);
+  });
+
+  test('requires an ID', () => {
+    const store = createSeenJobsStore({ file, now });
+    expect(() => store.markSeen({ title: 'No ID' })).toThrow('Job ID is required');
+  });
+
+  describe('job-processor wrappers', () => {
+    test('saveSeenJobsStore accepts the store or a plain Set', () => {
+      const store = loadSeenJobsStore({ file, now });
+      store.add('a');
+      saveSeenJobsStore(store);
+      expect(loadSeenJobsStore({ file, now }).has('a')).toBe(true);
+
+      saveSeenJobsStore(new Set(['b']), { file, now });
+      expect(loadSeenJobsStore({ file, now }).ids()).toEqual(['a', 'b']);
+    });
+  });
+
+  test('migrate-job-ids keeps the entry metadata', () => {
+    const store = createSeenJobsStore({ file, now });
+    store.markSeen('expired-job', { source: 'jsearch' });
+    store.save();
+
+    const report = migrateJobIds({ dataDir, backup: false });
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    expect(report.seen).toEqual({ total: 1, changed: 0, unmapped: 1, collisions: [] });
+    expect(saved.version).toBe(1);
+    expect(saved.entries['expired-job'].source).toBe('jsearch');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for seniority.js
+ */
+
+const { classifySeniority, signalPattern } = require('../seniority');
+const { isSeniorJob } = require('../job-processor');
+
+describe('Seniority Classifier', () => {
+  const level = (title, description = '') => classifySeniority({ title, description }).level;
+
+  describe('signalPattern()', () => {
+    test('matches whole words only', () => {
+      expect(signalPattern('lead').test('Team Lead')).toBe(true);
+      expect(signalPattern('lead').test('leadership skills')).toBe(false);
+      expect(signalPattern('vp').test('VP, Engineering')).toBe(true);
+      expect(signalPattern('vp').test('VPN engineer')).toBe(false);
+      expect(signalPattern('l1').test('html1 templates')).toBe(false);
+      expect(signalPattern('l1').test('L1 Support Engineer')).toBe(true);
+    });
+
+    test('treats spaces and hyphens alike', () => {
+      expect(signalPattern('entry level').test('Entry-Level Analyst')).toBe(true);
+      expect(signalPattern('mid level').test('mid level engineer')).toBe(true);
+    });
+  });
+
+  test('detects levels from the title', () => {
+    expect(level('Senior Software Engineer')).toBe('Senior');
+    expect(level('Sr. Engineer')).toBe('Senior');
+    expect(level('Director of Engineering')).toBe('Senior');
+    expect(level('Junior Developer')).toBe('Entry-Level');
+    expect(level('Software Engineer II')).toBe('Mid-Level');
+  });
+
+  test('ignores substrings in descriptions', () => {
+    const result = classifySeniority({
+      title: 'Software Engineer',
+      description: 'Strong leadership skills and HTML1 experience. Our VPN team ships weekly.'
+    });
+
+    expect(result).toEqual({ level: 'Entry-Level', confidence: 0, scores: {}, evidence: [], experience: null });
+  });
+
+  test('title signals outweigh description signals', () => {
+    const result = classifySeniority({
+      title: 'Junior Software Engineer',
+      description: 'You will pair with senior engineers.'
+    });
+
+    expect(result.level).toBe('Entry-Level');
+    expect(result.scores).toEqual({ 'Entry-Level': 9, Senior: 3 });
+    expect(result.confidence).toBe(0.75);
+    expect(result.evidence).toEqual([
+      { level: 'Entry-Level', signal: 'junior', field: 'title', weight: 9 },
+      { level: 'Senior', signal: 'senior', field: 'description', weight: 3 }
+    ]);
+  });
+
+  test('stronger senior signals win over weaker entry signals', () => {
+    expect(level('Associate Director, Data')).toBe('Senior');
+  });
+
+  test('ties go to the less senior level', () => {
+    expect(level('Associate Staff Engineer')).toBe('Entry-Level');
+  });
+
+  test('uses description signals when the title has none', () => {
+    const result = classifySeniority({ title: 'Software Engineer', description: 'An intermediate role on the platform team' });
+
+    expect(result.level).toBe('Mid-Level');
+    expect(result.confidence).toBe(1);
+  });
+
+  test('description signals alone do not make a job Senior', () => {
+    const result = classifySeniority({
+      title: 'Software Engineer',
+      description: 'You will pair with senior engineers and report to an engineering manager.'
+    });
+
+    expect(result.level).toBe('Entry-Level');
+    expect(result.confidence).toBe(0);
+    expect(result.scores).toEqual({ Senior: 5 });
+    expect(level('Software Engineer', 'Principal-level ownership')).toBe('Entry-Level');
+  });
+
+  test('a title signal lets description signals count towards Senior', () => {
+    expect(level('Staff Engineer', 'Mentor junior engineers')).toBe('Senior');
+  });
+
+  test('accepts custom weights', () => {
+    const categories = {
+      seniority: {
+        signals: { 'Entry-Level': { apprentice: 1 }, Senior: { expert: 1 } }
+      }
+    };
+
+    expect(classifySeniority({ title: 'Expert Welder' }, { categories }).level).toBe('Senior');
+    expect(classifySeniority({ title: 'Senior Welder' }, { categories }).level).toBe('Entry-Level');
+  });
+
+  describe('isSeniorJob()', () => {
+    test('uses the classifier', () => {
+      expect(isSeniorJob({ job_title: 'Staff Engineer', job_source: 'greenhouse' })).toBe(true);
+      expect(isSeniorJob({ job_title: 'Software Engineer', job_description: 'Leadership skills', job_source: 'greenhouse' })).toBe(false);
+    });
+
+    test('trusts configured sources', () => {
+      expect(isSeniorJob({ job_title: 'Senior Engineer', job_source: 'jsearch' })).toBe(false);
+      expect(isSeniorJob({ job_title: 'Senior Engineer', job_source: 'jsearch' }, { trustSources: [] })).toBe(true);
+    });
+  });
+
+  describe('years of experience', () => {
+    test('required years map to a level', () => {
+      expect(level('Software Engineer', 'Requires 5+ years of experience.')).toBe('Senior');
+      expect(level('Software Engineer', 'Requires 3-4 years of experience.')).toBe('Mid-Level');
+      expect(level('Software Engineer', '0-2 years of experience preferred.')).toBe('Entry-Level');
+      expect(level('Software Engineer', 'For over 20 years, Acme has served customers.')).toBe('Entry-Level');
+      expect(level('Software Engineer', 'Acme has 15+ years of history in fintech.')).toBe('Entry-Level');
+    });
+
+    test('are reported as evidence', () => {
+      const result = classifySeniority({ title: 'Software Engineer', description: 'At least 5 years of professional experience.' });
+
+      expect(result.evidence).toEqual([{ level: 'Senior', signal: 'At least 5 years', field: 'description', weight: 6 }]);
+      expect(result.experience).toMatchObject({ min: 5, max: null });
+    });
+
+    test('title signals still outweigh them', () => {
+      expect(level('Junior Software Engineer', '5+ years of experience')).toBe('Entry-Level');
+    });
+
+    test('JSearch requirements count', () => {
+      expect(isSeniorJob({
+        job_title: 'Software Engineer',
+        job_source: 'greenhouse',
+        job_required_experience: { no_experience_required: false, required_experience_in_months: 84 }
+      })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Unit tests for sources/
+ */
+
+const {
+  createSourceRegistry,
+  fetchAllJobs,
+  createGreenhouseSource,
+  createLeverSource,
+  createAshbySource,
+  createJSearchSource
+} = require('../sources');
+const { splitLocation, stripHtml } = require('../sources/normalize');
+
+describe('Job Sources', () => {
+  let consoleLogSpy;
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+  });
+
+  describe('Normalization Helpers', () => {
+    test('splitLocation() splits city, state and country', () => {
+      expect(splitLocation('San Francisco, CA, United States')).toEqual({
+        job_city: 'San Francisco',
+        job_state: 'CA',
+        job_country: 'United States'
+      });
+    });
+
+    test('splitLocation() maps remote locations to Remote', () => {
+      expect(splitLocation('Remote - US').job_city).toBe('Remote');
+      expect(splitLocation('Remote - US').job_country).toBe('US');
+    });
+
+    test('stripHtml() removes escaped tags', () => {
+      expect(stripHtml('&lt;p&gt;Build &amp; ship&lt;/p&gt;')).toBe('Build & ship');
+    });
+  });
+
+  describe('Adapters', () => {
+    test('Greenhouse adapter fetches each board and normalizes jobs', async () => {
+      const getJson = jest.fn().mockResolvedValue({
+        jobs: [{
+          id: 42,
+          title: 'Software Engineer',
+          absolute_url: 'https://boards.greenhouse.io/stripe/jobs/42',
+          location: { name: 'Seattle, WA' },
+          updated_at: '2026-02-01T00:00:00Z',
+          content: '&lt;p&gt;Hello&lt;/p&gt;'
+        }]
+      });
+      const source = createGreenhouseSource([{ token: 'stripe', company: 'Stripe' }], { getJson });
+
+      const { jobs: raw } = await source.fetch();
+      const job = source.normalize(raw[0]);
+
+      expect(getJson).toHaveBeenCalledWith(expect.stringContaining('/stripe/jobs?content=true'));
+      expect(job).toMatchObject({
+        job_title: 'Software Engineer',
+        employer_name: 'Stripe',
+        job_city: 'Seattle',
+        job_state: 'WA',
+        job_description: 'Hello',
+        job_source: 'greenhouse'
+      });
+    });
+
+    test('Lever adapter normalizes postings', () => {
+      const source = createLeverSource(['acme'], { getJson: jest.fn() });
+
+      const job = source.normalize({
+        id: 'abc',
+        text: 'Backend Engineer',
+        hostedUrl: 'https://jobs.lever.co/acme/abc',
+        categories: { location: 'Austin, TX', commitment: 'Full-time' },
+        createdAt: Date.UTC(2026, 1, 1),
+        _site: { site: 'acme', company: 'Acme' }
+      });
+
+      expect(job).toMatchObject({
+        job_title: 'Backend Engineer',
+        employer_name: 'Acme',
+        job_city: 'Austin',
+        job_employment_type: 'Full-time',
+        job_posted_at_datetime_utc: '2026-02-01T00:00:00.000Z',
+        job_source: 'lever'
+      });
+    });
+
+    test('Ashby adapter skips unlisted jobs and prefers postal address', async () => {
+      const getJson = jest.fn().mockResolvedValue({
+        jobs: [
+          { id: '1', title: 'Data Engineer', isListed: true, address: { postalAddress: { addressLocality: 'Denver', addressRegion: 'CO' } } },
+          { id: '2', title: 'Hidden', isListed: false }
+        ]
+      });
+      const source = createAshbySource([{ board: 'ramp', company: 'Ramp' }], { getJson });
+
+      const { jobs: raw } = await source.fetch();
+
+      expect(raw).toHaveLength(1);
+      expect(source.normalize(raw[0])).toMatchObject({ job_city: 'Denver', job_state: 'CO', employer_name: 'Ramp' });
+    });
+
+    test('JSearch adapter tags jobs with job_source', async () => {
+      const fetcher = { fetchAllJSearchJobs: jest.fn().mockResolvedValue([{ job_title: 'SWE', employer_name: 'X' }]) };
+      const source = createJSearchSource([], 'key', { fetcher });
+
+      const { jobs: raw } = await source.fetch();
+
+      expect(source.normalize(raw[0]).job_source).toBe('jsearch');
+    });
+  });
+
+  describe('Registry', () => {
+    const fakeSource = (name, jobs) => ({
+      name,
+      fetch: jest.fn().mockResolvedValue(jobs),
+      normalize: raw => ({ job_title: raw.t, employer_name: raw.c })
+    });
+
+    test('register() rejects adapters missing the interface', () => {
+      expect(() => createSourceRegistry().register({ name: 'bad' })).toThrow('fetch()');
+    });
+
+    test('fetchAll() runs every source and tags job_source', async () => {
+      const registry = createSourceRegistry()
+        .register(fakeSource('a', [{ t: 'SWE', c: 'A' }]))
+        .register(fakeSource('b', [{ t: 'SRE', c: 'B' }, { t: '', c: 'B' }]));
+
+      const result = await registry.fetchAll();
+
+      expect(registry.list()).toEqual(['a', 'b']);
+      expect(result.jobs.map(j => j.job_source)).toEqual(['a', 'b']);
+      expect(result.bySource).toEqual({ a: 1, b: 1 });
+    });
+
+    test('fetchAll() isolates failing sources', async () => {
+      const broken = { name: 'broken', fetch: jest.fn().mockRejectedValue(new Error('boom')), normalize: j => j };
+      const registry = createSourceRegistry()
+        .register(broken)
+        .register(fakeSource('ok', [{ t: 'SWE', c: 'A' }]));
+
+      const result = await registry.fetchAll();
+
+      expect(result.jobs).toHaveLength(1);
+      expect(result.errors).toEqual([{ source: 'broken', error: 'boom' }]);
+    });
+
+    test('fetchAll() keeps the other boards when one board fails', async () => {
+      const getJson = jest.fn(async (url) => {
+        if (url.includes('/missing/')) throw new Error('HTTP 404 for missing');
+        return { jobs: [{ id: url.includes('/stripe/') ? 1 : 2, title: 'Software Engineer', location: { name: 'Seattle, WA' } }] };
+      });
+      const source = createGreenhouseSource([
+        { token: 'stripe', company: 'Stripe' },
+        { token: 'missing', company: 'Missing' },
+        { token: 'figma', company: 'Figma' }
+      ], { getJson });
+
+      const result = await createSourceRegistry().register(source).fetchAll();
+
+      expect(result.jobs.map(j => j.employer_name)).toEqual(['Stripe', 'Figma']);
+      expect(result.errors).toEqual([{ source: 'greenhouse', board: 'missing', error: 'HTTP 404 for missing' }]);
+    });
+
+    test('Lever and Ashby adapters catch failures per board', async () => {
+      const getJson = jest.fn(async (url) => {
+        if (url.includes('broken')) throw new Error('timeout');
+        return url.includes('lever') ? [{ id: 'l1', text: 'SWE' }] : { jobs: [{ id: 'a1', title: 'SWE' }] };
+      });
+      const lever = createLeverSource(['broken', 'acme'], { getJson });
+      const ashby = createAshbySource(['broken', 'acme'], { getJson });
+
+      const leverResult = await lever.fetch();
+      const ashbyResult = await ashby.fetch();
+
+      expect(leverResult.jobs).toHaveLength(1);
+      expect(leverResult.errors).toEqual([{ board: 'broken', error: 'timeout' }]);
+      expect(ashbyResult.jobs).toHaveLength(1);
+      expect(ashbyResult.errors).toEqual([{ board: 'broken', error: 'timeout' }]);
+    });
+
+    test('overlapping fetch() calls keep their own board errors', async () => {
+      let failing = true;
+      const getJson = jest.fn(async () => {
+        if (failing) {
+          failing = false;
+          await new Promise(resolve => setTimeout(resolve, 10));
+          throw new Error('timeout');
+        }
+        return { jobs: [{ id: 1, title: 'Software Engineer' }] };
+      });
+      const source = createGreenhouseSource([{ token: 'stripe', company: 'Stripe' }], { getJson });
+
+      const [first, second] = await Promise.all([source.fetch(), source.fetch()]);
+
+      expect(first).toEqual({ jobs: [], errors: [{ board: 'stripe', error: 'timeout' }] });
+      expect(second.jobs).toHaveLength(1);
+      expect(second.errors).toEqual([]);
+    });
+
+    test('fetchAll() skips jobs whose normalize() throws', async () => {
+      const source = {
+        name: 'flaky',
+        fetch: jest.fn().mockResolvedValue([{ id: 1, t: 'SWE', c: 'A' }, { id: 2 }, { id: 3, t: 'SRE', c: 'B' }]),
+        normalize: raw => {
+          if (!raw.t) throw new Error('missing title');
+          return { job_title: raw.t, employer_name: raw.c };
+        }
+      };
+
+      const result = await createSourceRegistry().register(source).fetchAll();
+
+      expect(result.jobs.map(j => j.job_title)).toEqual(['SWE', 'SRE']);
+      expect(result.errors).toEqual([{ source: 'flaky', job: 2, error: 'missing title' }]);
+    });
+
+    test('fetchAll() records a tracer checkpoint', async () => {
+      const tracer = { checkpoint: jest.fn() };
+      const registry = createSourceRegistry().register(fakeSource('a', [{ t: 'SWE', c: 'A' }]));
+
+      await registry.fetchAll({ tracer });
+
+      expect(tracer.checkpoint).toHaveBeenCalledWith('fetch_all_sources', expect.any(Array), expect.objectContaining({ by_source: { a: 1 } }));
+    });
+  });
+
+  describe('fetchAllJobs()', () => {
+    test('registers JSearch and runs it with the extra sources', async () => {
+      const fetcher = { fetchAllJSearchJobs: jest.fn().mockResolvedValue([{ job_title: 'SWE', employer_name: 'X' }]) };
+      const extra = {
+        name: 'extra',
+        fetch: jest.fn().mockResolvedValue([{ t: 'SRE', c: 'Y' }]),
+        normalize: raw => ({ job_title: raw.t, employer_name: raw.c })
+      };
+
+      const result = await fetchAllJobs([], 'key', { jsearch: { fetcher }, sources: [extra] });
+
+      expect(fetcher.fetchAllJSearchJobs).toHaveBeenCalledTimes(1);
+      expect(result.bySource).toEqual({ jsearch: 1, extra: 1 });
+      expect(result.jobs.map(j => j.job_source)).toEqual(['jsearch', 'extra']);
+    });
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * Unit tests for storage.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createStorage,
+  getDefaultStorage,
+  closeDefaultStorages,
+  createJsonStorage,
+  createSqliteStorage,
+  createMemoryStorage,
+  createDryRunStorage
+} = require('../storage');
+const { processJobs, loadSeenJobsStore } = require('../job-processor');
+
+// SQLite needs node:sqlite (Node 22.5+) or better-sqlite3
+const hasSqlite = (() => {
+  try {
+    createSqliteStorage({ file: ':memory:' }).close();
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+/**
+ * In-memory stand-in for a node:sqlite / better-sqlite3 database, enough for
+ * the documents table statements createSqliteStorage prepares
+ */
+function createStubDatabase() {
+  const rows = new Map();
+  const db = {
+    rows,
+    closed: false,
+    exec: jest.fn(),
+    prepare(sql) {
+      if (sql.startsWith('SELECT')) {
+        return { get: name => (rows.has(name) ? { data: rows.get(name).data } : undefined) };
+      }
+      if (sql.startsWith('INSERT')) {
+        return { run: (name, data, updatedAt) => rows.set(name, { data, updatedAt }) };
+      }
+      if (sql.startsWith('DELETE')) {
+        return { run: name => ({ changes: rows.delete(name) ? 1 : 0 }) };
+      }
+      throw new Error(`Unexpected statement: ${sql}`);
+    },
+    close() {
+      db.closed = true;
+    }
+  };
+  return db;
+}
+
+describe('Storage', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.JOB_STORAGE_BACKEND;
+  });
+
+  describe('dry-run wrapper', () => {
+    test('keeps writes in memory and reads them back', () => {
+      const target = createMemoryStorage({ documents: { current_jobs: [{ id: 'a' }] } });
+      const storage = createDryRunStorage(target);
+
+      expect(storage.read('current_jobs', [])).toEqual([{ id: 'a' }]);
+
+      storage.write('current_jobs', [{ id: 'b' }]);
+      expect(storage.read('current_jobs', [])).toEqual([{ id: 'b' }]);
+      expect(target.read('current_jobs')).toEqual([{ id: 'a' }]);
+      expect(Array.from(storage.writes.keys())).toEqual(['current_jobs']);
+    });
+
+    test('remove hides the document without touching the backend', () => {
+      const target = createMemoryStorage({ documents: { seen_jobs: ['a'] } });
+      const storage = createDryRunStorage(target);
+
+      expect(storage.remove('seen_jobs')).toBe(true);
+      expect(storage.read('seen_jobs', [])).toEqual([]);
+      expect(target.read('seen_jobs')).toEqual(['a']);
+    });
+  });
+
+  describe('json backend', () => {
+    test('writes <name>.json files', () => {
+      const storage = createJsonStorage({ dataDir });
+      storage.write('current_jobs', [{ id: 'a' }]);
+
+      expect(JSON.parse(fs.readFileSync(path.join(dataDir, 'current_jobs.json'), 'utf8'))).toEqual([{ id: 'a' }]);
+      expect(storage.read('current_jobs', [])).toEqual([{ id: 'a' }]);
+      expect(fs.existsSync(path.join(dataDir, 'current_jobs.tmp.json'))).toBe(false);
+    });
+
+    test('returns the fallback for missing or corrupt files', () => {
+      const storage = createJsonStorage({ dataDir });
+      fs.writeFileSync(path.join(dataDir, 'broken.json'), '{not json');
+
+      expect(storage.read('missing', [])).toEqual([]);
+      expect(storage.read('broken', [])).toEqual([]);
+    });
+
+    test('removes documents', () => {
+      const storage = createJsonStorage({ dataDir });
+      storage.write('new_jobs', []);
+
+      expect(storage.remove('new_jobs')).toBe(true);
+      expect(storage.remove('new_jobs')).toBe(false);
+    });
+  });
+
+  describe('memory backend', () => {
+    test('copies documents in and out', () => {
+      const jobs = [{ id: 'a' }];
+      const storage = createMemoryStorage({ documents: { current_jobs: jobs } });
+
+      jobs.push({ id: 'b' });
+      const read = storage.read('current_jobs');
+      read.push({ id: 'c' });
+
+      expect(storage.read('current_jobs')).toEqual([{ id: 'a' }]);
+      expect(storage.read('missing', null)).toBeNull();
+    });
+  });
+
+  (hasSqlite ? describe : describe.skip)('sqlite backend', () => {
+    test('round-trips documents through the database file', () => {
+      const storage = createSqliteStorage({ dataDir });
+      storage.write('current_jobs', [{ id: 'a' }]);
+      storage.write('current_jobs', [{ id: 'b' }]);
+      storage.close();
+
+      const reopened = createSqliteStorage({ dataDir });
+      expect(reopened.read('current_jobs', [])).toEqual([{ id: 'b' }]);
+      expect(reopened.remove('current_jobs')).toBe(true);
+      expect(reopened.read('current_jobs', [])).toEqual([]);
+      reopened.close();
+
+      expect(fs.existsSync(path.join(dataDir, 'jobs.sqlite'))).toBe(true);
+    });
+  });
+
+  describe('sqlite backend (stub driver)', () => {
+    test('creates the documents table in the configured file', () => {
+      const db = createStubDatabase();
+      const openDatabase = jest.fn(() => db);
+      createSqliteStorage({ dataDir, openDatabase });
+
+      expect(openDatabase).toHaveBeenCalledWith(path.join(dataDir, 'jobs.sqlite'));
+      expect(db.exec).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS documents'));
+    });
+
+    test('stores documents as JSON rows', () => {
+      const db = createStubDatabase();
+      const storage = createSqliteStorage({ file: ':memory:', openDatabase: () => db });
+
+      expect(storage.read('current_jobs', [])).toEqual([]);
+      storage.write('current_jobs', [{ id: 'a' }]);
+      storage.write('current_jobs', [{ id: 'b' }]);
+
+      expect(JSON.parse(db.rows.get('current_jobs').data)).toEqual([{ id: 'b' }]);
+      expect(storage.read('current_jobs', [])).toEqual([{ id: 'b' }]);
+      expect(storage.remove('current_jobs')).toBe(true);
+      expect(storage.remove('current_jobs')).toBe(false);
+      expect(storage.read('current_jobs', [])).toEqual([]);
+
+      storage.close();
+      expect(db.closed).toBe(true);
+    });
+  });
+
+  describe('createStorage()', () => {
+    test('defaults to the json backend', () => {
+      expect(createStorage({ dataDir }).backend).toBe('json');
+    });
+
+    test('honours JOB_STORAGE_BACKEND', () => {
+      process.env.JOB_STORAGE_BACKEND = 'memory';
+      expect(createStorage().backend).toBe('memory');
+    });
+
+    test('rejects unknown backends', () => {
+      expect(() => createStorage({ backend: 'redis' })).toThrow('Unknown storage backend: redis');
+    });
+  });
+
+  describe('getDefaultStorage()', () => {
+    afterEach(() => {
+      closeDefaultStorages();
+      delete process.env.JOB_STORAGE_DIR;
+    });
+
+    test('reuses one backend per backend and data directory', () => {
+      process.env.JOB_STORAGE_BACKEND = 'memory';
+      process.env.JOB_STORAGE_DIR = dataDir;
+      const storage = getDefaultStorage();
+      storage.write('current_jobs', [{ id: 'a' }]);
+
+      expect(getDefaultStorage()).toBe(storage);
+
+      process.env.JOB_STORAGE_DIR = path.join(dataDir, 'other');
+      expect(getDefaultStorage()).not.toBe(storage);
+    });
+
+    test('closeDefaultStorages closes and forgets the shared backends', () => {
+      process.env.JOB_STORAGE_BACKEND = 'memory';
+      process.env.JOB_STORAGE_DIR = dataDir;
+      const storage = getDefaultStorage();
+      const close = jest.spyOn(storage, 'close');
+
+      closeDefaultStorages();
+
+      expect(close).toHaveBeenCalled();
+      expect(getDefaultStorage()).not.toBe(storage);
+    });
+  });
+
+  describe('job-processor', () => {
+    const recent = new Date().toISOString();
+    const jobs = () => [{
+      job_title: 'Software Engineer',
+      employer_name: 'Acme',
+      job_city: 'Austin',
+      job_state: 'TX',
+      job_country: 'US',
+      job_apply_link: 'https://boards.greenhouse.io/acme/jobs/1',
+      job_posted_at_datetime_utc: recent
+    }];
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    test('processJobs runs against an in-memory backend', async () => {
+      const storage = createMemoryStorage();
+      const { currentJobs } = await processJobs(jobs(), { storage });
+
+      expect(currentJobs).toHaveLength(1);
+      expect(storage.read('new_jobs')).toHaveLength(1);
+      expect(storage.read('current_jobs')[0].id).toBe(currentJobs[0].id);
+    });
+
+    test('processJobs runs against a temp directory', async () => {
+      await processJobs(jobs(), { storage: createJsonStorage({ dataDir }) });
+
+      expect(fs.readdirSync(dataDir).sort()).toEqual(['current_jobs.json', 'job_archive.json', 'new_jobs.json', 'run_diff.json']);
+    });
+
+    test('processJobs writes nothing in a dry run', async () => {
+      const storage = createJsonStorage({ dataDir });
+      storage.write('current_jobs', [{ id: 'old', job_title: 'Old Job', employer_name: 'Acme' }]);
+
+      const result = await processJobs(jobs(), { storage, dryRun: true });
+
+      expect(result.dryRun).toBe(true);
+      expect(result.diff.added).toHaveLength(1);
+      expect(result.diff.removed.map(job => job.id)).toEqual(['old']);
+      expect(result.writes).toEqual(expect.arrayContaining(['current_jobs', 'new_jobs', 'run_diff', 'job_archive']));
+      expect(fs.readdirSync(dataDir)).toEqual(['current_jobs.json']);
+      expect(storage.read('current_jobs')).toEqual([{ id: 'old', job_title: 'Old Job', employer_name: 'Acme' }]);
+    });
+
+    test('the seen-jobs store uses the same backend', () => {
+      const storage = createMemoryStorage();
+      const seen = loadSeenJobsStore({ storage });
+      seen.add('a');
+      seen.save();
+
+      expect(Object.keys(storage.read('seen_jobs').entries)).toEqual(['a']);
+    });
+  });
+});
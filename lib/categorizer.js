@@ -0,0 +1,124 @@
+/**
+ * @zapply/job-board-shared - Job Categorizer
+ *
+ * Scores a job against every category instead of returning the first
+ * category whose keyword appears, so keyword order no longer decides the
+ * result. Categories come from config/categories.js (`keywords`,
+ * `negativeKeywords`, `categoryScoring`) or a repo's job_categories.json
+ * ({ key: { title, emoji, keywords, negativeKeywords, titleOnly } }).
+ *
+ * Keywords are whole-word matches (see signalPattern in seniority.js). A
+ * match in the title counts titleWeight times the keyword's weight, in the
+ * description descriptionWeight times; a negative keyword rules the
+ * category out.
+ *
+ * Usage:
+ *   const { categorizeJob } = require('./shared/lib/categorizer');
+ *   const { category, labels } = categorizeJob({ title: 'Full Stack Engineer', description: 'React and Node APIs' });
+ *   // category: 'Full Stack Development'
+ *   // labels: [{ category: 'Full Stack Development', score: 3, matches: [...] }, { category: 'Frontend Development', score: 1, ... }, ...]
+ */
+
+const defaultCategories = require('../config/categories');
+const { toCanonical } = require('./job-schema');
+const { signalPattern } = require('./seniority');
+
+const DEFAULT_SCORING = { titleWeight: 3, descriptionWeight: 1 };
+
+/**
+ * Keyword list or { keyword: weight } map as { keyword: weight }
+ */
+function toWeights(keywords) {
+  if (Array.isArray(keywords)) {
+    return Object.fromEntries(keywords.map(keyword => [keyword, 1]));
+  }
+  return { ...(keywords || {}) };
+}
+
+/**
+ * Normalize either category source into a list of scorable categories
+ *
+ * @param {Object} source - config/categories.js or job_categories.json contents
+ * @returns {Array<Object>} - [{ key, keywords: { keyword: weight }, negativeKeywords, titleOnly }]
+ */
+function normalizeCategories(source) {
+  // config/categories.js: { keywords: { Category: [...] }, negativeKeywords: { Category: [...] } }
+  if (source.keywords && !Array.isArray(source.keywords) && !Array.isArray(source.keywords.keywords)) {
+    const negative = source.negativeKeywords || {};
+    return Object.entries(source.keywords).map(([key, keywords]) => ({
+      key,
+      keywords: toWeights(keywords),
+      negativeKeywords: negative[key] || [],
+      titleOnly: false
+    }));
+  }
+
+  // job_categories.json: { key: { title, keywords, negativeKeywords, titleOnly } }
+  return Object.entries(source).map(([key, category]) => ({
+    key,
+    keywords: toWeights(category.keywords),
+    negativeKeywords: category.negativeKeywords || [],
+    titleOnly: category.titleOnly === true
+  }));
+}
+
+/**
+ * Score a job against every category
+ *
+ * Labels are ranked by score; ties keep the order the categories are
+ * listed in. Categories without a match are left out.
+ *
+ * @param {Object} job - Job (any supported format)
+ * @param {Object} [options] - Categorizer options
+ * @param {Object} [options.categories] - Category source (default: config/categories.js)
+ * @param {number} [options.titleWeight=3] - Multiplier for title matches (default: source categoryScoring)
+ * @param {number} [options.descriptionWeight=1] - Multiplier for description matches (0 = title only)
+ * @param {string} [options.defaultCategory] - Category when nothing matches (default: config defaultCategory)
+ * @returns {Object} - { category, labels: [{ category, score, matches: [{ keyword, field, weight }] }] }
+ */
+function categorizeJob(job, options = {}) {
+  const source = options.categories || defaultCategories;
+  const scoring = { ...DEFAULT_SCORING, ...(source.categoryScoring || {}) };
+  const titleWeight = options.titleWeight !== undefined ? options.titleWeight : scoring.titleWeight;
+  const descriptionWeight = options.descriptionWeight !== undefined ? options.descriptionWeight : scoring.descriptionWeight;
+  const defaultCategory = options.defaultCategory || source.defaultCategory || defaultCategories.defaultCategory;
+
+  const canonical = toCanonical(job || {});
+
+  const labels = normalizeCategories(source)
+    .map(category => {
+      const fields = [{ field: 'title', text: canonical.title, weight: titleWeight }];
+      if (!category.titleOnly && descriptionWeight > 0) {
+        fields.push({ field: 'description', text: canonical.description, weight: descriptionWeight });
+      }
+
+      const excluded = category.negativeKeywords.some(keyword =>
+        fields.some(({ text }) => text && signalPattern(keyword).test(text))
+      );
+      if (excluded) return null;
+
+      const matches = [];
+      Object.entries(category.keywords).forEach(([keyword, keywordWeight]) => {
+        fields.forEach(({ field, text, weight }) => {
+          if (text && signalPattern(keyword).test(text)) {
+            matches.push({ keyword: keyword.trim(), field, weight: keywordWeight * weight });
+          }
+        });
+      });
+
+      const score = matches.reduce((sum, match) => sum + match.weight, 0);
+      return score > 0 ? { category: category.key, score, matches } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    category: labels.length > 0 ? labels[0].category : defaultCategory,
+    labels
+  };
+}
+
+module.exports = {
+  normalizeCategories,
+  categorizeJob
+};
@@ -0,0 +1,219 @@
+/**
+ * @zapply/job-board-shared - Dedup Audit
+ *
+ * Records every job that deduplication drops or merges, together with the
+ * job it matched and the rule that fired (ID, fingerprint, apply URL,
+ * fuzzy score), and writes the result as a JSON + Markdown report next to
+ * debug-trace.json.
+ *
+ * Matches whose titles differ in seniority or level ("Senior Engineer" vs
+ * "Engineer") are flagged, so over-aggressive fingerprints that merge
+ * distinct roles show up at the top of the report.
+ *
+ * Usage:
+ *   const { DedupAudit } = require('./dedup-audit');
+ *   const audit = new DedupAudit();
+ *
+ *   const unique = filterDuplicates(jobs, { fuzzy: true, audit });
+ *   // or, per job: audit.record(job, isDuplicate(job, existing));
+ *
+ *   audit.save(); // .github/data/dedup-audit.json and dedup-audit.md
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toCanonical } = require('./job-schema');
+
+const SENIORITY_TOKENS = [
+  'senior', 'sr', 'junior', 'jr', 'staff', 'principal', 'lead', 'associate',
+  'intern', 'entry', 'mid', 'i', 'ii', 'iii', 'iv', '1', '2', '3', '4'
+];
+
+/**
+ * Lowercase word tokens of a title
+ */
+function titleWords(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .split(' ')
+    .filter(Boolean);
+}
+
+/**
+ * Flags for a match that may have merged two distinct roles
+ *
+ * @param {Object} job - Dropped job
+ * @param {Object} match - Job it matched
+ * @returns {Array<string>} - 'seniority_mismatch' and/or 'title_mismatch'
+ */
+function getMatchFlags(job, match) {
+  const a = titleWords(toCanonical(job).title);
+  const b = titleWords(toCanonical(match).title);
+  const flags = [];
+
+  const levelsA = a.filter(word => SENIORITY_TOKENS.includes(word)).sort().join(' ');
+  const levelsB = b.filter(word => SENIORITY_TOKENS.includes(word)).sort().join(' ');
+  if (levelsA !== levelsB) {
+    flags.push('seniority_mismatch');
+  }
+
+  if (a.join(' ') !== b.join(' ')) {
+    flags.push('title_mismatch');
+  }
+
+  return flags;
+}
+
+/**
+ * Short description of a job for the report
+ */
+function describeJob(job) {
+  const canonical = toCanonical(job);
+  return {
+    id: job.id || canonical.id || null,
+    title: canonical.title,
+    company: canonical.company,
+    location: canonical.location,
+    source: canonical.source || null,
+    url: canonical.url || null
+  };
+}
+
+/**
+ * Escape a value for a Markdown table cell
+ */
+function cell(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+class DedupAudit {
+  /**
+   * @param {Object} [options] - Audit options
+   * @param {number} [options.maxRows=200] - Decision rows in the Markdown report (JSON keeps all)
+   */
+  constructor(options = {}) {
+    this.maxRows = options.maxRows || 200;
+    this.decisions = [];
+    this.startedAt = new Date().toISOString();
+  }
+
+  /**
+   * Record a dedup decision
+   *
+   * @param {Object} job - Job that was dropped (or merged into the match)
+   * @param {Object} result - isDuplicate()/findDuplicate() result: { match, rule, reason, key, score, matchedFields }
+   * @param {Object} [details] - Extra details
+   * @param {string} [details.action='dropped'] - 'dropped', 'merged' or 'replaced' (the match was dropped instead)
+   * @returns {Object|null} - The recorded decision, or null if the result is not a duplicate
+   */
+  record(job, result, details = {}) {
+    if (!job || !result || !result.match) return null;
+
+    const decision = {
+      action: details.action || 'dropped',
+      rule: result.rule || 'unknown',
+      reason: result.reason || '',
+      key: result.key || null,
+      score: result.score !== undefined ? result.score : null,
+      matched_fields: result.matchedFields || [],
+      flags: getMatchFlags(job, result.match),
+      job: describeJob(job),
+      match: describeJob(result.match)
+    };
+
+    this.decisions.push(decision);
+    return decision;
+  }
+
+  /**
+   * Counts by rule, action and flag
+   * @returns {Object} - { total, by_rule, by_action, flagged }
+   */
+  summary() {
+    const count = (values) => values.reduce((acc, value) => {
+      acc[value] = (acc[value] || 0) + 1;
+      return acc;
+    }, {});
+
+    return {
+      total: this.decisions.length,
+      by_rule: count(this.decisions.map(d => d.rule)),
+      by_action: count(this.decisions.map(d => d.action)),
+      flagged: count([].concat(...this.decisions.map(d => d.flags)))
+    };
+  }
+
+  /**
+   * Decisions flagged as possibly merging distinct roles
+   */
+  suspicious() {
+    return this.decisions.filter(d => d.flags.includes('seniority_mismatch'));
+  }
+
+  toJSON() {
+    return {
+      started_at: this.startedAt,
+      generated_at: new Date().toISOString(),
+      summary: this.summary(),
+      decisions: this.decisions
+    };
+  }
+
+  /**
+   * Render the report as Markdown
+   * @returns {string}
+   */
+  toMarkdown() {
+    const summary = this.summary();
+    const lines = ['# Dedup Audit', '', `Generated: ${new Date().toISOString()}`, ''];
+
+    lines.push(`**${summary.total}** duplicate decisions.`, '');
+    lines.push('| Rule | Count |', '|------|-------|');
+    Object.entries(summary.by_rule).forEach(([rule, total]) => lines.push(`| ${rule} | ${total} |`));
+    lines.push('');
+
+    const row = (d) => `| ${cell(d.rule)}${d.score !== null ? ` (${d.score})` : ''} | ${cell(d.action)} | ${cell(d.job.title)} | ${cell(d.match.title)} | ${cell(d.job.company)} | ${cell(d.job.source)} → ${cell(d.match.source)} |`;
+    const header = ['| Rule | Action | Dropped title | Matched title | Company | Sources |', '|------|--------|---------------|---------------|---------|---------|'];
+
+    const suspicious = this.suspicious();
+    if (suspicious.length > 0) {
+      lines.push('## ⚠️ Seniority mismatches', '', 'These matches merged titles with different levels and may be distinct roles.', '');
+      lines.push(...header, ...suspicious.slice(0, this.maxRows).map(row), '');
+    }
+
+    lines.push('## Decisions', '');
+    lines.push(...header, ...this.decisions.slice(0, this.maxRows).map(row));
+    if (this.decisions.length > this.maxRows) {
+      lines.push('', `_${this.decisions.length - this.maxRows} more in dedup-audit.json_`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Write dedup-audit.json and dedup-audit.md (atomic writes)
+   * @param {string} [dir] - Output directory (default: .github/data, next to debug-trace.json)
+   * @returns {Object} - { jsonPath, markdownPath }
+   */
+  save(dir = path.join(process.cwd(), '.github', 'data')) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const jsonPath = path.join(dir, 'dedup-audit.json');
+    const markdownPath = path.join(dir, 'dedup-audit.md');
+
+    fs.writeFileSync(`${jsonPath}.tmp`, JSON.stringify(this.toJSON(), null, 2), 'utf8');
+    fs.renameSync(`${jsonPath}.tmp`, jsonPath);
+    fs.writeFileSync(`${markdownPath}.tmp`, this.toMarkdown(), 'utf8');
+    fs.renameSync(`${markdownPath}.tmp`, markdownPath);
+
+    return { jsonPath, markdownPath };
+  }
+}
+
+module.exports = {
+  DedupAudit,
+  getMatchFlags
+};
@@ -0,0 +1,306 @@
+/**
+ * @zapply/job-board-shared - Dedup Index
+ *
+ * Hash-map index over known jobs so duplicate checks are O(1) instead of
+ * the linear `existingJobs.find()` scans in isDuplicate. Jobs are indexed
+ * by ID, fingerprint, apply URL and minimal fingerprint; fuzzy matching
+ * only compares jobs from the same company.
+ *
+ * Usage:
+ *   const { DedupIndex } = require('./dedup-index');
+ *   const index = DedupIndex.load('.github/data/dedup_index.json');
+ *   currentJobs.forEach(job => index.add(job));
+ *
+ *   const result = index.findDuplicate(freshJob, { fuzzy: true });
+ *   if (!result.isDuplicate) index.add(freshJob);
+ *
+ *   index.save('.github/data/dedup_index.json');
+ *
+ * An index can be passed to isDuplicate() in place of the job array.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fingerprintOf, findNearDuplicate } = require('./deduplication');
+const { createIdStrategy } = require('./id-strategy');
+const { generateMinimalJobFingerprint } = require('./utils');
+const { normalizeCompanyName } = require('./jobId');
+const { toCanonical } = require('./job-schema');
+
+// 2: fingerprints read every field through toCanonical (see generateFingerprint)
+// 3: the fingerprint's employment type ignores description cues
+const INDEX_VERSION = 3;
+
+// Lookup order: the first key that hits decides the match
+const RULES = [
+  { key: 'id', reason: 'ID match' },
+  { key: 'fingerprint', reason: 'Fingerprint match (similar job attributes)' },
+  { key: 'url', reason: 'Apply URL match' },
+  { key: 'minimal_fingerprint', reason: 'Minimal fingerprint match' }
+];
+
+/**
+ * Normalize an apply URL to host + path ("www." and trailing slash removed)
+ *
+ * @param {string} url - Apply URL
+ * @returns {string|null} - Normalized URL, or null if missing/invalid
+ */
+function normalizeApplyUrl(url) {
+  if (!url) return null;
+
+  try {
+    const urlObj = new URL(url);
+    const host = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+    return `${host}${urlObj.pathname.replace(/\/+$/, '')}`.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+}
+
+class DedupIndex {
+  /**
+   * @param {Object} [options] - Index options
+   * @param {string} [options.scheme] - ID scheme for jobs without an id (see id-strategy.js)
+   */
+  constructor(options = {}) {
+    this.idStrategy = createIdStrategy({ scheme: options.scheme });
+    this.entries = new Map();
+    this.maps = {
+      fingerprint: new Map(),
+      url: new Map(),
+      minimal_fingerprint: new Map(),
+      company: new Map()
+    };
+  }
+
+  /**
+   * Compute the lookup keys for a job
+   * @param {Object} job - Job (any supported format)
+   * @returns {Object} - { id, fingerprint, url, minimal_fingerprint, company }
+   */
+  keysFor(job) {
+    const canonical = toCanonical(job);
+    // Content keys of a job with no title or company would match every such job
+    const hasContent = Boolean(canonical.title && canonical.company);
+
+    return {
+      id: job.id || this.idStrategy.generate(job),
+      fingerprint: fingerprintOf(job),
+      url: normalizeApplyUrl(canonical.url),
+      minimal_fingerprint: hasContent ? generateMinimalJobFingerprint(job) : null,
+      company: normalizeCompanyName(canonical.company)
+    };
+  }
+
+  /**
+   * Add (or replace) a job
+   * @param {Object} job - Job (any supported format)
+   * @returns {string} - The job's ID
+   */
+  add(job) {
+    const keys = this.keysFor(job);
+
+    if (this.entries.has(keys.id)) {
+      this.remove(keys.id);
+    }
+
+    this._insert({ keys, job });
+    return keys.id;
+  }
+
+  /**
+   * Remove a job by ID or job object
+   * @param {string|Object} jobOrId - Job ID, or job to compute it from
+   * @returns {boolean} - Whether a job was removed
+   */
+  remove(jobOrId) {
+    const id = typeof jobOrId === 'string' ? jobOrId : this.keysFor(jobOrId).id;
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+
+    Object.keys(this.maps).forEach(name => {
+      const value = entry.keys[name];
+      const ids = value && this.maps[name].get(value);
+      if (ids) {
+        ids.delete(id);
+        if (ids.size === 0) this.maps[name].delete(value);
+      }
+    });
+
+    this.entries.delete(id);
+    return true;
+  }
+
+  /**
+   * @param {string} id - Job ID
+   * @returns {Object|undefined} - Indexed job
+   */
+  get(id) {
+    const entry = this.entries.get(id);
+    return entry ? entry.job : undefined;
+  }
+
+  /**
+   * Number of indexed jobs
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * All indexed jobs, in insertion order
+   */
+  jobs() {
+    return Array.from(this.entries.values(), entry => entry.job);
+  }
+
+  /**
+   * Look a job up by ID, fingerprint, apply URL, minimal fingerprint and
+   * (optionally) fuzzy similarity against jobs from the same company
+   *
+   * @param {Object} job - Job to check
+   * @param {Object} [options] - Options
+   * @param {boolean|Object} [options.fuzzy] - Enable fuzzy matching (object: DEFAULT_FUZZY_OPTIONS overrides)
+   * @returns {Object} - { isDuplicate, match, reason, rule, key } (fuzzy matches add score and matchedFields)
+   */
+  findDuplicate(job, options = {}) {
+    const keys = this.keysFor(job);
+
+    for (const { key, reason } of RULES) {
+      const matchId = key === 'id'
+        ? (this.entries.has(keys.id) ? keys.id : null)
+        : this._first(this.maps[key], keys[key]);
+
+      if (matchId) {
+        return {
+          isDuplicate: true,
+          match: this.get(matchId),
+          // Same wording as the array path in isDuplicate
+          reason: key === 'id' ? `${reason} (${this.idStrategy.scheme})` : reason,
+          rule: key,
+          key: keys[key]
+        };
+      }
+    }
+
+    if (options.fuzzy && keys.company) {
+      const ids = this.maps.company.get(keys.company);
+      const candidates = ids ? Array.from(ids, id => this.get(id)) : [];
+      const near = findNearDuplicate(job, candidates, options.fuzzy === true ? {} : options.fuzzy);
+
+      if (near.isDuplicate) {
+        return {
+          isDuplicate: true,
+          match: near.match,
+          reason: `Fuzzy match (score ${near.score}: ${near.matchedFields.join(', ')})`,
+          rule: 'fuzzy',
+          key: null,
+          score: near.score,
+          matchedFields: near.matchedFields
+        };
+      }
+    }
+
+    return { isDuplicate: false, match: null, reason: 'No match found', rule: null, key: null };
+  }
+
+  /**
+   * Serializable form (keys are stored so loading does not rehash)
+   */
+  toJSON() {
+    return {
+      version: INDEX_VERSION,
+      scheme: this.idStrategy.scheme,
+      entries: Array.from(this.entries.values())
+    };
+  }
+
+  /**
+   * Write the index to disk (atomic write)
+   * @param {string} file - Output path
+   */
+  save(file) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempPath = `${file}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.toJSON()), 'utf8');
+    fs.renameSync(tempPath, file);
+  }
+
+  /**
+   * Rebuild an index from toJSON() output
+   *
+   * Keys saved by an older INDEX_VERSION are stale, so those jobs are
+   * rehashed (dropping their stored fingerprint) instead of reused.
+   *
+   * @param {Object} data - Serialized index
+   * @returns {DedupIndex}
+   */
+  static fromJSON(data) {
+    const index = new DedupIndex({ scheme: data && data.scheme });
+
+    if (data && Array.isArray(data.entries)) {
+      if (data.version === INDEX_VERSION) {
+        data.entries.forEach(entry => index._insert(entry));
+      } else {
+        data.entries.forEach(({ job: { fingerprint, ...job } }) => index.add(job));
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Load an index from disk (empty index if the file does not exist)
+   * @param {string} file - Index path
+   * @param {Object} [options] - Constructor options for a new index
+   * @returns {DedupIndex}
+   */
+  static load(file, options = {}) {
+    if (!fs.existsSync(file)) {
+      return new DedupIndex(options);
+    }
+
+    return DedupIndex.fromJSON(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  /**
+   * Build an index from an array of jobs
+   * @param {Array} jobs - Jobs to index
+   * @param {Object} [options] - Constructor options
+   * @returns {DedupIndex}
+   */
+  static fromJobs(jobs, options = {}) {
+    const index = new DedupIndex(options);
+    (jobs || []).forEach(job => index.add(job));
+    return index;
+  }
+
+  _insert(entry) {
+    const id = entry.keys.id;
+    this.entries.set(id, entry);
+
+    Object.keys(this.maps).forEach(name => {
+      const value = entry.keys[name];
+      if (!value) return;
+
+      if (!this.maps[name].has(value)) {
+        this.maps[name].set(value, new Set());
+      }
+      this.maps[name].get(value).add(id);
+    });
+  }
+
+  _first(map, value) {
+    const ids = value && map.get(value);
+    return ids && ids.size > 0 ? ids.values().next().value : null;
+  }
+}
+
+module.exports = {
+  DedupIndex,
+  normalizeApplyUrl
+};
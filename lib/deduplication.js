@@ -6,7 +6,28 @@
  */
 
 const crypto = require('crypto');
-const { generateJobId } = require('./jobId');
+const { createIdStrategy } = require('./id-strategy');
+const { toCanonical } = require('./job-schema');
+const { normalizeCompanyName } = require('./jobId');
+const { getSourceRank, mergeJobRecords } = require('./job-merge');
+const { getEmploymentType } = require('./employment-type');
+
+// Same ID scheme callers get from index.js generateJobId
+const idStrategy = createIdStrategy();
+
+/**
+ * Defaults for fuzzy near-duplicate matching
+ *
+ * score = sum(weight * field similarity); a pair is a near-duplicate when
+ * score >= threshold and the companies are at least minCompanyScore alike
+ * (the same title at two companies is never a duplicate).
+ */
+const DEFAULT_FUZZY_OPTIONS = {
+  threshold: 0.85,
+  minCompanyScore: 0.8,
+  fieldMatchScore: 0.8,
+  weights: { title: 0.6, company: 0.25, location: 0.15 }
+};
 
 /**
  * Generate a fingerprint for a job posting
@@ -16,11 +37,16 @@ const { generateJobId } = require('./jobId');
  * - Job title
  * - Location
  * - Experience level
- * - Employment type
+ * - Employment type (classified by getEmploymentType from the structured field
+ *   and title cues, so 'FULLTIME', 'Full-time' and a missing field on a
+ *   full-time posting all agree; description cues are left out, so a copy
+ *   whose description mentions interns is still the same job)
  *
- * Jobs with the same fingerprint are considered duplicates.
+ * Company, title and location are read through toCanonical, so JSearch
+ * (employer_name, job_title, job_city) and primary-format jobs fingerprint
+ * the same way. Jobs with the same fingerprint are considered duplicates.
  *
- * @param {Object} job - Job data object
+ * @param {Object} job - Job data object (any supported format)
  * @returns {string} - Job fingerprint (hex hash)
  *
  * @example
@@ -38,12 +64,13 @@ function generateFingerprint(job) {
     throw new Error('Job object is required');
   }
 
+  const canonical = toCanonical(job);
   const parts = [
-    job.company || '',
-    job.title || '',
-    job.location || '',
+    canonical.company,
+    canonical.title,
+    canonical.location,
     job.experience_level || '',
-    job.employment_type || ''
+    getEmploymentType(job, { fields: ['title'] })
   ];
 
   // Normalize and join parts
@@ -55,16 +82,178 @@ function generateFingerprint(job) {
   return crypto.createHash('sha256').update(normalized).digest('hex');
 }
 
+/**
+ * Fingerprint a job in either format, as both duplicate checks compare them
+ *
+ * The job's stored `fingerprint` is reused; otherwise it is generated. Used
+ * by isDuplicate and DedupIndex, so an array of jobs and an index give the
+ * same answer.
+ *
+ * @param {Object} job - Job (any supported format)
+ * @returns {string|null} - Fingerprint, or null for a job with no title or
+ *   company (it would match every other such job)
+ */
+function fingerprintOf(job) {
+  if (job.fingerprint) {
+    return job.fingerprint;
+  }
+
+  const canonical = toCanonical(job);
+  if (!canonical.title || !canonical.company) {
+    return null;
+  }
+
+  return generateFingerprint(job);
+}
+
+/**
+ * Split a job title into normalized tokens
+ *
+ * Roman numerals become digits, common abbreviations are expanded and
+ * punctuation (dashes, parentheses, slashes) is dropped, so
+ * "Software Engineer I – Remote" and "Software Engineer 1 (Remote)" give
+ * the same tokens.
+ *
+ * @param {string} title - Job title
+ * @returns {Array<string>} - Unique tokens
+ */
+function tokenizeTitle(title) {
+  const numerals = { i: '1', ii: '2', iii: '3', iv: '4', v: '5' };
+  const abbreviations = { sr: 'senior', jr: 'junior', eng: 'engineer', dev: 'developer', mgr: 'manager' };
+
+  const tokens = String(title || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(token => numerals[token] || abbreviations[token] || token);
+
+  return Array.from(new Set(tokens));
+}
+
+/**
+ * Dice coefficient of two token lists (1 = same tokens)
+ */
+function tokenOverlap(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const setB = new Set(b);
+  const shared = a.filter(token => setB.has(token)).length;
+  return (2 * shared) / (a.length + b.length);
+}
+
+/**
+ * Normalized company tokens (suffixes like Inc/LLC removed)
+ */
+function companyTokens(company) {
+  return normalizeCompanyName(String(company || ''))
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(Boolean);
+}
+
+/**
+ * Normalized city tokens ("San Francisco, CA" -> ['san', 'francisco'])
+ */
+function locationTokens(location) {
+  return String(location || '')
+    .split(',')[0]
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(Boolean);
+}
+
+/**
+ * Score how similar two jobs are
+ *
+ * @param {Object} a - Job (any supported format)
+ * @param {Object} b - Job (any supported format)
+ * @param {Object} [options] - Overrides for DEFAULT_FUZZY_OPTIONS
+ * @returns {Object} - { score, fields: { title, company, location }, matchedFields: string[] }
+ *
+ * @example
+ * scoreSimilarity(
+ *   { company: 'Acme', title: 'Software Engineer I – Remote', location: 'Remote' },
+ *   { company: 'Acme Inc.', title: 'Software Engineer 1 (Remote)', location: 'Remote' }
+ * );
+ * // Returns: { score: 1, fields: { title: 1, company: 1, location: 1 }, matchedFields: ['title', 'company', 'location'] }
+ */
+function scoreSimilarity(a, b, options = {}) {
+  const config = { ...DEFAULT_FUZZY_OPTIONS, ...options };
+  const weights = { ...DEFAULT_FUZZY_OPTIONS.weights, ...options.weights };
+  const jobA = toCanonical(a);
+  const jobB = toCanonical(b);
+
+  const locationA = locationTokens(jobA.location);
+  const locationB = locationTokens(jobB.location);
+
+  const fields = {
+    title: tokenOverlap(tokenizeTitle(jobA.title), tokenizeTitle(jobB.title)),
+    company: tokenOverlap(companyTokens(jobA.company), companyTokens(jobB.company)),
+    // A missing location is unknown rather than different
+    location: locationA.length === 0 || locationB.length === 0
+      ? (locationA.length === locationB.length ? 1 : 0.5)
+      : tokenOverlap(locationA, locationB)
+  };
+
+  const totalWeight = weights.title + weights.company + weights.location;
+  const score = (weights.title * fields.title + weights.company * fields.company + weights.location * fields.location) / totalWeight;
+
+  Object.keys(fields).forEach(field => {
+    fields[field] = Math.round(fields[field] * 1000) / 1000;
+  });
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    fields,
+    matchedFields: Object.keys(fields).filter(field => fields[field] >= config.fieldMatchScore)
+  };
+}
+
+/**
+ * Find the most similar existing job above the threshold
+ *
+ * @param {Object} job - Job to check
+ * @param {Array} existingJobs - Jobs to compare against
+ * @param {Object} [options] - Overrides for DEFAULT_FUZZY_OPTIONS
+ * @returns {Object} - { isDuplicate, match, score, fields, matchedFields }
+ */
+function findNearDuplicate(job, existingJobs, options = {}) {
+  const config = { ...DEFAULT_FUZZY_OPTIONS, ...options };
+  let best = { isDuplicate: false, match: null, score: 0, fields: null, matchedFields: [] };
+
+  for (const candidate of existingJobs) {
+    const result = scoreSimilarity(job, candidate, options);
+
+    if (result.fields.company < config.minCompanyScore || result.score < config.threshold) {
+      continue;
+    }
+
+    if (result.score > best.score) {
+      best = { isDuplicate: true, match: candidate, ...result };
+    }
+  }
+
+  return best;
+}
+
 /**
  * Check if a job is a duplicate of existing jobs
  *
  * Uses both ID and fingerprint for robust deduplication:
  * - ID: Fast check for exact matches
  * - Fingerprint: Detects similar jobs (e.g., same posting from different sources)
+ * - Fuzzy (opt-in): Title/company/location similarity above a threshold
  *
  * @param {Object} job - Job to check
- * @param {Array} existingJobs - Array of existing jobs with id and fingerprint
- * @returns {Object} - { isDuplicate: boolean, match: Object|null, reason: string }
+ * @param {Array|DedupIndex} existingJobs - Array of existing jobs with id and fingerprint, or a DedupIndex
+ * @param {Object} [options] - Options
+ * @param {boolean|Object} [options.fuzzy] - Enable fuzzy matching (object: DEFAULT_FUZZY_OPTIONS overrides)
+ * @returns {Object} - { isDuplicate: boolean, match: Object|null, reason: string, rule: string|null, key: string|null }
+ *   rule is 'id', 'fingerprint' or 'fuzzy' (fuzzy matches also include score and matchedFields)
  *
  * @example
  * const result = isDuplicate(newJob, existingJobs);
@@ -72,14 +261,19 @@ function generateFingerprint(job) {
  *   console.log('Duplicate found:', result.match.id, result.reason);
  * }
  */
-function isDuplicate(job, existingJobs) {
+function isDuplicate(job, existingJobs, options = {}) {
+  // A DedupIndex answers in O(1) instead of scanning
+  if (job && existingJobs && typeof existingJobs.findDuplicate === 'function') {
+    return existingJobs.findDuplicate(job, options);
+  }
+
   if (!job || !Array.isArray(existingJobs)) {
-    return { isDuplicate: false, match: null, reason: 'Invalid input' };
+    return { isDuplicate: false, match: null, reason: 'Invalid input', rule: null, key: null };
   }
 
   // Generate ID and fingerprint for the job
-  const jobId = generateJobId(job);
-  const fingerprint = generateFingerprint(job);
+  const jobId = idStrategy.generate(job);
+  const fingerprint = fingerprintOf(job);
 
   // Check 1: Exact ID match
   const idMatch = existingJobs.find(j => j.id === jobId);
@@ -87,21 +281,41 @@ function isDuplicate(job, existingJobs) {
     return {
       isDuplicate: true,
       match: idMatch,
-      reason: 'ID match (same company, title, location)'
+      reason: `ID match (${idStrategy.scheme})`,
+      rule: 'id',
+      key: jobId
     };
   }
 
   // Check 2: Fingerprint match (similar job, possibly from different source)
-  const fingerprintMatch = existingJobs.find(j => j.fingerprint === fingerprint);
+  const fingerprintMatch = fingerprint && existingJobs.find(j => fingerprintOf(j) === fingerprint);
   if (fingerprintMatch) {
     return {
       isDuplicate: true,
       match: fingerprintMatch,
-      reason: 'Fingerprint match (similar job attributes)'
+      reason: 'Fingerprint match (similar job attributes)',
+      rule: 'fingerprint',
+      key: fingerprint
     };
   }
 
-  return { isDuplicate: false, match: null, reason: 'No match found' };
+  // Check 3: Fuzzy near-duplicate
+  if (options.fuzzy) {
+    const near = findNearDuplicate(job, existingJobs, options.fuzzy === true ? {} : options.fuzzy);
+    if (near.isDuplicate) {
+      return {
+        isDuplicate: true,
+        match: near.match,
+        reason: `Fuzzy match (score ${near.score}: ${near.matchedFields.join(', ')})`,
+        rule: 'fuzzy',
+        key: null,
+        score: near.score,
+        matchedFields: near.matchedFields
+      };
+    }
+  }
+
+  return { isDuplicate: false, match: null, reason: 'No match found', rule: null, key: null };
 }
 
 /**
@@ -110,34 +324,96 @@ function isDuplicate(job, existingJobs) {
  * Returns only unique jobs, removing duplicates based on:
  * 1. Job ID (exact match)
  * 2. Fingerprint (similar jobs)
+ * 3. Fuzzy similarity (opt-in) - near-duplicates are folded into the copy
+ *    with the best source (see getSourceRank), kept at the first position
+ *
+ * With `merge`, duplicates are combined into the kept job field by field
+ * (see job-merge.js) instead of being dropped.
+ *
+ * With `audit` (a DedupAudit), every dropped or merged job is recorded with
+ * the job it matched and the rule that fired (see dedup-audit.js).
  *
  * @param {Array} jobs - Array of job objects
- * @returns {Array} - Array of unique jobs with id and fingerprint added
+ * @param {Object} [options] - Options
+ * @param {boolean|Object} [options.fuzzy] - Enable fuzzy matching (object: DEFAULT_FUZZY_OPTIONS overrides)
+ * @param {boolean} [options.merge] - Merge duplicates into the kept job (adds `sources` provenance)
+ * @param {DedupAudit} [options.audit] - Records each duplicate decision
+ * @returns {Array} - Array of unique jobs with id and fingerprint added (jobs with
+ *   no title or company get no fingerprint, so they only match by ID)
  *
  * @example
  * const jobs = [job1, job2, job3, duplicateJob1];
  * const uniqueJobs = filterDuplicates(jobs);
  * // Returns: [job1, job2, job3] (with duplicateJob1 removed)
  */
-function filterDuplicates(jobs) {
+function filterDuplicates(jobs, options = {}) {
   if (!Array.isArray(jobs)) return [];
 
-  const seen = new Set(); // Track seen IDs
-  const seenFingerprints = new Set(); // Track seen fingerprints
+  const seen = new Map(); // Track seen IDs -> position in uniqueJobs
+  const seenFingerprints = new Map(); // Track seen fingerprints -> position in uniqueJobs
   const uniqueJobs = [];
 
+  const remember = (job, position) => {
+    seen.set(job.id, position);
+    if (job.fingerprint) {
+      seenFingerprints.set(job.fingerprint, position);
+    }
+  };
+
   for (const job of jobs) {
-    // Add ID and fingerprint to each job
-    job.id = job.id || generateJobId(job);
-    job.fingerprint = job.fingerprint || generateFingerprint(job);
+    // Add ID and fingerprint to each job (no fingerprint without a title and
+    // company, see fingerprintOf)
+    job.id = job.id || idStrategy.generate(job);
+    const fingerprint = fingerprintOf(job);
+    if (fingerprint) {
+      job.fingerprint = fingerprint;
+    }
 
-    // Skip if we've seen this ID or fingerprint
-    if (seen.has(job.id) || seenFingerprints.has(job.fingerprint)) {
+    // Skip (or merge) if we've seen this ID or fingerprint
+    const rule = seen.has(job.id) ? 'id' : 'fingerprint';
+    const position = rule === 'id' ? seen.get(job.id) : seenFingerprints.get(fingerprint);
+    if (position !== undefined) {
+      if (options.audit) {
+        options.audit.record(job, {
+          match: uniqueJobs[position],
+          rule,
+          reason: rule === 'id' ? `ID match (${idStrategy.scheme})` : 'Fingerprint match (similar job attributes)',
+          key: rule === 'id' ? job.id : job.fingerprint
+        }, { action: options.merge ? 'merged' : 'dropped' });
+      }
+      if (options.merge) {
+        uniqueJobs[position] = mergeJobRecords(uniqueJobs[position], job);
+      }
       continue;
     }
 
-    seen.add(job.id);
-    seenFingerprints.add(job.fingerprint);
+    if (options.fuzzy) {
+      const near = findNearDuplicate(job, uniqueJobs, options.fuzzy === true ? {} : options.fuzzy);
+      if (near.isDuplicate) {
+        const nearPosition = uniqueJobs.indexOf(near.match);
+        const jobIsBetter = getSourceRank(job) > getSourceRank(near.match);
+
+        if (options.audit) {
+          options.audit.record(job, {
+            match: near.match,
+            rule: 'fuzzy',
+            reason: `Fuzzy match (score ${near.score}: ${near.matchedFields.join(', ')})`,
+            score: near.score,
+            matchedFields: near.matchedFields
+          }, { action: options.merge ? 'merged' : (jobIsBetter ? 'replaced' : 'dropped') });
+        }
+
+        if (options.merge) {
+          uniqueJobs[nearPosition] = jobIsBetter ? mergeJobRecords(job, near.match) : mergeJobRecords(near.match, job);
+        } else if (jobIsBetter) {
+          uniqueJobs[nearPosition] = job;
+        }
+        remember(job, nearPosition);
+        continue;
+      }
+    }
+
+    remember(job, uniqueJobs.length);
     uniqueJobs.push(job);
   }
 
@@ -157,13 +433,19 @@ function enrichJob(job) {
 
   return {
     ...job,
-    id: job.id || generateJobId(job),
+    id: job.id || idStrategy.generate(job),
     fingerprint: job.fingerprint || generateFingerprint(job)
   };
 }
 
 module.exports = {
+  DEFAULT_FUZZY_OPTIONS,
   generateFingerprint,
+  fingerprintOf,
+  tokenizeTitle,
+  scoreSimilarity,
+  findNearDuplicate,
+  getSourceRank,
   isDuplicate,
   filterDuplicates,
   enrichJob
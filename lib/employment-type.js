@@ -0,0 +1,117 @@
+/**
+ * @zapply/job-board-shared - Employment Type Classifier
+ *
+ * Combines a job's structured employment type (JSearch job_employment_type,
+ * an ATS employment_type) with title and description cues from
+ * config/categories.js `employmentTypes`, so "Software Engineering Intern"
+ * is an Internship even when the source says FULLTIME.
+ *
+ * Usage:
+ *   const { getEmploymentType, classifyEmploymentType } = require('./shared/lib/employment-type');
+ *   getEmploymentType({ job_title: 'Software Engineer Co-op', job_employment_type: 'INTERN' }); // 'Co-op'
+ *   classifyEmploymentType(job);
+ *   // { type: 'Co-op', scores: { 'Co-op': 3, Internship: 2 }, evidence: [{ type, cue, field, weight }] }
+ */
+
+const defaultCategories = require('../config/categories');
+const { toCanonical } = require('./job-schema');
+const { signalPattern } = require('./seniority');
+
+// Structured codes (JSearch and common ATS values, letters only) by type
+const TYPE_CODES = {
+  FULLTIME: 'Full-time',
+  PERMANENT: 'Full-time',
+  PARTTIME: 'Part-time',
+  CONTRACTOR: 'Contract',
+  CONTRACT: 'Contract',
+  TEMPORARY: 'Contract',
+  FREELANCE: 'Contract',
+  INTERN: 'Internship',
+  INTERNSHIP: 'Internship',
+  COOP: 'Co-op'
+};
+
+/**
+ * Map a structured employment type value to a type
+ *
+ * @param {string} value - e.g. 'FULLTIME', 'full_time', 'Contract'
+ * @returns {string|null} - Type, or null if unrecognized
+ */
+function normalizeEmploymentType(value) {
+  const code = String(value || '').toUpperCase().replace(/[^A-Z]/g, '');
+  return TYPE_CODES[code] || null;
+}
+
+/**
+ * Classify a job's employment type
+ *
+ * Each cue found in the title or description, and each recognized
+ * structured value, adds its field's weight to a type; the highest score
+ * wins and ties go to the type listed first in config.
+ *
+ * @param {Object} job - Job (any supported format)
+ * @param {Object} [options] - Classifier options
+ * @param {Object} [options.categories] - Categories config (default: config/categories.js)
+ * @param {Array<string>} [options.fields] - Text fields searched for cues (default: ['title', 'description'])
+ * @returns {Object} - { type, scores, evidence: [{ type, cue, field, weight }] }
+ */
+function classifyEmploymentType(job, options = {}) {
+  const categories = options.categories || defaultCategories;
+  const cues = categories.employmentTypes || defaultCategories.employmentTypes;
+  const scoring = { ...defaultCategories.employmentTypeScoring, ...(categories.employmentTypeScoring || {}) };
+  const defaultType = categories.defaultEmploymentType || defaultCategories.defaultEmploymentType;
+
+  const canonical = toCanonical(job || {});
+  const scores = {};
+  const evidence = [];
+  const add = (type, cue, field, weight) => {
+    scores[type] = (scores[type] || 0) + weight;
+    evidence.push({ type, cue, field, weight });
+  };
+
+  // Structured values: the canonical field plus JSearch's list of types
+  const values = [canonical.employment_type, ...((job && job.job_employment_types) || [])].filter(Boolean);
+  Array.from(new Set(values.map(normalizeEmploymentType)))
+    .filter(Boolean)
+    .forEach(type => add(type, values.find(value => normalizeEmploymentType(value) === type), 'employment_type', scoring.fieldWeight));
+
+  const searched = options.fields || ['title', 'description'];
+  const fields = [
+    { field: 'title', text: canonical.title, weight: scoring.titleWeight },
+    { field: 'description', text: canonical.description, weight: scoring.descriptionWeight }
+  ].filter(({ field }) => searched.includes(field));
+  Object.entries(cues).forEach(([type, keywords]) => {
+    fields.forEach(({ field, text, weight }) => {
+      const cue = text && keywords.find(keyword => signalPattern(keyword).test(text));
+      if (cue) add(type, cue, field, weight);
+    });
+  });
+
+  const ranked = Array.from(new Set([...Object.keys(cues), ...Object.keys(scores)])).filter(type => scores[type]);
+  if (ranked.length === 0) {
+    return { type: defaultType, scores, evidence };
+  }
+
+  return {
+    type: ranked.reduce((best, type) => (scores[type] > scores[best] ? type : best)),
+    scores,
+    evidence: evidence.sort((a, b) => b.weight - a.weight)
+  };
+}
+
+/**
+ * Get a job's employment type
+ *
+ * @param {Object} job - Job (any supported format)
+ * @param {Object} [options] - classifyEmploymentType options
+ * @returns {string} - 'Full-time', 'Part-time', 'Contract', 'Internship' or 'Co-op'
+ */
+function getEmploymentType(job, options = {}) {
+  return classifyEmploymentType(job, options).type;
+}
+
+module.exports = {
+  normalizeEmploymentType,
+  classifyEmploymentType,
+  getEmploymentType
+};
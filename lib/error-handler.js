@@ -6,6 +6,74 @@
 
 const logger = require('./logger');
 
+/**
+ * Error for a non-2xx HTTP response
+ *
+ * `retryAfterMs` is set when the server said how long to wait
+ * (Retry-After or a provider rate-limit reset header).
+ */
+class HttpError extends Error {
+  constructor(message, { statusCode, retryAfterMs = null, body = '' } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.retryAfterMs = retryAfterMs;
+    this.body = body;
+  }
+}
+
+/**
+ * Error for rejected credentials (401/403) - retrying cannot help
+ */
+class AuthenticationError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Error for an exhausted provider quota (e.g. the monthly RapidAPI plan)
+ */
+class QuotaExceededError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'QuotaExceededError';
+  }
+}
+
+/**
+ * Error for a replayed request with no recorded fixture (see
+ * jsearch-fixtures.js) - a missing recording is never "no jobs"
+ */
+class MissingFixtureError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'MissingFixtureError';
+  }
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds
+ *
+ * @param {string} value - Header value
+ * @param {Date} [now] - Current time (for testing)
+ * @returns {number|null} - Delay in ms, or null if absent/unparseable
+ */
+function parseRetryAfter(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  return Math.max(0, date.getTime() - now.getTime());
+}
+
 /**
  * Wrap an async function with error handling
  */
@@ -18,8 +86,26 @@ async function tryCatch(fn, operation, context = {}) {
   }
 }
 
+/**
+ * Whether an error is a dropped connection (socket hang up / ECONNRESET)
+ */
+function isSocketHangUp(error) {
+  return error.code === 'ECONNRESET' || /socket hang up/i.test(error.message || '');
+}
+
 /**
  * Wrap an async function with retry logic
+ *
+ * Errors are retried when their code or message matches `retryableErrors`,
+ * or when they carry a `statusCode` (HttpError) listed in
+ * `retryableStatusCodes`. A retry waits `retryAfterMs` when the server asked
+ * for it; a Retry-After longer than `maxDelayMs` is not retried, so a run
+ * never sleeps past the cap or retries before the server allows it.
+ * AuthenticationError and QuotaExceededError are never retried. Passing a
+ * `socketHangUp` policy ({ maxRetries, retryDelayMs, backoff }, see
+ * config.socketHangUp) gives dropped connections their own retry budget.
+ * A `shouldRetry(error, attempt)` hook can veto a retry the policy would
+ * make, e.g. once a request quota is spent.
  */
 async function withRetry(fn, operation, config = {}, context = {}) {
   const {
@@ -27,15 +113,21 @@ async function withRetry(fn, operation, config = {}, context = {}) {
     initialDelayMs = 1000,
     maxDelayMs = 30000,
     backoffMultiplier = 2,
-    retryableErrors = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'SOCKET']
+    retryableErrors = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'SOCKET'],
+    retryableStatusCodes = [],
+    socketHangUp = null,
+    shouldRetry = null
   } = config;
 
+  const attemptLimit = socketHangUp ? Math.max(maxAttempts, socketHangUp.maxRetries + 1) : maxAttempts;
+
   let lastError;
   let delay = initialDelayMs;
+  let socketDelay = socketHangUp ? socketHangUp.retryDelayMs : initialDelayMs;
 
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+  for (let attempt = 1; attempt <= attemptLimit; attempt++) {
     try {
-      logger.info(`Attempt ${attempt}/${maxAttempts} for ${operation}`, context);
+      logger.info(`Attempt ${attempt}/${attemptLimit} for ${operation}`, context);
       const result = await fn();
 
       if (attempt > 1) {
@@ -47,31 +139,56 @@ async function withRetry(fn, operation, config = {}, context = {}) {
       lastError = error;
 
       // Check if error is retryable
-      const isRetryable = retryableErrors.some(retryable =>
-        error.code === retryable ||
-        error.message.includes(retryable) ||
-        error.message.includes('socket') ||
-        error.message.includes('timeout')
-      );
-
-      if (!isRetryable || attempt >= maxAttempts) {
+      const hasRetryAfter = error.retryAfterMs !== undefined && error.retryAfterMs !== null;
+      const isFatal = error instanceof AuthenticationError ||
+        error instanceof QuotaExceededError ||
+        (hasRetryAfter && error.retryAfterMs > maxDelayMs);
+      const isRetryable = !isFatal && (
+        retryableStatusCodes.includes(error.statusCode) ||
+        retryableErrors.some(retryable =>
+          error.code === retryable ||
+          error.message.includes(retryable) ||
+          error.message.includes('socket') ||
+          error.message.includes('timeout')
+        ));
+
+      const socketError = socketHangUp && isSocketHangUp(error);
+      const limit = socketError ? socketHangUp.maxRetries + 1 : maxAttempts;
+
+      const vetoed = isRetryable && attempt < limit && shouldRetry && !shouldRetry(error, attempt);
+
+      if (!isRetryable || attempt >= limit || vetoed) {
         logger.error(`Failed after ${attempt} attempts for ${operation}`, {
           ...context,
           error: error.message,
-          isRetryable
+          status: error.statusCode,
+          retryAfterMs: hasRetryAfter ? error.retryAfterMs : undefined,
+          isRetryable,
+          retryVetoed: vetoed || undefined
         });
         throw error;
       }
 
+      let wait;
+      if (socketError) {
+        wait = socketDelay;
+        if (socketHangUp.backoff) {
+          socketDelay = Math.min(socketDelay * backoffMultiplier, maxDelayMs);
+        }
+      } else {
+        wait = hasRetryAfter ? error.retryAfterMs : delay;
+        delay = Math.min(delay * backoffMultiplier, maxDelayMs);
+      }
+
       // Log retry
-      logger.warn(`Retry ${attempt + 1}/${maxAttempts} for ${operation} after ${delay}ms`, {
+      logger.warn(`Retry ${attempt + 1}/${limit} for ${operation} after ${wait}ms`, {
         ...context,
-        error: error.message
+        error: error.message,
+        status: error.statusCode
       });
 
       // Wait before retry
-      await new Promise(resolve => setTimeout(resolve, delay));
-      delay = Math.min(delay * backoffMultiplier, maxDelayMs);
+      await new Promise(resolve => setTimeout(resolve, wait));
     }
   }
 
@@ -132,6 +249,12 @@ function createHandler(operation) {
 }
 
 module.exports = {
+  HttpError,
+  AuthenticationError,
+  QuotaExceededError,
+  MissingFixtureError,
+  parseRetryAfter,
+  isSocketHangUp,
   tryCatch,
   withRetry,
   parallel,
@@ -0,0 +1,144 @@
+/**
+ * @zapply/job-board-shared - Years-of-Experience Extraction
+ *
+ * Parses experience requirements out of job descriptions ("3+ years",
+ * "minimum of two years", "1–3 yrs", "at least 5 years of professional
+ * experience") and JSearch's `job_required_experience`, and combines them
+ * into one { min, max } range in years.
+ *
+ * Usage:
+ *   const { extractExperience } = require('./shared/lib/experience');
+ *   extractExperience({ job_description: 'Requires 2-4 years of experience in Python.' });
+ *   // { min: 2, max: 4, requirements: [{ min: 2, max: 4, text: '2-4 years', source: 'description' }] }
+ */
+
+const { toCanonical } = require('./job-schema');
+
+const NUMBER_WORDS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight',
+  'nine', 'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen'
+];
+const NUMBER = `(\\d{1,2}(?:\\.\\d)?|${NUMBER_WORDS.join('|')})`;
+const MAX_YEARS = 30;
+
+// [qualifier] N [+] [- M] [+ | or more | plus] years|yrs, then (looked ahead) the rest of the clause
+const REQUIREMENT_PATTERN = new RegExp(
+  '(?<![\\w.])(?:(minimum of|minimum|min\\.?|at least|over|more than)\\s+)?' +
+  `${NUMBER}(\\s*\\+)?(?:\\s*(?:-|–|—|to)\\s*${NUMBER})?(\\s*\\+|\\s+or more|\\s+plus)?` +
+  '\\s*(?:years?|yrs?)\\b(\\s*\\+)?(?=([^.;,\\n]{0,80}))',
+  'gi'
+);
+
+// Qualifiers that are requirement wording on their own ("at least 5 years")
+const REQUIREMENT_QUALIFIERS = /^(?:minimum|min|at least)/i;
+
+// After the figure: what the years are of ("5+ years of professional Python")
+const EXPERIENCE_CONTEXT = /experien|professional|hands-on|relevant|working|programming|coding|develop|building/i;
+
+// Before the figure, in the same clause: who needs them ("You have 3+ years")
+const REQUIREMENT_CONTEXT = /experien|\b(?:requir\w*|must|need\w*|you have|you bring|you've|looking for|seeking|qualifications?|preferred|ideally)\b/i;
+
+/**
+ * Parse a number or number word ('two' -> 2)
+ */
+function toNumber(value) {
+  const word = NUMBER_WORDS.indexOf(String(value).toLowerCase());
+  return word >= 0 ? word : parseFloat(value);
+}
+
+/**
+ * Start of the clause a match is in, up to the match
+ */
+function clauseBefore(text, index) {
+  const before = text.slice(Math.max(0, index - 80), index);
+  return before.slice(before.search(/[^.;,\n]*$/));
+}
+
+/**
+ * Find experience requirement phrases in text
+ *
+ * Ranges and "at least N" / "minimum N" always count. Anything else ("N
+ * years", "N+ years", "over N years") only counts with experience wording
+ * after it or requirement wording before it in the same clause, so company
+ * history ("For over 20 years, Acme...", "Acme has 15+ years of history")
+ * is not read as a requirement.
+ *
+ * @param {string} text - Job description
+ * @returns {Array<Object>} - [{ min, max, text }] in order of appearance (max is null unless a range is given)
+ */
+function parseExperienceRequirements(text) {
+  const requirements = [];
+  if (!text) return requirements;
+
+  const source = String(text);
+
+  for (const match of source.matchAll(REQUIREMENT_PATTERN)) {
+    const [, qualifier, from, , to, plusAfter, plusTrailing, rest] = match;
+    const explicit = Boolean(to) || REQUIREMENT_QUALIFIERS.test(qualifier || '');
+    const inContext = EXPERIENCE_CONTEXT.test(rest) || REQUIREMENT_CONTEXT.test(clauseBefore(source, match.index));
+
+    if (!explicit && !inContext) continue;
+
+    const min = toNumber(from);
+    const max = to !== undefined && !plusAfter && !plusTrailing ? toNumber(to) : null;
+    if (min > MAX_YEARS || (max !== null && (max < min || max > MAX_YEARS))) continue;
+
+    requirements.push({ min, max, text: match[0].trim() });
+  }
+
+  return requirements;
+}
+
+/**
+ * Requirement from JSearch's job_required_experience
+ *
+ * @param {Object} [required] - { no_experience_required, required_experience_in_months }
+ * @returns {Object|null} - { min, max, text } or null
+ */
+function fromJSearchExperience(required) {
+  if (!required) return null;
+
+  if (required.no_experience_required === true) {
+    return { min: 0, max: 0, text: 'no experience required' };
+  }
+
+  const months = required.required_experience_in_months;
+  if (typeof months === 'number' && months >= 0) {
+    return { min: Math.round((months / 12) * 10) / 10, max: null, text: `${months} months` };
+  }
+
+  return null;
+}
+
+/**
+ * Extract a job's years-of-experience requirement
+ *
+ * The combined minimum is the highest minimum found (a posting asking for
+ * "2+ years of Python and 5+ years of software development" needs 5); the
+ * maximum is kept only when every requirement has one.
+ *
+ * @param {Object} job - Job (any supported format; job_required_experience is read from the raw job)
+ * @returns {Object|null} - { min, max, requirements: [{ min, max, text, source }] }, or null if none
+ */
+function extractExperience(job) {
+  const requirements = parseExperienceRequirements(toCanonical(job || {}).description)
+    .map(requirement => ({ ...requirement, source: 'description' }));
+
+  const jsearch = fromJSearchExperience(job && job.job_required_experience);
+  if (jsearch) {
+    requirements.push({ ...jsearch, source: 'jsearch' });
+  }
+
+  if (requirements.length === 0) return null;
+
+  const min = Math.max(...requirements.map(requirement => requirement.min));
+  const maxes = requirements.map(requirement => requirement.max);
+  const max = maxes.includes(null) ? null : Math.max(min, ...maxes);
+
+  return { min, max, requirements };
+}
+
+module.exports = {
+  parseExperienceRequirements,
+  extractExperience
+};
@@ -0,0 +1,249 @@
+/**
+ * @zapply/job-board-shared - Filter Pipeline
+ *
+ * Declarative filter stages for processJobs. Each board lists the stages
+ * it needs, in order, with their parameters:
+ *
+ *   [
+ *     { type: 'country', allow: ['us', 'ca'] },
+ *     { type: 'seniority', exclude: ['Senior'] },
+ *     { type: 'maxAge', days: 7 }
+ *   ]
+ *
+ * Stage types:
+ * - usOnly:    isUSOnlyJob (US country, US state, or remote with no country)
+ * - country:   { allow: ['us', 'ca'], allowRemote = true, allowUnknown = false }
+ * - seniority: { exclude: ['Senior'], trustSources = ['jsearch'] } drops jobs whose
+ *              classifySeniority level is excluded; without `exclude` uses isSeniorJob
+ * - maxAge:    { days = 14 } drops jobs posted `days` or more days ago
+ * - keywords:  { include: [], exclude: [], fields = ['title'] } case-insensitive substrings
+ * - employmentType: { include: [], exclude: [] } by getEmploymentType ('Full-time', 'Internship', ...)
+ * - openLinks: drops jobs whose apply link was found closed (see link-checker.js)
+ *
+ * More types can be passed per run as `stageTypes` ({ type: factory }), where
+ * factory(params) returns a predicate (job => keep); they are looked up before
+ * the built-in types. A stage may also pass its own `filter` function instead
+ * of a type.
+ *
+ * Every stage logs and reports its kept and dropped counts to the
+ * PipelineTracer (checkpoint `filter_<name>`).
+ */
+
+const config = require('../config');
+const logger = require('./logger');
+const { toCanonical } = require('./job-schema');
+const { classifySeniority } = require('./seniority');
+const { getEmploymentType } = require('./employment-type');
+
+const log = logger.createChild({ component: 'filter-pipeline' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// processJobs' original chain: US-only, non-senior, under 14 days
+const DEFAULT_FILTERS = [
+  { type: 'usOnly' },
+  { type: 'seniority' },
+  { type: 'maxAge', days: 14 }
+];
+
+// Country names and codes mapped to one code
+const COUNTRY_ALIASES = {
+  us: config.locations.usIndicators,
+  ca: ['canada'],
+  mx: ['mexico'],
+  gb: ['uk', 'united kingdom', 'great britain', 'britain', 'england'],
+  de: ['germany', 'deutschland'],
+  fr: ['france'],
+  nl: ['netherlands', 'holland'],
+  ie: ['ireland'],
+  in: ['india'],
+  sg: ['singapore'],
+  jp: ['japan'],
+  au: ['australia'],
+  nz: ['new zealand']
+};
+
+/**
+ * Normalize a country name or code ('United States' -> 'us')
+ *
+ * @param {string} value - Country name or code
+ * @returns {string} - Country code, or the lowercased name if unknown ('' if empty)
+ */
+function normalizeCountry(value) {
+  const country = String(value || '').toLowerCase().trim();
+  if (!country) return '';
+
+  const code = Object.keys(COUNTRY_ALIASES).find(key => key === country || COUNTRY_ALIASES[key].includes(country));
+  return code || country;
+}
+
+/**
+ * Country of a job: its country field, else 'us' for a US state, else
+ * 'remote' for a remote job with no country ('' if unknown)
+ *
+ * @param {Object} job - Job (any supported format)
+ * @returns {string}
+ */
+function getJobCountry(job) {
+  const canonical = toCanonical(job);
+  const country = normalizeCountry(canonical.country);
+  if (country) return country;
+
+  const state = canonical.state.toLowerCase().trim();
+  if (config.locations.usStates.codes.includes(state) || config.locations.usStates.fullNames.includes(state)) {
+    return 'us';
+  }
+
+  if (`${canonical.city} ${canonical.location}`.toLowerCase().includes('remote')) {
+    return 'remote';
+  }
+
+  return '';
+}
+
+// Lazily required: job-processor requires this module
+const processor = () => require('./job-processor');
+
+const STAGES = {
+  usOnly: () => job => processor().isUSOnlyJob(job),
+
+  country: (params) => {
+    const allow = (params.allow || ['us']).map(normalizeCountry);
+    const allowRemote = params.allowRemote !== false;
+
+    return job => {
+      const country = getJobCountry(job);
+      if (country === 'remote') return allowRemote;
+      if (!country) return params.allowUnknown === true;
+      return allow.includes(country);
+    };
+  },
+
+  seniority: (params) => {
+    const trustSources = params.trustSources || config.categories.seniority.trustSources;
+    if (!params.exclude) {
+      return job => !processor().isSeniorJob(job, { trustSources });
+    }
+
+    const exclude = params.exclude.map(level => String(level).toLowerCase());
+
+    return job => {
+      const canonical = toCanonical(job);
+      if (trustSources.includes(canonical.source)) return true;
+
+      const { level } = classifySeniority(job, { categories: config.categories });
+      return !exclude.includes(level.toLowerCase());
+    };
+  },
+
+  maxAge: (params) => {
+    const days = params.days !== undefined ? params.days : 14;
+
+    return job => {
+      const postedDate = toCanonical(job).posted_at;
+      if (!postedDate) return true;
+
+      const ageInDays = Math.floor((Date.now() - new Date(postedDate).getTime()) / DAY_MS);
+      return !(ageInDays >= days);
+    };
+  },
+
+  openLinks: () => job => job.link_status !== 'closed',
+
+  employmentType: (params) => {
+    const include = (params.include || []).map(type => type.toLowerCase());
+    const exclude = (params.exclude || []).map(type => type.toLowerCase());
+
+    return job => {
+      const type = getEmploymentType(job, { categories: config.categories }).toLowerCase();
+      if (include.length > 0 && !include.includes(type)) return false;
+      return !exclude.includes(type);
+    };
+  },
+
+  keywords: (params) => {
+    const include = (params.include || []).map(k => k.toLowerCase());
+    const exclude = (params.exclude || []).map(k => k.toLowerCase());
+    const fields = params.fields || ['title'];
+
+    return job => {
+      const canonical = toCanonical(job);
+      const text = fields.map(field => canonical[field] || '').join(' ').toLowerCase();
+
+      if (include.length > 0 && !include.some(k => text.includes(k))) return false;
+      return !exclude.some(k => text.includes(k));
+    };
+  }
+};
+
+/**
+ * Build a predicate from a stage config
+ *
+ * @param {Object} stage - { type, name, ...params } or { name, filter }
+ * @param {Object} [stageTypes] - Extra stage types, { type: (params) => predicate(job) returning true to keep the job }
+ * @returns {Object} - { name, type, params, test }
+ * @throws {Error} - If the type is unknown
+ */
+function createFilterStage(stage, stageTypes = {}) {
+  if (typeof stage.filter === 'function') {
+    return { name: stage.name || 'custom', type: stage.type || 'custom', params: {}, test: stage.filter };
+  }
+
+  const types = { ...STAGES, ...stageTypes };
+  const factory = types[stage.type];
+  if (typeof factory !== 'function') {
+    throw new Error(`Unknown filter stage type: ${stage.type} (expected ${Object.keys(types).join(', ')})`);
+  }
+
+  const { type, name, ...params } = stage;
+  return { name: name || type, type, params, test: factory(params) };
+}
+
+/**
+ * Run jobs through a list of filter stages
+ *
+ * @param {Array} jobs - Jobs to filter
+ * @param {Array} [stages] - Stage configs (default: DEFAULT_FILTERS)
+ * @param {Object} [options] - Run options
+ * @param {Object} [options.tracer] - PipelineTracer instance for checkpoints
+ * @param {Object} [options.stageTypes] - Extra stage types for this run (see createFilterStage)
+ * @returns {Object} - { jobs, stages: [{ name, type, params, kept, dropped }], dropped: { name: jobs } }
+ */
+function runFilterPipeline(jobs, stages = DEFAULT_FILTERS, options = {}) {
+  const { tracer, stageTypes } = options;
+  const built = stages.map(stage => createFilterStage(stage, stageTypes));
+  const report = [];
+  const dropped = {};
+  let remaining = jobs;
+
+  built.forEach(stage => {
+    const kept = [];
+    const removed = [];
+    remaining.forEach(job => (stage.test(job) ? kept : removed).push(job));
+
+    report.push({ name: stage.name, type: stage.type, params: stage.params, kept: kept.length, dropped: removed.length });
+    dropped[stage.name] = (dropped[stage.name] || []).concat(removed);
+    log.info(`Filter stage ${stage.name}`, { stage: stage.name, kept: kept.length, dropped: removed.length });
+
+    if (tracer) {
+      tracer.checkpoint(`filter_${stage.name}`, kept, {
+        type: stage.type,
+        params: stage.params,
+        kept: kept.length,
+        dropped: removed.length
+      });
+    }
+
+    remaining = kept;
+  });
+
+  return { jobs: remaining, stages: report, dropped };
+}
+
+module.exports = {
+  DEFAULT_FILTERS,
+  normalizeCountry,
+  getJobCountry,
+  createFilterStage,
+  runFilterPipeline
+};
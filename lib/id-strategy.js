@@ -0,0 +1,165 @@
+/**
+ * @zapply/job-board-shared - Job ID Strategy
+ *
+ * One versioned API for job IDs. Each scheme reproduces an ID format that
+ * is already persisted in some repo, so switching modules onto the
+ * strategy does not change their IDs:
+ *
+ * - url-v1:            URL host+path slug, falling back to generateEnhancedId (utils, index.js)
+ * - url-slug-v1:       URL host+path slug, falling back to company-title-city (old job-processor)
+ * - hash-v1:           SHA-256 of bare company|title|location, 8 hex chars (jobId.js)
+ * - hash-canonical-v1: SHA-256 of company|title|location from either format (utils.generateJobIdHash)
+ *
+ * This module holds the only implementation of each scheme; the
+ * generateJobId* helpers in utils.js and jobId.js go through it.
+ *
+ * Usage:
+ *   const { createIdStrategy } = require('./id-strategy');
+ *   const ids = createIdStrategy({ scheme: 'url-v1' });
+ *   job.id = ids.generate(job);
+ *
+ * Use lib/migrate-job-ids.js to rewrite stored IDs when changing scheme.
+ */
+
+const crypto = require('crypto');
+const { toCanonical } = require('./job-schema');
+const { normalizeCompanyName, normalizeTitle, normalizeLocation } = require('./jobId');
+const { generateEnhancedId, normalizeCompanyNameStr } = require('./utils');
+
+const DEFAULT_ID_SCHEME = 'url-v1';
+
+/**
+ * First 8 hex characters of the SHA-256 of company|title|location
+ */
+function hashParts(company, title, location) {
+  const hashInput = `${company}|${title}|${location}`.toLowerCase().trim();
+  return crypto.createHash('sha256').update(hashInput).digest('hex').substring(0, 8);
+}
+
+/**
+ * Slug of a URL's host and path, or null if the URL is missing or invalid
+ */
+function urlSlug(url) {
+  if (!url) return null;
+
+  try {
+    const urlObj = new URL(url);
+    const normalized = urlObj.hostname + urlObj.pathname.replace(/\/$/, '');
+    return normalized.toLowerCase().replace(/[^\w]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * url-v1: URL slug, or generateEnhancedId
+ */
+function generateUrlId(job) {
+  return urlSlug(toCanonical(job).url) || generateEnhancedId(job);
+}
+
+/**
+ * url-slug-v1 (old job-processor format): URL slug, or a plain company-title-city slug
+ */
+function generateSlugId(job) {
+  const canonical = toCanonical(job);
+
+  const slug = urlSlug(canonical.url);
+  if (slug) {
+    return slug;
+  }
+
+  const company = canonical.company.toLowerCase().replace(/\s+/g, '-');
+  const title = canonical.title.toLowerCase().replace(/\s+/g, '-');
+  const location = canonical.city.toLowerCase().replace(/\s+/g, '-');
+  return `${company}-${title}-${location}`.replace(/[^\w-]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * hash-v1 (jobId.js format): hash of the bare company, title and location fields
+ */
+function generateHashId(job) {
+  const company = normalizeCompanyName(job.company);
+  const title = normalizeTitle(job.title);
+  const location = job.location ? normalizeLocation(job.location) : '';
+
+  return hashParts(company, title, location);
+}
+
+/**
+ * hash-canonical-v1 (utils.generateJobIdHash format): hash of the canonical
+ * company and title
+ */
+function generateCanonicalHashId(job) {
+  const canonical = toCanonical(job);
+  const company = normalizeCompanyNameStr(canonical.company);
+  const title = canonical.title.toLowerCase().trim();
+  // Bare `location` wins over job_city here (IDs already persisted with this order)
+  const location = job.location || job.job_city || '';
+
+  return hashParts(company, title, location);
+}
+
+/**
+ * Registered ID schemes
+ */
+const ID_SCHEMES = {
+  'url-v1': {
+    version: 1,
+    description: 'URL slug, falling back to normalized company-title-location',
+    generate: generateUrlId
+  },
+  'url-slug-v1': {
+    version: 1,
+    description: 'URL slug, falling back to plain company-title-city',
+    generate: generateSlugId
+  },
+  'hash-v1': {
+    version: 1,
+    description: 'SHA-256 of company|title|location (8 hex characters)',
+    generate: generateHashId
+  },
+  'hash-canonical-v1': {
+    version: 1,
+    description: 'SHA-256 of company|title|location read from either job format (8 hex characters)',
+    generate: generateCanonicalHashId
+  }
+};
+
+/**
+ * Create an ID strategy
+ *
+ * @param {Object} [options] - Strategy options
+ * @param {string} [options.scheme='url-v1'] - One of ID_SCHEMES
+ * @returns {Object} - { scheme, version, description, generate(job), matches(job, id) }
+ * @throws {Error} - If the scheme is unknown
+ */
+function createIdStrategy(options = {}) {
+  const scheme = options.scheme || DEFAULT_ID_SCHEME;
+  const definition = ID_SCHEMES[scheme];
+
+  if (!definition) {
+    throw new Error(`Unknown job ID scheme "${scheme}" (expected one of: ${Object.keys(ID_SCHEMES).join(', ')})`);
+  }
+
+  function generate(job) {
+    if (!job) {
+      throw new Error('Job object is required');
+    }
+    return definition.generate(job);
+  }
+
+  return {
+    scheme,
+    version: definition.version,
+    description: definition.description,
+    generate,
+    matches: (job, id) => generate(job) === id
+  };
+}
+
+module.exports = {
+  DEFAULT_ID_SCHEME,
+  ID_SCHEMES,
+  createIdStrategy
+};
@@ -0,0 +1,285 @@
+/**
+ * @zapply/job-board-shared - Job Archive
+ *
+ * Persistent lifecycle history for every job a board has listed. Each
+ * record has a state and the time it entered each state:
+ * - new:      first seen in this run
+ * - active:   still in the current set
+ * - stale:    still current, but posted `staleAfterDays` or more days ago
+ * - archived: dropped from the current set (aged out or no longer fetched)
+ * - removed:  gone for good (posting closed, or archived past `retentionDays`)
+ *
+ * processJobs syncs the archive after every run, so the README's archived
+ * section and stats can be queried from real history instead of whatever
+ * the caller passes in.
+ *
+ * Usage:
+ *   const { createJobArchive } = require('./shared/lib/job-archive');
+ *   const archive = createJobArchive();
+ *   archive.sync({ currentJobs, archivedJobs });
+ *   archive.save();
+ *
+ *   const lastWeek = archive.query({ state: 'archived', from: Date.now() - 7 * DAY_MS });
+ */
+
+const logger = require('./logger');
+const { toCanonical } = require('./job-schema');
+const { getDefaultStorage } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ARCHIVE_VERSION = 1;
+const STATES = ['new', 'active', 'stale', 'archived', 'removed'];
+const LISTED_STATES = ['new', 'active', 'stale'];
+
+/**
+ * Create a job archive bound to a storage backend
+ *
+ * @param {Object} [options] - Archive options
+ * @param {Object} [options.storage] - Storage backend (see storage.js; default: getDefaultStorage())
+ * @param {number} [options.staleAfterDays=7] - Age at which a current job becomes stale
+ * @param {number} [options.retentionDays=90] - Days an archived job is kept before it is removed,
+ *   and a removed job before it is dropped
+ * @param {Function} [options.now] - Clock (for testing)
+ * @returns {Object} - Archive with sync, transition, remove, get, query, stats and save methods
+ */
+function createJobArchive(options = {}) {
+  const storage = options.storage || getDefaultStorage();
+  const staleAfterDays = options.staleAfterDays || 7;
+  const retentionDays = options.retentionDays || 90;
+  const now = options.now || Date.now;
+
+  const stored = storage.read('job_archive', null);
+  const records = new Map(Object.entries((stored && stored.records) || {}));
+
+  /**
+   * Move a record to a new state (no-op if it is already in that state)
+   *
+   * @param {string} id - Job ID
+   * @param {string} state - Target state
+   * @param {Object} [details] - { reason }
+   * @returns {Object|null} - The record, or null if the ID is unknown
+   */
+  function transition(id, state, details = {}) {
+    if (!STATES.includes(state)) {
+      throw new Error(`Unknown job state: ${state} (expected ${STATES.join(', ')})`);
+    }
+
+    const record = records.get(id);
+    if (!record) return null;
+    if (record.state === state) return record;
+
+    const at = new Date(now()).toISOString();
+    record.state = state;
+    record.state_changed_at = at;
+    record.history.push({ state, at, ...(details.reason ? { reason: details.reason } : {}) });
+    return record;
+  }
+
+  /**
+   * Add a job, or refresh its copy and last-seen time
+   */
+  function upsert(job, state) {
+    const at = new Date(now()).toISOString();
+    const existing = records.get(job.id);
+
+    if (existing) {
+      existing.job = job;
+      existing.last_seen = at;
+      return transition(job.id, state);
+    }
+
+    const record = {
+      id: job.id,
+      state,
+      first_seen: at,
+      last_seen: at,
+      state_changed_at: at,
+      history: [{ state, at }],
+      job
+    };
+    records.set(job.id, record);
+    return record;
+  }
+
+  /**
+   * Record the outcome of a processJobs run
+   *
+   * Current jobs become new (first sighting), active or stale; jobs the run
+   * archived, and listed jobs missing from the current set, become archived.
+   *
+   * @param {Object} run - { currentJobs, archivedJobs }
+   * @returns {Object} - Transition counts by state, e.g. { new: 3, archived: 1 }
+   */
+  function sync(run) {
+    const counts = {};
+    const count = (before, record) => {
+      if (record && record.state !== before) {
+        counts[record.state] = (counts[record.state] || 0) + 1;
+      }
+    };
+    const currentIds = new Set();
+
+    (run.currentJobs || []).forEach(job => {
+      if (!job.id) return;
+      currentIds.add(job.id);
+
+      const before = records.has(job.id) ? records.get(job.id).state : null;
+      const postedAt = new Date(toCanonical(job).posted_at).getTime();
+      const isStale = postedAt && now() - postedAt >= staleAfterDays * DAY_MS;
+      const state = isStale ? 'stale' : (before === null ? 'new' : 'active');
+
+      count(before, upsert(job, state));
+    });
+
+    (run.archivedJobs || []).forEach(job => {
+      if (!job.id || currentIds.has(job.id)) return;
+      const before = records.has(job.id) ? records.get(job.id).state : null;
+      count(before, upsert(job, 'archived'));
+    });
+
+    records.forEach(record => {
+      if (LISTED_STATES.includes(record.state) && !currentIds.has(record.id)) {
+        const before = record.state;
+        count(before, transition(record.id, 'archived', { reason: 'left current set' }));
+      }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Mark a job as removed (e.g. its posting closed)
+   *
+   * @param {string} id - Job ID
+   * @param {string} [reason] - Why it was removed
+   * @returns {Object|null} - The record, or null if the ID is unknown
+   */
+  function remove(id, reason) {
+    return transition(id, 'removed', { reason });
+  }
+
+  /**
+   * Find records by state and date range
+   *
+   * The range applies to the time each record entered its current state
+   * (e.g. when it was archived).
+   *
+   * @param {Object} [filters] - Query filters
+   * @param {string|Array<string>} [filters.state] - State(s) the record is in now
+   * @param {Date|number|string} [filters.from] - Inclusive start
+   * @param {Date|number|string} [filters.to] - Exclusive end
+   * @returns {Array<Object>} - Matching records, most recent first
+   */
+  function query(filters = {}) {
+    const states = filters.state ? [].concat(filters.state) : null;
+    const from = filters.from !== undefined ? new Date(filters.from).getTime() : -Infinity;
+    const to = filters.to !== undefined ? new Date(filters.to).getTime() : Infinity;
+
+    const withTime = [];
+    records.forEach(record => {
+      if (states && !states.includes(record.state)) return;
+
+      const at = new Date(record.state_changed_at).getTime();
+      if (at >= from && at < to) {
+        withTime.push({ at, record });
+      }
+    });
+
+    return withTime.sort((a, b) => b.at - a.at).map(({ record }) => record);
+  }
+
+  /**
+   * Counts for a date range
+   *
+   * With a range, only records with a transition inside it are counted.
+   *
+   * @param {Object} [filters] - { from, to }
+   * @returns {Object} - { total, byState, archivedByCompany, transitions: { state: count } }
+   */
+  function stats(filters = {}) {
+    const from = filters.from !== undefined ? new Date(filters.from).getTime() : -Infinity;
+    const to = filters.to !== undefined ? new Date(filters.to).getTime() : Infinity;
+    const hasRange = filters.from !== undefined || filters.to !== undefined;
+    const byState = {};
+    const archivedByCompany = {};
+    const transitions = {};
+    let total = 0;
+
+    records.forEach(record => {
+      const inRange = record.history.filter(entry => {
+        const at = new Date(entry.at).getTime();
+        return at >= from && at < to;
+      });
+      if (hasRange && inRange.length === 0) return;
+
+      total++;
+      byState[record.state] = (byState[record.state] || 0) + 1;
+      inRange.forEach(entry => {
+        transitions[entry.state] = (transitions[entry.state] || 0) + 1;
+      });
+
+      if (record.state === 'archived') {
+        const company = toCanonical(record.job).company || 'Unknown';
+        archivedByCompany[company] = (archivedByCompany[company] || 0) + 1;
+      }
+    });
+
+    return { total, byState, archivedByCompany, transitions };
+  }
+
+  /**
+   * Remove archived jobs past the retention period, drop removed jobs past
+   * it again, and write the archive
+   *
+   * @returns {Object} - { removed, dropped }
+   */
+  function save() {
+    const cutoff = now() - retentionDays * DAY_MS;
+    let removed = 0;
+    let dropped = 0;
+
+    records.forEach((record, id) => {
+      const changedAt = new Date(record.state_changed_at).getTime();
+
+      if (record.state === 'archived' && changedAt < cutoff) {
+        transition(id, 'removed', { reason: 'retention' });
+        removed++;
+      } else if (record.state === 'removed' && changedAt < cutoff) {
+        records.delete(id);
+        dropped++;
+      }
+    });
+
+    try {
+      storage.write('job_archive', {
+        version: ARCHIVE_VERSION,
+        updated_at: new Date(now()).toISOString(),
+        records: Object.fromEntries(records)
+      });
+    } catch (error) {
+      logger.error('Error saving job archive', { error: error.message, backend: storage.backend });
+    }
+
+    return { removed, dropped };
+  }
+
+  return {
+    storage,
+    sync,
+    transition,
+    remove,
+    query,
+    stats,
+    save,
+    get: id => records.get(id) || null,
+    jobs: (filters = {}) => query(filters).map(record => record.job),
+    get size() {
+      return records.size;
+    }
+  };
+}
+
+module.exports = {
+  JOB_STATES: STATES,
+  createJobArchive
+};
@@ -0,0 +1,133 @@
+/**
+ * @zapply/job-board-shared - Job Set Diff
+ *
+ * Compares two job sets by ID: which jobs were added, removed, updated
+ * (with the fields that changed) or left unchanged. processJobs diffs each
+ * run's current set against the previous one and writes the result as the
+ * run_diff artifact (see toRunDiffArtifact).
+ *
+ * Usage:
+ *   const { diffJobs, summarizeDiff } = require('./shared/lib/job-diff');
+ *   const diff = diffJobs(previousJobs, currentJobs);
+ *   console.log(summarizeDiff(diff)); // { added: 3, removed: 1, updated: 2, unchanged: 40 }
+ */
+
+const { createIdStrategy } = require('./id-strategy');
+
+const idStrategy = createIdStrategy();
+const ARTIFACT_VERSION = 1;
+
+// Bookkeeping fields that change without the posting changing
+// (merge provenance and link check results, see link-checker.js)
+const IGNORED_FIELDS = ['sources', 'link_checked_at', 'link_status', 'link_closed_reason'];
+
+/**
+ * Top-level fields whose values differ between two copies of a job
+ *
+ * @param {Object} before - Previous copy
+ * @param {Object} after - Current copy
+ * @param {Array<string>} [ignore] - Fields to skip
+ * @returns {Array<string>} - Changed field names, sorted
+ */
+function changedFields(before, after, ignore = IGNORED_FIELDS) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return Array.from(keys)
+    .filter(key => !ignore.includes(key))
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .sort();
+}
+
+/**
+ * Diff two job sets by ID
+ *
+ * @param {Array} before - Previous jobs
+ * @param {Array} after - Current jobs
+ * @param {Object} [options] - Diff options
+ * @param {Array<string>} [options.ignoreFields] - Fields that do not count as a change
+ * @returns {Object} - { added, removed, updated: [{ id, fields, before, after }], unchanged }
+ */
+function diffJobs(before, after, options = {}) {
+  const ignore = options.ignoreFields || IGNORED_FIELDS;
+  const idOf = job => job.id || idStrategy.generate(job);
+  const previous = new Map((before || []).map(job => [idOf(job), job]));
+  const seen = new Set();
+  const diff = { added: [], removed: [], updated: [], unchanged: [] };
+
+  (after || []).forEach(job => {
+    const id = idOf(job);
+    seen.add(id);
+
+    if (!previous.has(id)) {
+      diff.added.push(job);
+      return;
+    }
+
+    const fields = changedFields(previous.get(id), job, ignore);
+    if (fields.length > 0) {
+      diff.updated.push({ id, fields, before: previous.get(id), after: job });
+    } else {
+      diff.unchanged.push(job);
+    }
+  });
+
+  previous.forEach((job, id) => {
+    if (!seen.has(id)) diff.removed.push(job);
+  });
+
+  return diff;
+}
+
+/**
+ * JSON artifact for a run diff (run_diff.json), for notifications,
+ * changelogs and commit messages
+ *
+ * Added and removed jobs are included in full; updated jobs carry the
+ * before/after value of each changed field; unchanged jobs are listed by ID.
+ *
+ * @param {Object} diff - diffJobs() result
+ * @param {Object} [options] - Artifact options
+ * @param {Function} [options.now] - Clock (for testing)
+ * @returns {Object} - { version, generated_at, summary, added, removed, updated, unchanged }
+ */
+function toRunDiffArtifact(diff, options = {}) {
+  const now = options.now || Date.now;
+  const idOf = job => job.id || idStrategy.generate(job);
+
+  return {
+    version: ARTIFACT_VERSION,
+    generated_at: new Date(now()).toISOString(),
+    summary: summarizeDiff(diff),
+    added: diff.added,
+    removed: diff.removed,
+    updated: diff.updated.map(({ id, fields, before, after }) => ({
+      id,
+      fields,
+      changes: Object.fromEntries(fields.map(field => [field, { before: before[field], after: after[field] }])),
+      job: after
+    })),
+    unchanged: diff.unchanged.map(idOf)
+  };
+}
+
+/**
+ * Counts for a diff
+ *
+ * @param {Object} diff - diffJobs() result
+ * @returns {Object} - { added, removed, updated, unchanged }
+ */
+function summarizeDiff(diff) {
+  return {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    updated: diff.updated.length,
+    unchanged: diff.unchanged.length
+  };
+}
+
+module.exports = {
+  changedFields,
+  diffJobs,
+  summarizeDiff,
+  toRunDiffArtifact
+};
@@ -0,0 +1,177 @@
+/**
+ * @zapply/job-board-shared - Duplicate Merge Policy
+ *
+ * Combines two copies of the same job field by field instead of keeping
+ * one and dropping the other:
+ * - description: the longest one
+ * - posted date:  the earliest valid date
+ * - apply link:   direct ATS link over employer link over aggregator link
+ * - locations:    the union (by city)
+ * - sources:      provenance of every copy ({ source, url, id })
+ *
+ * Everything else comes from the base job, and the merged job keeps the
+ * base job's format (legacy, primary or canonical field names).
+ *
+ * Usage:
+ *   const { mergeJobRecords } = require('./job-merge');
+ *   const merged = mergeJobRecords(keptJob, duplicateJob);
+ *   merged.sources; // [{ source: 'greenhouse', url: ... }, { source: 'jsearch', url: ... }]
+ */
+
+const { detectFormat, toCanonical } = require('./job-schema');
+
+// Apply-link hosts ranked by how directly they reach the employer
+const ATS_HOSTS = [
+  'greenhouse.io', 'lever.co', 'ashbyhq.com', 'myworkdayjobs.com', 'smartrecruiters.com',
+  'icims.com', 'workable.com', 'jobvite.com', 'bamboohr.com', 'recruitee.com'
+];
+const AGGREGATOR_HOSTS = [
+  'linkedin.com', 'indeed.com', 'glassdoor.com', 'ziprecruiter.com', 'monster.com',
+  'simplyhired.com', 'talent.com', 'jooble.org', 'dice.com', 'builtin.com'
+];
+const ATS_SOURCES = ['greenhouse', 'lever', 'ashby'];
+
+// Keys each field can be stored under, in the order toCanonical reads them
+const FIELD_KEYS = {
+  description: ['description', 'job_description'],
+  posted_at: ['posted_at', 'job_posted_at_datetime_utc', 'date_posted', 'posted_date'],
+  url: ['url', 'job_apply_link']
+};
+
+/**
+ * Hostname of a URL ('' if invalid)
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Rank an apply link: 3 = ATS, 2 = employer/other, 1 = aggregator, 0 = none
+ *
+ * @param {string} url - Apply link
+ * @param {string} [source] - Job source name (ATS sources always rank 3)
+ * @returns {number}
+ */
+function getLinkRank(url, source = '') {
+  if (ATS_SOURCES.includes(String(source).toLowerCase())) return 3;
+  if (!url) return 0;
+
+  const host = hostOf(url);
+  const onHost = list => list.some(domain => host === domain || host.endsWith(`.${domain}`));
+  return onHost(ATS_HOSTS) ? 3 : onHost(AGGREGATOR_HOSTS) ? 1 : 2;
+}
+
+/**
+ * Rank how directly a job's listing reaches the employer
+ *
+ * Integer part is getLinkRank(); longer descriptions break ties.
+ *
+ * @param {Object} job - Job (any supported format)
+ * @returns {number}
+ */
+function getSourceRank(job) {
+  const canonical = toCanonical(job);
+  const rank = getLinkRank(canonical.url, canonical.source);
+
+  // Fraction keeps the integer rank dominant
+  return rank + Math.min(canonical.description.length, 100000) / 1000000;
+}
+
+/**
+ * Provenance entries for a job (its own, or those from earlier merges)
+ *
+ * @param {Object} job - Job (any supported format)
+ * @returns {Array<Object>} - [{ source, url, id }]
+ */
+function getProvenance(job) {
+  if (Array.isArray(job.sources) && job.sources.length > 0) {
+    return job.sources;
+  }
+
+  const canonical = toCanonical(job);
+  return [{
+    source: canonical.source || hostOf(canonical.url).replace(/^www\./, '') || 'unknown',
+    url: canonical.url || null,
+    id: canonical.id
+  }];
+}
+
+/**
+ * Write a field back under the key the base job already uses
+ */
+function setField(job, field, value, format) {
+  const keys = FIELD_KEYS[field];
+  const existing = keys.find(key => job[key] !== undefined && job[key] !== null && job[key] !== '');
+  const fallback = format === 'legacy' ? keys[1] : field === 'posted_at' && format === 'primary' ? 'date_posted' : keys[0];
+
+  job[existing || fallback] = value;
+}
+
+/**
+ * Merge a duplicate into a base job
+ *
+ * @param {Object} base - Job to keep (its ID, title, company and format win)
+ * @param {Object} duplicate - Other copy of the same job
+ * @returns {Object} - New merged job with `sources` provenance
+ */
+function mergeJobRecords(base, duplicate) {
+  const a = toCanonical(base);
+  const b = toCanonical(duplicate);
+  const format = detectFormat(base);
+  const merged = { ...base };
+
+  // Longest description
+  if (b.description.length > a.description.length) {
+    setField(merged, 'description', b.description, format);
+  }
+
+  // Earliest valid posted date
+  const timeOf = value => (value ? new Date(value).getTime() : NaN);
+  const timeA = timeOf(a.posted_at);
+  const timeB = timeOf(b.posted_at);
+  if (!isNaN(timeB) && (isNaN(timeA) || timeB < timeA)) {
+    setField(merged, 'posted_at', b.posted_at, format);
+  }
+
+  // Most direct apply link
+  if (getLinkRank(b.url, b.source) > getLinkRank(a.url, a.source)) {
+    setField(merged, 'url', b.url, format);
+  }
+
+  // Union of locations, by city
+  const cityOf = location => location.split(',')[0].trim().toLowerCase();
+  const locations = [...a.locations];
+  b.locations.forEach(location => {
+    if (!locations.some(existing => cityOf(existing) === cityOf(location))) {
+      locations.push(location);
+    }
+  });
+  if (locations.length > a.locations.length) {
+    merged.locations = locations;
+  }
+
+  // Provenance
+  const sources = [...getProvenance(base)];
+  getProvenance(duplicate).forEach(entry => {
+    const known = sources.some(existing => (entry.url
+      ? existing.url === entry.url
+      : !existing.url && existing.source === entry.source));
+    if (!known) {
+      sources.push(entry);
+    }
+  });
+  merged.sources = sources;
+
+  return merged;
+}
+
+module.exports = {
+  getLinkRank,
+  getSourceRank,
+  getProvenance,
+  mergeJobRecords
+};
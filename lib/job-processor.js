@@ -7,89 +7,77 @@
  * Used by all SEO job board repositories (Software Engineering, Data Science, Hardware Engineering, Nursing)
  */
 
-const fs = require('fs');
-const path = require('path');
+const categories = require('../config/categories');
+const { toCanonical } = require('./job-schema');
+const { classifySeniority } = require('./seniority');
+const { createIdStrategy } = require('./id-strategy');
+const { mergeJobRecords } = require('./job-merge');
+const { filterDuplicates } = require('./deduplication');
+const { DedupAudit } = require('./dedup-audit');
+const { createSeenJobsStore } = require('./seen-jobs-store');
+const { getDefaultStorage, createDryRunStorage } = require('./storage');
+const { createRateLimiter } = require('./rate-limiter');
+const { diffJobs, summarizeDiff, toRunDiffArtifact } = require('./job-diff');
+const { DEFAULT_FILTERS, runFilterPipeline } = require('./filter-pipeline');
+const { PipelineTracer } = require('./instrumentation');
+const { createJobArchive } = require('./job-archive');
+const { checkJobLinks, isClosedJob } = require('./link-checker');
+
+const idStrategy = createIdStrategy();
 
 /**
- * Generate unique job ID from JSearch job data
+ * Generate unique job ID from JSearch job data (shared default ID scheme)
  */
 function generateJobId(job) {
-    const jobUrl = job.job_apply_link;
-
-    if (jobUrl) {
-        try {
-            const urlObj = new URL(jobUrl);
-            const normalized = urlObj.hostname + urlObj.pathname.replace(/\/$/, '');
-            return normalized.toLowerCase().replace(/[^\w]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-        } catch (e) {
-            // Invalid URL, fall through to fallback
-        }
-    }
-
-    // Fallback: company-title-location
-    const company = (job.employer_name || '').toLowerCase().replace(/\s+/g, '-');
-    const title = (job.job_title || '').toLowerCase().replace(/\s+/g, '-');
-    const location = (job.job_city || '').toLowerCase().replace(/\s+/g, '-');
-    return `${company}-${title}-${location}`.replace(/[^\w-]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+    return idStrategy.generate(job);
 }
 
 /**
  * Generate job fingerprint for duplicate detection
  */
 function generateJobFingerprint(job) {
-    const title = (job.job_title || '').toLowerCase()
+    const canonical = toCanonical(job);
+    const title = canonical.title.toLowerCase()
         .replace(/\b(senior|sr\.?|junior|jr\.?|staff|principal|lead|associate)\b/gi, '')
         .replace(/\s+/g, ' ')
         .trim();
 
-    const company = (job.employer_name || '').toLowerCase()
+    const company = canonical.company.toLowerCase()
         .replace(/\s+(inc\.?|llc|corp\.?|ltd\.?)$/i, '')
         .trim();
 
-    const location = (job.job_city || '').split(',')[0].toLowerCase().trim();
+    const location = canonical.city.split(',')[0].toLowerCase().trim();
 
     return `${company}::${title}::${location}`;
 }
 
 /**
  * Check if job is senior level (should be filtered out)
+ *
+ * Senior means classifySeniority (see seniority.js) picks Senior. Jobs from
+ * `options.trustSources` (default: config seniority.trustSources) never are.
  */
-function isSeniorJob(job) {
+function isSeniorJob(job, options = {}) {
+    const canonical = toCanonical(job);
+
     // EXCEPTION: JSearch jobs already filtered by API (under_3_years_experience)
-    // Skip senior filter for JSearch source - trust the API
-    if (job.job_source === 'jsearch') {
+    // Skip senior filter for trusted sources - trust the API
+    const trustSources = options.trustSources || categories.seniority.trustSources;
+    if (trustSources.includes(canonical.source)) {
         return false; // Not senior (allow job)
     }
 
-    const text = `${job.job_title || ''} ${job.job_description || ''}`.toLowerCase();
-
-    const seniorKeywords = [
-        'senior', 'sr.', 'staff', 'principal', 'lead',
-        'architect', 'manager', 'director', 'vp', 'head of'
-    ];
-
-    // Check if it contains senior keywords
-    const hasSeniorKeyword = seniorKeywords.some(kw => text.includes(kw));
-
-    // But allow if it also has entry-level indicators
-    const entryLevelKeywords = [
-        'entry level', 'junior', 'jr.', 'new grad', 'recent graduate',
-        'associate', 'intern', 'campus', 'student', '0-2 years', 'early career'
-    ];
-
-    const hasEntryLevelKeyword = entryLevelKeywords.some(kw => text.includes(kw));
-
-    // Filter if has senior keywords and NO entry-level indicators
-    return hasSeniorKeyword && !hasEntryLevelKeyword;
+    return classifySeniority(job, options).level === 'Senior';
 }
 
 /**
  * Check if job is US-only
  */
 function isUSOnlyJob(job) {
-    const country = (job.job_country || '').toLowerCase();
-    const state = (job.job_state || '').toLowerCase();
-    const city = (job.job_city || '').toLowerCase();
+    const canonical = toCanonical(job);
+    const country = canonical.country.toLowerCase();
+    const state = canonical.state.toLowerCase();
+    const city = canonical.city.toLowerCase();
 
     // Explicit US indicators
     if (country === 'us' || country === 'usa' || country === 'united states') {
@@ -131,7 +119,7 @@ function isUSOnlyJob(job) {
  * Check if job is older than 14 days
  */
 function isJobOlderThan14Days(job) {
-    const postedDate = job.job_posted_at_datetime_utc;
+    const postedDate = toCanonical(job).posted_at;
     if (!postedDate) return false;
 
     const jobDate = new Date(postedDate);
@@ -143,86 +131,47 @@ function isJobOlderThan14Days(job) {
 
 /**
  * Load seen jobs from store
+ *
+ * Returns a Set-like seen-jobs store (see seen-jobs-store.js) that also
+ * tracks first/last seen, source and times seen for each ID.
+ * Pass `storage` (see storage.js) to read from another backend.
  */
-function loadSeenJobsStore() {
-    const dataDir = path.join(process.cwd(), '.github', 'data');
-    const seenPath = path.join(dataDir, 'seen_jobs.json');
-
-    try {
-        if (!fs.existsSync(seenPath)) {
-            return new Set();
-        }
-
-        const data = JSON.parse(fs.readFileSync(seenPath, 'utf8'));
-        const seenSet = new Set();
-
-        if (Array.isArray(data)) {
-            data.forEach(id => seenSet.add(id));
-        } else {
-            Object.keys(data).forEach(id => seenSet.add(id));
-        }
-
-        return seenSet;
-    } catch (error) {
-        console.error('Error loading seen jobs:', error.message);
-        return new Set();
-    }
+function loadSeenJobsStore(options = {}) {
+    return createSeenJobsStore(options);
 }
 
 /**
  * Save seen jobs to store
+ *
+ * Accepts the store from loadSeenJobsStore, or (for older callers) any
+ * iterable of IDs, which is recorded as seen in this run. Entries past the
+ * TTL are dropped on save.
  */
-function saveSeenJobsStore(seenJobs) {
-    const dataDir = path.join(process.cwd(), '.github', 'data');
-
-    if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
+function saveSeenJobsStore(seenJobs, options = {}) {
+    if (seenJobs && typeof seenJobs.markSeen === 'function') {
+        seenJobs.save();
+        return;
     }
 
-    const seenPath = path.join(dataDir, 'seen_jobs.json');
-    const tempPath = path.join(dataDir, 'seen_jobs.tmp.json');
-
-    const data = Array.from(seenJobs);
-
-    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
-    fs.renameSync(tempPath, seenPath);
+    const store = createSeenJobsStore(options);
+    Array.from(seenJobs || []).forEach(id => store.markSeen(String(id)));
+    store.save();
 }
 
 /**
  * Load current jobs store
  */
-function loadCurrentJobsStore() {
-    const dataDir = path.join(process.cwd(), '.github', 'data');
-    const currentPath = path.join(dataDir, 'current_jobs.json');
-
-    try {
-        if (!fs.existsSync(currentPath)) {
-            return [];
-        }
-
-        const data = JSON.parse(fs.readFileSync(currentPath, 'utf8'));
-        return data || [];
-    } catch (error) {
-        console.error('Error loading current jobs:', error.message);
-        return [];
-    }
+function loadCurrentJobsStore(options = {}) {
+    const storage = options.storage || getDefaultStorage();
+    return storage.read('current_jobs', []) || [];
 }
 
 /**
  * Save current jobs store
  */
-function saveCurrentJobsStore(jobs) {
-    const dataDir = path.join(process.cwd(), '.github', 'data');
-
-    if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-    }
-
-    const currentPath = path.join(dataDir, 'current_jobs.json');
-    const tempPath = path.join(dataDir, 'current_jobs.tmp.json');
-
-    fs.writeFileSync(tempPath, JSON.stringify(jobs, null, 2), 'utf8');
-    fs.renameSync(tempPath, currentPath);
+function saveCurrentJobsStore(jobs, options = {}) {
+    const storage = options.storage || getDefaultStorage();
+    storage.write('current_jobs', jobs);
 }
 
 /**
@@ -230,23 +179,31 @@ function saveCurrentJobsStore(jobs) {
  * SEO repos have two-step process:
  * 1. job-processor writes new_jobs.json
  * 2. write-current-jobs merges into current_jobs.json
+ *
+ * processJobs passes only the jobs added since the previous run.
  */
-function writeNewJobsFile(freshJobs) {
-    const dataDir = path.join(process.cwd(), '.github', 'data');
-
-    if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-    }
-
-    const newJobsPath = path.join(dataDir, 'new_jobs.json');
-    const tempPath = path.join(dataDir, 'new_jobs.tmp.json');
+function writeNewJobsFile(newJobs, options = {}) {
+    const storage = options.storage || getDefaultStorage();
+    storage.write('new_jobs', newJobs);
+}
 
-    fs.writeFileSync(tempPath, JSON.stringify(freshJobs, null, 2), 'utf8');
-    fs.renameSync(tempPath, newJobsPath);
+/**
+ * Write run_diff.json: this run's current set compared with the previous one
+ * (see toRunDiffArtifact in job-diff.js)
+ */
+function writeRunDiffFile(diff, options = {}) {
+    const storage = options.storage || getDefaultStorage();
+    const artifact = toRunDiffArtifact(diff, options);
+    storage.write('run_diff', artifact);
+    return artifact;
 }
 
 /**
  * Merge persisted jobs with fresh jobs
+ *
+ * When a fresh job has the same ID as a persisted one, the two are combined
+ * field by field (see job-merge.js): the fresh copy is the base, while the
+ * earliest posted date, longest description and `sources` provenance carry over.
  */
 function mergeJobs(persistedJobs, freshJobs) {
     const jobMap = new Map();
@@ -259,7 +216,8 @@ function mergeJobs(persistedJobs, freshJobs) {
 
     freshJobs.forEach(job => {
         if (job.id) {
-            jobMap.set(job.id, job);
+            const persisted = jobMap.get(job.id);
+            jobMap.set(job.id, persisted ? mergeJobRecords(job, persisted) : job);
         }
     });
 
@@ -268,49 +226,119 @@ function mergeJobs(persistedJobs, freshJobs) {
 
 /**
  * Process jobs from JSearch API
+ *
+ * Stores are read and written through `options.storage` (see storage.js),
+ * defaulting to the backend selected in config. `options.filters` lists the
+ * board's filter stages (see filter-pipeline.js), and `options.filterStageTypes`
+ * adds stage types of its own. Jobs dropped by a maxAge
+ * stage, or no longer current, are moved to the job archive (see
+ * job-archive.js); archivedJobs lists the jobs this run dropped for age,
+ * and the full history is in the returned `archive`.
+ * With `options.checkLinks` (true or checkJobLinks options), apply links are
+ * checked first and closed postings are dropped (see link-checker.js).
+ * With `options.dedup` (true or filterDuplicates options), duplicates within
+ * the fetched batch are removed before merging. `options.audit` (true or a
+ * DedupAudit) records each of those decisions and turns the step on; the
+ * audit is returned as `audit` and saved as dedup-audit.json/.md.
+ *
+ * Each run is diffed against the previous current set (see job-diff.js):
+ * the diff is returned as `diff` and written as run_diff.json, and
+ * new_jobs.json gets only the added jobs.
+ *
+ * With `options.dryRun` (or DRY_RUN=true) everything is computed but writes
+ * stay in memory; the result adds the names of the stores that would be written.
  */
-async function processJobs(jobs) {
-    console.log('🔧 Processing jobs...');
+async function processJobs(jobs, options = {}) {
+    const dryRun = options.dryRun !== undefined ? options.dryRun : process.env.DRY_RUN === 'true';
+    const targetStorage = options.storage || getDefaultStorage();
+    const storage = dryRun ? createDryRunStorage(targetStorage) : targetStorage;
+    console.log(dryRun ? '🔧 Processing jobs (dry run - nothing will be written)...' : '🔧 Processing jobs...');
 
-    // Add unique IDs
+    // Add unique IDs (tagged with the scheme so stores can be migrated later)
     jobs.forEach(job => {
         job.id = generateJobId(job);
+        job.id_scheme = idStrategy.scheme;
     });
 
-    // Write new_jobs.json FIRST (for write-current-jobs to consume)
-    writeNewJobsFile(jobs);
-    console.log(`📝 Wrote ${jobs.length} jobs to new_jobs.json`);
+    // Drop duplicates within the fetched batch (opt-in)
+    let audit = null;
+    let freshJobs = jobs;
+    if (options.dedup || options.audit) {
+        const dedupOptions = options.dedup && options.dedup !== true ? options.dedup : {};
+        audit = options.audit === true ? new DedupAudit() : options.audit || null;
+        freshJobs = filterDuplicates(jobs, { ...dedupOptions, audit });
+        console.log(`🧹 Removed ${jobs.length - freshJobs.length} duplicate jobs`);
+    }
 
     // Load persisted jobs
-    const persistedJobs = loadCurrentJobsStore();
+    const persistedJobs = loadCurrentJobsStore({ storage });
+    const previousJobs = JSON.parse(JSON.stringify(persistedJobs)); // link checks mark jobs in place
     console.log(`📦 Loaded ${persistedJobs.length} persisted jobs`);
 
     // Merge with fresh jobs
-    const mergedJobs = mergeJobs(persistedJobs, jobs);
+    const mergedJobs = mergeJobs(persistedJobs, freshJobs);
     console.log(`📊 Merged to ${mergedJobs.length} unique jobs`);
 
-    // Filter to US-only
-    const usJobs = mergedJobs.filter(job => isUSOnlyJob(job));
-    console.log(`🇺🇸 Filtered to ${usJobs.length} US-only jobs`);
+    const archive = options.archive || createJobArchive({ storage });
 
-    // Filter out senior jobs
-    const nonSeniorJobs = usJobs.filter(job => !isSeniorJob(job));
-    console.log(`🎓 Filtered out ${usJobs.length - nonSeniorJobs.length} senior jobs`);
+    // Check apply links (opt-in); closed postings are removed from the board
+    if (options.checkLinks) {
+        const linkOptions = options.checkLinks === true ? {} : options.checkLinks;
+        const rateLimiter = linkOptions.rateLimiter || (dryRun ? createRateLimiter({ stateFile: null }) : undefined);
+        const { closed } = await checkJobLinks(mergedJobs, { ...linkOptions, rateLimiter, archive });
+        console.log(`🔗 Found ${closed.length} closed postings`);
+    }
+    const openJobs = mergedJobs.filter(job => !isClosedJob(job));
+
+    // Run the board's filter stages (default: US-only, non-senior, < 14 days)
+    const filters = options.filters || DEFAULT_FILTERS;
+    const tracer = options.tracer || PipelineTracer.instance;
+    const { jobs: currentJobs, stages, dropped } = runFilterPipeline(openJobs, filters, {
+        tracer,
+        stageTypes: options.filterStageTypes
+    });
+    console.log(`📅 Filtered to ${currentJobs.length} current jobs`);
 
-    // Filter by age (keep jobs < 14 days)
-    const currentJobs = nonSeniorJobs.filter(job => !isJobOlderThan14Days(job));
-    console.log(`📅 Filtered to ${currentJobs.length} current jobs (< 14 days old)`);
+    // Compare with the previous run; only added jobs count as new
+    const diff = diffJobs(previousJobs, currentJobs);
+    const summary = summarizeDiff(diff);
+    writeRunDiffFile(diff, { storage });
+    writeNewJobsFile(diff.added, { storage });
+    console.log(`📝 Run diff: ➕ ${summary.added} added, ➖ ${summary.removed} removed, ✏️ ${summary.updated} changed, ${summary.unchanged} unchanged`);
 
     // Save current jobs
-    saveCurrentJobsStore(currentJobs);
+    saveCurrentJobsStore(currentJobs, { storage });
 
-    // Calculate archived jobs
-    const archivedJobs = nonSeniorJobs.filter(job => isJobOlderThan14Days(job));
+    // Jobs dropped for age are archived; the archive keeps their lifecycle history
+    const ageStages = new Set(stages.filter(stage => stage.type === 'maxAge').map(stage => stage.name));
+    const archivedJobs = [].concat(...Array.from(ageStages, name => dropped[name]));
+    const transitions = archive.sync({ currentJobs, archivedJobs });
+    archive.save();
+    console.log(`🗂️ Archive transitions: ${JSON.stringify(transitions)}`);
 
-    return {
+    const result = {
         currentJobs,
-        archivedJobs
+        archivedJobs,
+        stages,
+        archive,
+        diff
     };
+
+    if (audit) {
+        result.audit = audit;
+        // Saved next to the stores (an in-memory backend has no directory)
+        if (!dryRun && targetStorage.dataDir) {
+            audit.save(targetStorage.dataDir);
+        }
+    }
+
+    if (dryRun) {
+        result.dryRun = true;
+        result.writes = Array.from(storage.writes.keys());
+        console.log(`🧪 Dry run - nothing written. Would write: ${result.writes.join(', ')}`);
+    }
+
+    return result;
 }
 
 module.exports = {
@@ -324,6 +352,7 @@ module.exports = {
     loadCurrentJobsStore,
     saveCurrentJobsStore,
     writeNewJobsFile,
+    writeRunDiffFile,
     mergeJobs,
     processJobs
 };
@@ -0,0 +1,198 @@
+/**
+ * @zapply/job-board-shared - Canonical Job Schema
+ *
+ * Single place that knows every field name a job can arrive with.
+ * Converts the primary format (title, company_name, locations[], url),
+ * the legacy JSearch format (job_title, employer_name, job_city, ...) and
+ * the bare { company, title, location } shape into one canonical object,
+ * and back again.
+ *
+ * Canonical job:
+ * {
+ *   id:              string|null  - Our job ID (never the provider's)
+ *   source_id:       string|null  - Provider's own ID (JSearch job_id, ATS id)
+ *   title:           string
+ *   company:         string
+ *   location:        string       - First entry of `locations`
+ *   locations:       string[]
+ *   city:            string
+ *   state:           string
+ *   country:         string
+ *   url:             string
+ *   description:     string
+ *   posted_at:       string|null  - ISO-8601 or relative ("3d") as provided
+ *   employment_type: string
+ *   source:          string
+ * }
+ */
+
+const CANONICAL_FIELDS = [
+  'id', 'source_id', 'title', 'company', 'location', 'locations', 'city', 'state',
+  'country', 'url', 'description', 'posted_at', 'employment_type', 'source'
+];
+
+/**
+ * Return the first non-empty value
+ */
+function pick(...values) {
+  for (const value of values) {
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Detect which input format a job object uses
+ *
+ * @param {Object} job - Job data
+ * @returns {string} - 'legacy', 'primary' or 'canonical'
+ */
+function detectFormat(job) {
+  if (!job) return 'canonical';
+  if (job.job_title !== undefined || job.employer_name !== undefined) return 'legacy';
+  if (job.company_name !== undefined) return 'primary';
+  return 'canonical';
+}
+
+/**
+ * Convert a job in any supported format to the canonical shape
+ *
+ * Idempotent: converting a canonical job returns an equal object.
+ *
+ * @param {Object} job - Job data (primary, legacy or canonical)
+ * @returns {Object} - Canonical job
+ *
+ * @example
+ * toCanonical({ job_title: 'SWE', employer_name: 'Google', job_city: 'Mountain View', job_state: 'CA' });
+ * // Returns: { title: 'SWE', company: 'Google', location: 'Mountain View', city: 'Mountain View', state: 'CA', ... }
+ */
+function toCanonical(job) {
+  if (!job) {
+    throw new Error('Job object is required');
+  }
+
+  const locations = Array.isArray(job.locations) && job.locations.length > 0
+    ? job.locations.map(l => String(l))
+    : [];
+
+  // Same precedence the ID and fingerprint helpers have always used
+  const location = pick(locations[0], job.job_city, job.location) || '';
+  if (locations.length === 0 && location) {
+    locations.push(location);
+  }
+
+  const locationParts = location.split(',').map(p => p.trim());
+
+  return {
+    id: pick(job.id) || null,
+    source_id: pick(job.source_id, job.job_id) || null,
+    title: String(pick(job.title, job.job_title) || ''),
+    company: String(pick(job.company_name, job.employer_name, job.company) || ''),
+    location,
+    locations,
+    city: pick(job.job_city, job.city, locationParts[0]) || '',
+    state: pick(job.job_state, job.state, locationParts[1]) || '',
+    country: pick(job.job_country, job.country) || '',
+    url: pick(job.url, job.job_apply_link) || '',
+    description: pick(job.description, job.job_description) || '',
+    posted_at: pick(job.posted_at, job.job_posted_at_datetime_utc, job.date_posted, job.posted_date) || null,
+    employment_type: pick(job.employment_type, job.job_employment_type) || '',
+    source: pick(job.source, job.job_source) || ''
+  };
+}
+
+/**
+ * Convert a canonical job to the primary or legacy format
+ *
+ * @param {Object} canonical - Canonical job (other formats are converted first)
+ * @param {string} [format='legacy'] - 'legacy', 'primary' or 'canonical'
+ * @returns {Object} - Job in the requested format
+ */
+function fromCanonical(canonical, format = 'legacy') {
+  const job = toCanonical(canonical);
+
+  switch (format) {
+    case 'legacy':
+      return {
+        id: job.id,
+        job_id: job.source_id,
+        job_title: job.title,
+        employer_name: job.company,
+        job_city: job.city,
+        job_state: job.state,
+        job_country: job.country,
+        job_apply_link: job.url,
+        job_description: job.description,
+        job_posted_at_datetime_utc: job.posted_at,
+        job_employment_type: job.employment_type,
+        job_source: job.source
+      };
+
+    case 'primary':
+      return {
+        id: job.id,
+        title: job.title,
+        company_name: job.company,
+        locations: job.locations,
+        url: job.url,
+        description: job.description,
+        date_posted: job.posted_at,
+        employment_type: job.employment_type,
+        source: job.source
+      };
+
+    case 'canonical':
+      return job;
+
+    default:
+      throw new Error(`Unknown job format: ${format}`);
+  }
+}
+
+/**
+ * Validate a job against the canonical schema
+ *
+ * @param {Object} job - Job data (any supported format)
+ * @returns {Object} - { valid: boolean, errors: string[] }
+ */
+function validateJob(job) {
+  if (!job || typeof job !== 'object') {
+    return { valid: false, errors: ['Job must be an object'] };
+  }
+
+  const canonical = toCanonical(job);
+  const errors = [];
+
+  if (!canonical.title.trim()) {
+    errors.push('Missing required field: title');
+  }
+
+  if (!canonical.company.trim()) {
+    errors.push('Missing required field: company');
+  }
+
+  if (canonical.url) {
+    try {
+      new URL(canonical.url);
+    } catch (e) {
+      errors.push(`Invalid url: ${canonical.url}`);
+    }
+  }
+
+  if (canonical.posted_at && !/^\d+(h|d|w|mo?)$/i.test(String(canonical.posted_at)) &&
+      isNaN(new Date(canonical.posted_at).getTime())) {
+    errors.push(`Invalid posted_at: ${canonical.posted_at}`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  CANONICAL_FIELDS,
+  detectFormat,
+  toCanonical,
+  fromCanonical,
+  validateJob
+};
@@ -5,7 +5,8 @@
  * Prevents duplicate job IDs across different job boards
  */
 
-const crypto = require('crypto');
+// id-strategy.js hash-v1 strategy, created on first use
+let hashStrategy = null;
 
 /**
  * Generate a consistent job ID from job data
@@ -34,20 +35,12 @@ const crypto = require('crypto');
  * // Returns: 'a1b2c3d4'
  */
 function generateJobId(job) {
-  if (!job) {
-    throw new Error('Job object is required');
+  // The hash-v1 scheme; id-strategy.js uses this module's normalizers, so it
+  // is required on first use rather than at load time
+  if (!hashStrategy) {
+    hashStrategy = require('./id-strategy').createIdStrategy({ scheme: 'hash-v1' });
   }
-
-  const company = normalizeCompanyName(job.company);
-  const title = normalizeTitle(job.title);
-  const location = job.location ? normalizeLocation(job.location) : '';
-
-  // Create hash from normalized job data
-  const hashInput = `${company}|${title}|${location}`.toLowerCase().trim();
-  const hash = crypto.createHash('sha256').update(hashInput).digest('hex');
-
-  // Return first 8 characters as ID (collision-resistant for job boards)
-  return hash.substring(0, 8);
+  return hashStrategy.generate(job);
 }
 
 /**
@@ -0,0 +1,155 @@
+/**
+ * @zapply/job-board-shared - JSearch Quota Budgeting
+ *
+ * Decides how many JSearch queries and pages one run may execute, given the
+ * daily request quota and how many times the workflow runs per day, and
+ * builds the request parameters for each planned call.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Defaults match the parameters fetchFromJSearch has always sent
+const DEFAULT_QUERY_OPTIONS = {
+  datePosted: 'month',
+  employmentTypes: ['FULLTIME', 'PARTTIME', 'INTERN'],
+  numPages: 3,
+  country: 'us',
+  locationSuffix: 'United States',
+  remoteOnly: false,
+  jobRequirements: []
+};
+
+/**
+ * Normalize a search query entry (string or object) into a full query config
+ *
+ * @param {string|Object} entry - Query string, or { query, ...overrides }
+ * @param {Object} [defaults] - Fetcher-wide overrides of DEFAULT_QUERY_OPTIONS
+ * @returns {Object} - { query, datePosted, employmentTypes, numPages, country, locationSuffix, remoteOnly, jobRequirements }
+ */
+function resolveQueryConfig(entry, defaults = {}) {
+  const overrides = typeof entry === 'string' ? { query: entry } : { ...entry };
+
+  if (!overrides.query) {
+    throw new Error('JSearch query entry must have a query string');
+  }
+
+  return {
+    ...DEFAULT_QUERY_OPTIONS,
+    ...defaults,
+    ...overrides
+  };
+}
+
+/**
+ * Build JSearch /search URL parameters for one call
+ *
+ * @param {Object} queryConfig - Output of resolveQueryConfig
+ * @param {number} [page=1] - First page to request
+ * @returns {URLSearchParams} - Query string parameters
+ */
+function buildSearchParams(queryConfig, page = 1) {
+  const query = queryConfig.locationSuffix
+    ? `${queryConfig.query} ${queryConfig.locationSuffix}`
+    : queryConfig.query;
+
+  const params = new URLSearchParams({
+    query,
+    page: String(page),
+    num_pages: String(queryConfig.numPages),
+    date_posted: queryConfig.datePosted
+  });
+
+  if (queryConfig.employmentTypes && queryConfig.employmentTypes.length > 0) {
+    params.set('employment_types', queryConfig.employmentTypes.join(','));
+  }
+
+  if (queryConfig.jobRequirements && queryConfig.jobRequirements.length > 0) {
+    params.set('job_requirements', queryConfig.jobRequirements.join(','));
+  }
+
+  if (queryConfig.remoteOnly) {
+    params.set('remote_jobs_only', 'true');
+  }
+
+  if (queryConfig.country) {
+    params.set('country', queryConfig.country);
+  }
+
+  return params;
+}
+
+/**
+ * Work out how many requests this run may spend
+ *
+ * Without runsPerDay the fetcher keeps its original one-request-per-run
+ * behaviour. With runsPerDay the daily quota is paced evenly across the
+ * daily quota window: by the end of run r, at most (r + 1) / runsPerDay of
+ * the quota has been spent. The window starts at windowStart (the quota
+ * ledger's daily window), or UTC midnight when none is given.
+ *
+ * @param {Object} params - Budget inputs
+ * @param {number} params.maxRequestsPerDay - Daily request quota
+ * @param {number} params.requestsUsedToday - Requests already spent in the daily window
+ * @param {number} [params.runsPerDay] - Scheduled runs per day
+ * @param {number} [params.maxRequestsPerRun] - Hard cap per run
+ * @param {Date} [params.windowStart] - Start of the current daily quota window
+ * @param {Date} [params.now] - Current time (for testing)
+ * @returns {number} - Requests to spend this run (0 when the quota is exhausted)
+ */
+function computeRunBudget({ maxRequestsPerDay, requestsUsedToday, runsPerDay, maxRequestsPerRun = Infinity, windowStart, now = new Date() }) {
+  const remaining = Math.max(0, maxRequestsPerDay - requestsUsedToday);
+  if (remaining === 0) return 0;
+
+  if (!runsPerDay) {
+    return Math.min(1, remaining, maxRequestsPerRun);
+  }
+
+  const start = windowStart
+    ? new Date(windowStart).getTime()
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const msIntoWindow = Math.min(DAY_MS - 1, Math.max(0, now.getTime() - start));
+  const runIndex = Math.min(runsPerDay - 1, Math.floor(msIntoWindow / (DAY_MS / runsPerDay)));
+  const allowedByNow = Math.floor(((runIndex + 1) * maxRequestsPerDay) / runsPerDay);
+
+  return Math.max(0, Math.min(allowedByNow - requestsUsedToday, remaining, maxRequestsPerRun));
+}
+
+/**
+ * Plan the calls for this run
+ *
+ * Queries are taken round-robin starting at `cursor`. When the budget is
+ * larger than the number of queries, later passes request the next block
+ * of pages for each query instead of repeating page 1.
+ *
+ * @param {Array<string|Object>} searchQueries - Query strings or per-query configs
+ * @param {number} budget - Requests to spend (from computeRunBudget)
+ * @param {Object} [options] - Planner options
+ * @param {number} [options.cursor=0] - Index of the first query to run
+ * @param {Object} [options.defaults] - Fetcher-wide query defaults
+ * @returns {Object} - { calls: [{ queryConfig, page }], nextCursor }
+ */
+function planJSearchRun(searchQueries, budget, options = {}) {
+  const { cursor = 0, defaults = {} } = options;
+  const configs = (searchQueries || []).map(entry => resolveQueryConfig(entry, defaults));
+  const calls = [];
+
+  if (configs.length === 0 || budget <= 0) {
+    return { calls, nextCursor: cursor };
+  }
+
+  for (let i = 0; i < budget; i++) {
+    const queryConfig = configs[(cursor + i) % configs.length];
+    const pass = Math.floor(i / configs.length);
+    calls.push({ queryConfig, page: 1 + pass * queryConfig.numPages });
+  }
+
+  return { calls, nextCursor: (cursor + budget) % configs.length };
+}
+
+module.exports = {
+  DEFAULT_QUERY_OPTIONS,
+  resolveQueryConfig,
+  buildSearchParams,
+  computeRunBudget,
+  planJSearchRun
+};
@@ -12,116 +12,234 @@
  *   const jobs = await fetcher.fetchAllJSearchJobs();
  */
 
+const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { buildSearchParams, computeRunBudget, planJSearchRun } = require('./jsearch-budget');
+const { retryConfig, socketHangUp } = require('../config');
+const logger = require('./logger');
+const { createRateLimiter, getDefaultRateLimiter } = require('./rate-limiter');
+const { createQuotaLedger } = require('./quota-ledger');
+const { MISSING_FIXTURE_HEADER, saveFixture } = require('./jsearch-fixtures');
+const {
+    HttpError,
+    AuthenticationError,
+    QuotaExceededError,
+    MissingFixtureError,
+    parseRetryAfter,
+    withRetry
+} = require('./error-handler');
+
+const log = logger.createChild({ component: 'jsearch' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Create a JSearch fetcher instance with domain-specific queries
  *
- * @param {Array<string>} searchQueries - Domain-specific search queries
+ * @param {Array<string|Object>} searchQueries - Domain-specific search queries, or
+ *   { query, datePosted, employmentTypes, numPages, remoteOnly, jobRequirements, country } overrides
  * @param {string} apiKey - JSearch API key
  * @param {Object} options - Configuration options
  * @param {number} options.maxRequestsPerDay - Daily quota (default: 30)
- * @param {string} options.usageFile - Path to usage tracking file (default: .github/data/jsearch_usage.json)
- * @param {string} options.baseUrl - JSearch API base URL (default: jsearch.p.rapidapi.com)
- * @returns {Object} Fetcher instance with fetchAllJSearchJobs method
+ * @param {number} options.runsPerDay - Scheduled runs per day; paces the quota across runs (default: one request per run)
+ * @param {number} options.maxRequestsPerRun - Hard cap on requests in a single run (default: unlimited)
+ * @param {Object} options.queryDefaults - Defaults applied to every query (see jsearch-budget DEFAULT_QUERY_OPTIONS)
+ * @param {number} options.maxRequestsPerMonth - Monthly cap for this board (default: unlimited)
+ * @param {number} options.resetHourUtc - Hour (UTC) the provider resets its quota (default: 0)
+ * @param {number} options.monthlyResetDay - Day of month the RapidAPI plan renews (default: 1)
+ * @param {string} options.ledgerFile - Path to the quota ledger (default: .github/data/jsearch_ledger.json)
+ * @param {Object} options.ledger - Quota ledger instance (overrides ledgerFile)
+ * @param {string} options.usageFile - Legacy usage file; read once to carry over query_cursor and
+ *   the current day's request count (default: .github/data/jsearch_usage.json)
+ * @param {string} options.baseUrl - JSearch API host or URL, e.g. http://127.0.0.1:4010 for a local
+ *   replay stub (default: JSEARCH_BASE_URL or jsearch.p.rapidapi.com)
+ * @param {string} options.recordFixturesDir - Save every raw response here for replay
+ *   (default: JSEARCH_RECORD_DIR; see jsearch-fixtures.js)
+ * @param {boolean} options.replay - Replaying fixtures: the ledger is kept in memory, the rate
+ *   limiter keeps no state and the legacy usage file is not read, unless given explicitly
+ *   (default: JSEARCH_REPLAY === 'true')
+ * @param {number} options.timeoutMs - Per-request socket timeout (default: 30000)
+ * @param {Object} options.retryConfig - Overrides for config.retryConfig
+ * @param {Object} options.socketHangUp - Overrides for config.socketHangUp
+ * @param {Object} options.rateLimiter - Per-domain rate limiter (default: shared limiter from rate-limiter.js)
+ * @returns {Object} Fetcher instance with fetchAllJSearchJobs and getUsageReport methods
+ *
+ * fetchAllJSearchJobs rejects with AuthenticationError (401/403),
+ * QuotaExceededError (provider quota used up) or MissingFixtureError (replay
+ * request with no recording) so a bad key, exhausted plan or missing
+ * fixture is never mistaken for "no jobs found".
  */
 function createJSearchFetcher(searchQueries, apiKey, options = {}) {
     // Configuration with defaults
     const config = {
         apiKey,
         searchQueries,
-        baseUrl: options.baseUrl || 'jsearch.p.rapidapi.com',
+        baseUrl: options.baseUrl || process.env.JSEARCH_BASE_URL || 'jsearch.p.rapidapi.com',
+        recordFixturesDir: options.recordFixturesDir || process.env.JSEARCH_RECORD_DIR || null,
+        replay: options.replay !== undefined ? options.replay : process.env.JSEARCH_REPLAY === 'true',
         maxRequestsPerDay: options.maxRequestsPerDay || 30,
-        usageFile: options.usageFile || path.join(process.cwd(), '.github', 'data', 'jsearch_usage.json')
+        runsPerDay: options.runsPerDay || null,
+        maxRequestsPerRun: options.maxRequestsPerRun || Infinity,
+        maxRequestsPerMonth: options.maxRequestsPerMonth || null,
+        queryDefaults: options.queryDefaults || {},
+        timeoutMs: options.timeoutMs || 30000,
+        retryConfig: { ...retryConfig, ...options.retryConfig },
+        socketHangUp: { ...socketHangUp, ...options.socketHangUp },
+        usageFile: options.usageFile || path.join(process.cwd(), '.github', 'data', 'jsearch_usage.json'),
+        rateLimiter: options.rateLimiter || null
     };
 
+    // A replay run must not spend or persist the real quota and rate-limit state
+    if (config.replay) {
+        config.usageFile = options.usageFile || null;
+        config.rateLimiter = config.rateLimiter || createRateLimiter({ stateFile: null });
+    }
+    config.rateLimiter = config.rateLimiter || getDefaultRateLimiter();
+
+    // Bare hostnames are HTTPS (RapidAPI); full URLs may point at a local http stub
+    const endpoint = new URL(/^https?:\/\//.test(config.baseUrl) ? config.baseUrl : `https://${config.baseUrl}`);
+    const transport = endpoint.protocol === 'http:' ? http : https;
+
+    const ledger = options.ledger || createQuotaLedger({
+        provider: 'jsearch',
+        file: config.replay && options.ledgerFile === undefined ? null : options.ledgerFile,
+        resetHourUtc: options.resetHourUtc,
+        monthlyResetDay: options.monthlyResetDay
+    });
+
     /**
-     * Load usage tracking from file
+     * Carry the pre-ledger jsearch_usage.json over into the ledger once:
+     * its query_cursor, so rotation continues where it stopped, and its
+     * request count when its date falls inside the current daily window,
+     * so the first run after upgrading does not spend that quota again
      */
-    function loadUsageTracking() {
+    function migrateLegacyUsage() {
+        const state = ledger.getState();
+        if (!config.usageFile || state.legacy_usage_migrated) return;
+
+        let legacy = null;
         try {
             if (fs.existsSync(config.usageFile)) {
-                const data = fs.readFileSync(config.usageFile, 'utf8');
-                const parsed = JSON.parse(data);
-
-                // Reset if it's a new day
-                const today = new Date().toDateString();
-                if (parsed.date !== today) {
-                    console.log(`📅 New day detected, resetting usage tracking`);
-                    return {
-                        date: today,
-                        requests: 0,
-                        remaining: config.maxRequestsPerDay,
-                        queries_executed: []
-                    };
-                }
-
-                return parsed;
+                legacy = JSON.parse(fs.readFileSync(config.usageFile, 'utf8'));
             }
         } catch (error) {
-            console.warn('⚠️ Error loading usage tracking:', error.message);
+            log.warn('Error loading legacy usage tracking', { error: error.message });
         }
 
-        // Default tracking structure
+        if (!legacy) return;
+
+        // The legacy date is the runner's local date (Date#toDateString)
+        const dayStart = new Date(legacy.date).getTime();
+        const { start, end } = ledger.currentWindow('daily');
+        const requests = Number(legacy.requests) || 0;
+
+        if (!isNaN(dayStart) && dayStart < end.getTime() && dayStart + DAY_MS > start.getTime() && requests > 0) {
+            const queries = Array.isArray(legacy.queries_executed) ? legacy.queries_executed : [];
+            for (let i = 0; i < requests; i++) {
+                ledger.record({ query: queries[i] || null, status: 'legacy', result_count: 0 });
+            }
+            log.info('Carried over legacy JSearch usage', { requests, date: legacy.date });
+        }
+
+        ledger.setState(state.query_cursor === undefined && legacy.query_cursor !== undefined
+            ? { legacy_usage_migrated: true, query_cursor: legacy.query_cursor }
+            : { legacy_usage_migrated: true });
+        ledger.save();
+    }
+
+    // Most recent RapidAPI rate-limit headers seen this run
+    let lastRateLimit = null;
+
+    /**
+     * Read RapidAPI rate-limit headers from a response
+     */
+    function readRateLimitHeaders(headers) {
+        const toNumber = value => (value === undefined ? null : Number(value));
+
         return {
-            date: new Date().toDateString(),
-            requests: 0,
-            remaining: config.maxRequestsPerDay,
-            queries_executed: []
+            limit: toNumber(headers['x-ratelimit-requests-limit']),
+            remaining: toNumber(headers['x-ratelimit-requests-remaining']),
+            resetSeconds: toNumber(headers['x-ratelimit-requests-reset'])
         };
     }
 
     /**
-     * Save usage tracking
+     * Turn a non-2xx JSearch response into a typed error
      */
-    function saveUsageTracking(data) {
-        try {
-            const dir = path.dirname(config.usageFile);
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-            }
-            fs.writeFileSync(config.usageFile, JSON.stringify(data, null, 2), 'utf8');
-        } catch (error) {
-            console.error('⚠️ Error saving usage tracking:', error.message);
+    function toHttpError(res, body, query) {
+        const statusCode = res.statusCode;
+        const rateLimit = readRateLimitHeaders(res.headers);
+
+        let retryAfterMs = parseRetryAfter(res.headers['retry-after']);
+        if (retryAfterMs === null && statusCode === 429 && rateLimit.resetSeconds !== null) {
+            retryAfterMs = rateLimit.resetSeconds * 1000;
         }
+
+        const details = { statusCode, retryAfterMs, body: body.slice(0, 500) };
+
+        const missingFixture = res.headers[MISSING_FIXTURE_HEADER];
+        if (missingFixture) {
+            return new MissingFixtureError(`No replay fixture "${missingFixture}" for query "${query}"`, details);
+        }
+
+        if (statusCode === 401 || statusCode === 403) {
+            return new AuthenticationError(`JSearch rejected the API key (HTTP ${statusCode}) for query "${query}"`, details);
+        }
+
+        if (statusCode === 429 && (rateLimit.remaining === 0 || /quota/i.test(body))) {
+            return new QuotaExceededError(`JSearch quota exhausted (HTTP 429) for query "${query}"`, details);
+        }
+
+        return new HttpError(`JSearch returned HTTP ${statusCode} for query "${query}"`, details);
+    }
+
+    /**
+     * Errors that stop the run instead of counting as a failed query
+     */
+    function isFatalError(error) {
+        return error instanceof AuthenticationError ||
+            error instanceof QuotaExceededError ||
+            error instanceof MissingFixtureError;
     }
 
     /**
-     * Sleep for exponential backoff
+     * Save a raw response as a replay fixture (record mode)
      */
-    function sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    function recordFixture(params, res, body) {
+        try {
+            const file = saveFixture(config.recordFixturesDir, params, { statusCode: res.statusCode, headers: res.headers, body });
+            log.debug('Recorded JSearch fixture', { file });
+        } catch (error) {
+            log.warn('Error recording JSearch fixture', { error: error.message });
+        }
     }
 
     /**
-     * Make HTTPS request to JSearch API with retry logic
+     * Make a single HTTPS request to the JSearch API
+     *
+     * Resolves with the job array; rejects with a typed HttpError for non-2xx
+     * responses, or with the network/timeout/parse error.
      */
-    async function fetchFromJSearch(query, retryCount = 0) {
-        const maxRetries = 3;
-        const baseDelay = 1000; // 1 second
+    function requestJSearch(queryConfig, page) {
+        const query = queryConfig.query;
 
         return new Promise((resolve, reject) => {
-            const params = new URLSearchParams({
-                query: `${query} United States`,
-                employment_types: 'FULLTIME,PARTTIME,INTERN',
-                num_pages: '3',  // 3 pages × 10 jobs = 30 jobs per day total
-                date_posted: 'month',
-                country: 'us'
-            });
+            const params = buildSearchParams(queryConfig, page);
 
             const options = {
-                hostname: config.baseUrl,
-                path: `/search?${params.toString()}`,
+                hostname: endpoint.hostname,
+                port: endpoint.port || undefined,
+                path: `${endpoint.pathname.replace(/\/$/, '')}/search?${params.toString()}`,
                 method: 'GET',
                 headers: {
                     'X-RapidAPI-Key': config.apiKey,
-                    'X-RapidAPI-Host': config.baseUrl
+                    'X-RapidAPI-Host': endpoint.host
                 }
             };
 
-            const req = https.request(options, (res) => {
+            const req = transport.request(options, (res) => {
                 let data = '';
 
                 res.on('data', (chunk) => {
@@ -129,96 +247,215 @@ function createJSearchFetcher(searchQueries, apiKey, options = {}) {
                 });
 
                 res.on('end', () => {
+                    if (config.recordFixturesDir) {
+                        recordFixture(params, res, data);
+                    }
+
+                    const rateLimit = readRateLimitHeaders(res.headers);
+                    if (rateLimit.remaining !== null) {
+                        lastRateLimit = rateLimit;
+                    }
+
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        reject(toHttpError(res, data, query));
+                        return;
+                    }
+
                     try {
-                        const jsonData = JSON.parse(data);
-                        if (retryCount > 0) {
-                            console.log(`✅ Retry ${retryCount} succeeded for query "${query}"`);
-                        }
-                        resolve(jsonData.data || []);
+                        resolve(JSON.parse(data).data || []);
                     } catch (error) {
-                        console.error(`Error parsing JSON for query "${query}":`, error.message);
-                        resolve([]);
+                        reject(new Error(`Error parsing JSON for query "${query}": ${error.message}`));
                     }
                 });
             });
 
-            req.on('error', async (error) => {
-                // Retry on socket hang up or network errors
-                if (retryCount < maxRetries && (error.message.includes('socket hang up') || error.code === 'ECONNRESET')) {
-                    const delay = baseDelay * Math.pow(2, retryCount); // Exponential backoff
-                    console.warn(`⚠️ Request failed for query "${query}": ${error.message}`);
-                    console.log(`🔄 Retrying in ${delay}ms (attempt ${retryCount + 1}/${maxRetries})...`);
-                    await sleep(delay);
-                    const result = await fetchFromJSearch(query, retryCount + 1);
-                    resolve(result);
-                } else {
-                    console.error(`❌ Request failed for query "${query}" after ${retryCount} retries:`, error.message);
-                    resolve([]);
-                }
-            });
+            req.on('error', reject);
 
-            req.setTimeout(30000, () => { // Increased timeout from 15s to 30s
-                req.destroy();
-                console.error(`Request timeout for query "${query}"`);
-                resolve([]);
+            req.setTimeout(config.timeoutMs, () => {
+                const error = new Error(`Request timeout for query "${query}"`);
+                error.code = 'ETIMEDOUT';
+                req.destroy(error);
             });
 
             req.end();
         });
     }
 
+    /**
+     * Make a single request and record it in the quota ledger
+     * (failed attempts still count against the provider quota)
+     */
+    async function requestAndRecord(queryConfig, page) {
+        try {
+            const jobs = await requestJSearch(queryConfig, page);
+            ledger.record({ query: queryConfig.query, page, status: 200, result_count: jobs.length });
+            return jobs;
+        } catch (error) {
+            ledger.record({ query: queryConfig.query, page, status: error.statusCode || error.code || 'error', result_count: 0 });
+            throw error;
+        }
+    }
+
+    /**
+     * Whether the ledger's daily and monthly windows allow another request
+     */
+    function hasQuotaLeft() {
+        if (ledger.count('daily') >= config.maxRequestsPerDay) return false;
+        return !config.maxRequestsPerMonth || ledger.count('monthly') < config.maxRequestsPerMonth;
+    }
+
+    /**
+     * Make HTTPS request to JSearch API with the shared retry policy
+     * (config.retryConfig for HTTP errors, config.socketHangUp for dropped connections)
+     */
+    async function fetchFromJSearch(queryConfig, page = 1) {
+        const context = { query: queryConfig.query, page };
+        const startTime = Date.now();
+        let attempts = 0;
+
+        const jobs = await withRetry(() => {
+            attempts++;
+            return config.rateLimiter.schedule(config.baseUrl, () => requestAndRecord(queryConfig, page));
+        }, 'JSearch request', {
+            ...config.retryConfig,
+            socketHangUp: config.socketHangUp,
+            // Every attempt is recorded, so a retry must fit in the remaining quota
+            shouldRetry: () => hasQuotaLeft()
+        }, context);
+
+        log.info('JSearch request completed', {
+            ...context,
+            attempt: attempts,
+            latency_ms: Date.now() - startTime,
+            count: jobs.length
+        });
+
+        return jobs;
+    }
+
     /**
      * Fetch all jobs from JSearch with rate limiting
      */
     async function fetchAllJSearchJobs() {
         if (!config.apiKey) {
-            console.error('❌ JSEARCH_API_KEY environment variable not set');
+            log.error('JSEARCH_API_KEY environment variable not set');
             return [];
         }
 
-        // Load usage tracking
-        const usage = loadUsageTracking();
+        migrateLegacyUsage();
+
+        // Check rate limits against the ledger's current windows
+        const requestsToday = ledger.count('daily');
+        if (requestsToday >= config.maxRequestsPerDay) {
+            log.info('JSearch daily limit reached, skipping this run', { requests: requestsToday, limit: config.maxRequestsPerDay });
+            return [];
+        }
 
-        // Check rate limit
-        if (usage.requests >= config.maxRequestsPerDay) {
-            console.log(`⏸️ JSearch daily limit reached (${usage.requests}/${config.maxRequestsPerDay}), skipping this run`);
+        const requestsThisMonth = ledger.count('monthly');
+        if (config.maxRequestsPerMonth && requestsThisMonth >= config.maxRequestsPerMonth) {
+            log.info('JSearch monthly limit reached, skipping this run', { requests: requestsThisMonth, limit: config.maxRequestsPerMonth });
             return [];
         }
 
         // Log available quota
-        console.log(`📊 JSearch quota: ${usage.remaining}/${config.maxRequestsPerDay} requests remaining`);
+        log.info('JSearch quota', {
+            remaining: config.maxRequestsPerDay - requestsToday,
+            limit: config.maxRequestsPerDay,
+            month: requestsThisMonth
+        });
 
         try {
-            // Rotate queries based on current hour (spreads requests across queries)
-            const currentHour = new Date().getUTCHours();
-            const queryIndex = currentHour % config.searchQueries.length;
-            const query = config.searchQueries[queryIndex];
+            const budget = computeRunBudget({
+                maxRequestsPerDay: config.maxRequestsPerDay,
+                requestsUsedToday: requestsToday,
+                runsPerDay: config.runsPerDay,
+                maxRequestsPerRun: config.maxRequestsPerRun,
+                windowStart: ledger.currentWindow('daily').start
+            });
+
+            if (budget === 0) {
+                log.info('JSearch budget for this run is 0, skipping', { limit: config.maxRequestsPerDay, runs_per_day: config.runsPerDay });
+                return [];
+            }
+
+            // Rotate queries from where the last run stopped (first run of all: based on current hour)
+            const state = ledger.getState();
+            const cursor = state.query_cursor !== undefined
+                ? state.query_cursor
+                : new Date().getUTCHours() % config.searchQueries.length;
+
+            const { calls, nextCursor } = planJSearchRun(config.searchQueries, budget, {
+                cursor,
+                defaults: config.queryDefaults
+            });
+
+            const jobs = [];
+            let fatalError = null;
+
+            for (const { queryConfig, page } of calls) {
+                // Retries are recorded too, so re-check the daily window before each call
+                const used = ledger.count('daily');
+                if (used >= config.maxRequestsPerDay) {
+                    log.info('JSearch daily limit reached mid-run', { requests: used, limit: config.maxRequestsPerDay });
+                    break;
+                }
 
-            console.log(`📡 JSearch API - Query: "${query}" (${usage.requests + 1}/${config.maxRequestsPerDay} today)`);
+                log.info('JSearch API request', { query: queryConfig.query, page, request: used + 1, limit: config.maxRequestsPerDay });
 
-            const jobs = await fetchFromJSearch(query);
+                try {
+                    const results = await fetchFromJSearch(queryConfig, page);
+                    jobs.push(...results);
+                } catch (error) {
+                    if (isFatalError(error)) {
+                        fatalError = error;
+                        break;
+                    }
+                    log.error('JSearch request failed', { query: queryConfig.query, page, error: error.message, status: error.statusCode });
+                }
+            }
 
-            // Update usage tracking
-            usage.requests++;
-            usage.remaining = config.maxRequestsPerDay - usage.requests;
-            usage.queries_executed.push(query);
+            ledger.setState(lastRateLimit
+                ? { query_cursor: nextCursor, provider_quota: { ...lastRateLimit, observed_at: new Date().toISOString() } }
+                : { query_cursor: nextCursor });
+            ledger.save();
 
-            saveUsageTracking(usage);
+            if (fatalError) {
+                throw fatalError;
+            }
 
-            console.log(`✅ JSearch returned ${jobs.length} jobs`);
-            console.log(`📊 Usage: ${usage.requests}/${config.maxRequestsPerDay} requests, ${usage.remaining} remaining`);
+            log.info('JSearch run completed', {
+                jobs: jobs.length,
+                requests: ledger.count('daily') - requestsToday,
+                remaining: Math.max(0, config.maxRequestsPerDay - ledger.count('daily'))
+            });
 
             return jobs;
 
         } catch (error) {
-            console.error('❌ JSearch API error:', error.message);
+            if (isFatalError(error)) {
+                log.error(error.message, { error: error.name, status: error.statusCode });
+                throw error;
+            }
+            log.error('JSearch API error', { error: error.message });
             return [];
         }
     }
 
+    /**
+     * Daily and monthly usage from the ledger (see quota-ledger summarizeUsage)
+     */
+    function getUsageReport(reportOptions = {}) {
+        return ledger.report({
+            dailyLimit: config.maxRequestsPerDay,
+            monthlyLimit: config.maxRequestsPerMonth || undefined,
+            ...reportOptions
+        });
+    }
+
     // Return fetcher instance
     return {
         fetchAllJSearchJobs,
+        getUsageReport,
         SEARCH_QUERIES: config.searchQueries  // Export for backwards compatibility
     };
 }
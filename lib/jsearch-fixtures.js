@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * @zapply/job-board-shared - JSearch Record/Replay Fixtures
+ *
+ * Record mode saves raw JSearch responses under a fixtures directory,
+ * keyed by query and search params. Replay mode serves them back from a
+ * local HTTP stub, so the fetcher, processor and README generator can run
+ * with no network by pointing `baseUrl` at the stub.
+ *
+ * Usage:
+ *   // Record (live requests, responses written to disk)
+ *   createJSearchFetcher(QUERIES, key, { recordFixturesDir: 'fixtures/jsearch' });
+ *
+ *   // Replay (in-memory quota ledger, stateless rate limiter)
+ *   const server = createReplayServer('fixtures/jsearch');
+ *   const baseUrl = await server.start();
+ *   createJSearchFetcher(QUERIES, 'replay', { baseUrl, replay: true });
+ *   await server.stop();
+ *
+ *   // Or from the command line
+ *   node lib/jsearch-fixtures.js fixtures/jsearch 4010
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const logger = require('./logger');
+
+const log = logger.createChild({ component: 'jsearch-fixtures' });
+
+// Transport headers that would not match the replayed body
+const HOP_BY_HOP_HEADERS = ['connection', 'content-length', 'content-encoding', 'keep-alive', 'transfer-encoding'];
+
+// Set on the replay server's 404 when no fixture was recorded for a request
+const MISSING_FIXTURE_HEADER = 'x-replay-missing-fixture';
+
+/**
+ * Stable fixture name for a set of search params
+ *
+ * Params are sorted before hashing, so the same request always maps to the
+ * same file regardless of parameter order.
+ *
+ * @param {URLSearchParams|Object|string} params - Search params
+ * @returns {string} - e.g. "software-engineer-united-states-p1-3f2a9c01b7de"
+ */
+function fixtureKey(params) {
+  const search = new URLSearchParams(params);
+  const entries = [...search.entries()].sort(([a], [b]) => a.localeCompare(b));
+  const canonical = new URLSearchParams(entries).toString();
+  const hash = crypto.createHash('sha1').update(canonical).digest('hex').slice(0, 12);
+
+  const slug = (search.get('query') || 'search')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60);
+
+  return `${slug}-p${search.get('page') || 1}-${hash}`;
+}
+
+/**
+ * Save a raw response as a fixture (atomic write)
+ *
+ * @param {string} dir - Fixtures directory
+ * @param {URLSearchParams|Object|string} params - Request search params
+ * @param {Object} response - { statusCode, headers, body } (body is the raw string)
+ * @returns {string} - Path of the fixture file
+ */
+function saveFixture(dir, params, response) {
+  const search = new URLSearchParams(params);
+  const file = path.join(dir, `${fixtureKey(search)}.json`);
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const fixture = {
+    recorded_at: new Date().toISOString(),
+    request: { path: '/search', params: Object.fromEntries(search.entries()) },
+    response: {
+      statusCode: response.statusCode,
+      headers: Object.fromEntries(
+        Object.entries(response.headers || {}).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name.toLowerCase()))
+      ),
+      body: response.body
+    }
+  };
+
+  const tempPath = `${file}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(fixture, null, 2), 'utf8');
+  fs.renameSync(tempPath, file);
+
+  return file;
+}
+
+/**
+ * Load the fixture recorded for a set of search params
+ *
+ * @param {string} dir - Fixtures directory
+ * @param {URLSearchParams|Object|string} params - Request search params
+ * @returns {Object|null} - Fixture, or null when none was recorded
+ */
+function loadFixture(dir, params) {
+  const file = path.join(dir, `${fixtureKey(params)}.json`);
+
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Create a local HTTP stub that replays recorded fixtures on /search
+ *
+ * Requests without a fixture get a 404 marked with MISSING_FIXTURE_HEADER,
+ * which the fetcher raises as MissingFixtureError (error-handler.js, not
+ * retried), so a
+ * missing recording fails the run instead of looking like "no jobs".
+ *
+ * @param {string} dir - Fixtures directory
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port=0] - Port (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind
+ * @returns {Object} - { start(): Promise<baseUrl>, stop(): Promise, requests }
+ */
+function createReplayServer(dir, options = {}) {
+  const { port = 0, host = '127.0.0.1' } = options;
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${host}`);
+    requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams.entries()) });
+
+    if (url.pathname !== '/search') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: `Unknown endpoint ${url.pathname}` }));
+      return;
+    }
+
+    let fixture;
+    try {
+      fixture = loadFixture(dir, url.searchParams);
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: `Unreadable fixture: ${error.message}` }));
+      return;
+    }
+
+    if (!fixture) {
+      log.warn('No fixture recorded for request', { key: fixtureKey(url.searchParams) });
+      res.writeHead(404, { 'Content-Type': 'application/json', [MISSING_FIXTURE_HEADER]: fixtureKey(url.searchParams) });
+      res.end(JSON.stringify({ message: `No fixture for ${fixtureKey(url.searchParams)}` }));
+      return;
+    }
+
+    res.writeHead(fixture.response.statusCode, fixture.response.headers);
+    res.end(fixture.response.body);
+  });
+
+  return {
+    requests,
+
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          const address = server.address();
+          resolve(`http://${host}:${address.port}`);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  MISSING_FIXTURE_HEADER,
+  fixtureKey,
+  saveFixture,
+  loadFixture,
+  createReplayServer
+};
+
+// CLI: serve a fixtures directory for local runs
+if (require.main === module) {
+  const dir = process.argv[2] || path.join(process.cwd(), '.github', 'data', 'fixtures', 'jsearch');
+  const port = Number(process.argv[3] || 4010);
+
+  createReplayServer(dir, { port }).start().then(baseUrl => {
+    log.info('Replaying JSearch fixtures', { dir, baseUrl });
+  }).catch(error => {
+    log.error('Could not start the replay server', { dir, port, error: error.message });
+    process.exitCode = 1;
+  });
+}
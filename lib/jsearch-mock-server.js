@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * @zapply/job-board-shared - Mock JSearch Server
+ *
+ * Local HTTP server implementing JSearch's `/search` endpoint and the
+ * `X-RapidAPI-Key` check, for end-to-end tests of the fetcher's retry,
+ * timeout and quota handling without RapidAPI.
+ *
+ * By default every request returns `pageSize * num_pages` synthetic jobs.
+ * Queue behaviours to script the next responses:
+ *
+ *   const server = createMockJSearchServer({ apiKey: 'test-key', quota: 5 });
+ *   const baseUrl = await server.start();
+ *   server.enqueue(
+ *     { type: 'status', statusCode: 503, headers: { 'retry-after': '0' } },
+ *     { type: 'reset' },                                // destroy the socket
+ *     { type: 'slow', delayMs: 2000 },                  // respond late
+ *     { type: 'malformed' },                            // invalid JSON body
+ *     { type: 'rateLimit', retryAfter: 1 },             // 429 with Retry-After
+ *     { type: 'quota' },                                // 429, plan exhausted
+ *     { type: 'jobs', count: 3 }
+ *   );
+ *   createJSearchFetcher(QUERIES, 'test-key', { baseUrl });
+ *
+ * CLI: node lib/jsearch-mock-server.js [port] [apiKey]
+ */
+
+const http = require('http');
+const logger = require('./logger');
+
+const log = logger.createChild({ component: 'jsearch-mock' });
+
+/**
+ * Deterministic synthetic jobs in JSearch's response shape
+ *
+ * @param {string} query - Search query
+ * @param {number} page - First page
+ * @param {number} count - Number of jobs
+ * @returns {Array<Object>}
+ */
+function generateJobs(query, page, count) {
+  const companies = ['Acme', 'Globex', 'Initech', 'Umbrella', 'Hooli'];
+  const cities = [['San Francisco', 'CA'], ['New York', 'NY'], ['Austin', 'TX'], ['Seattle', 'WA']];
+
+  return Array.from({ length: count }, (_, i) => {
+    const n = (page - 1) * count + i;
+    const [city, state] = cities[n % cities.length];
+    const company = companies[n % companies.length];
+
+    return {
+      job_id: `mock-${encodeURIComponent(query)}-${n}`,
+      job_title: `${query} ${n + 1}`,
+      employer_name: company,
+      job_city: city,
+      job_state: state,
+      job_country: 'US',
+      job_apply_link: `https://jobs.example.com/${company.toLowerCase()}/${n}`,
+      job_description: `Synthetic ${query} posting for tests.`,
+      job_employment_type: 'FULLTIME',
+      job_posted_at_datetime_utc: new Date(Date.UTC(2026, 0, 1) + n * 3600 * 1000).toISOString()
+    };
+  });
+}
+
+/**
+ * Create a mock JSearch server
+ *
+ * @param {Object} [options] - Server options
+ * @param {string} [options.apiKey='test-key'] - Accepted X-RapidAPI-Key (missing: 401, wrong: 403)
+ * @param {number} [options.pageSize=10] - Jobs per page
+ * @param {number|null} [options.quota=null] - Requests allowed before every call returns a quota 429
+ * @param {number} [options.port=0] - Port (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind
+ * @returns {Object} - { start, stop, enqueue, reset, requests }
+ */
+function createMockJSearchServer(options = {}) {
+  const { apiKey = 'test-key', pageSize = 10, port = 0, host = '127.0.0.1' } = options;
+  const quota = options.quota !== undefined ? options.quota : null;
+
+  const queue = [];
+  const requests = [];
+  const sockets = new Set();
+  // Pending 'slow' responses, cleared on stop()
+  const timers = new Set();
+  let used = 0;
+
+  const rateLimitHeaders = () => (quota === null ? {} : {
+    'x-ratelimit-requests-limit': String(quota),
+    'x-ratelimit-requests-remaining': String(Math.max(0, quota - used)),
+    'x-ratelimit-requests-reset': '3600'
+  });
+
+  const sendJson = (res, statusCode, body, headers = {}) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...rateLimitHeaders(), ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  };
+
+  /**
+   * Answer a request with one scripted behaviour
+   */
+  function respond(behavior, req, res, url) {
+    const type = typeof behavior === 'string' ? behavior : behavior.type;
+
+    switch (type) {
+      case 'jobs': {
+        const page = Number(url.searchParams.get('page') || 1);
+        const numPages = Number(url.searchParams.get('num_pages') || 1);
+        const count = behavior.count !== undefined ? behavior.count : pageSize * numPages;
+        const data = generateJobs(url.searchParams.get('query') || 'job', page, count);
+        sendJson(res, 200, { status: 'OK', request_id: `mock-${requests.length}`, data });
+        break;
+      }
+
+      case 'status':
+        sendJson(res, behavior.statusCode, behavior.body || { message: `Mock HTTP ${behavior.statusCode}` }, behavior.headers);
+        break;
+
+      case 'rateLimit':
+        sendJson(res, 429, { message: 'Too many requests' }, { 'retry-after': String(behavior.retryAfter !== undefined ? behavior.retryAfter : 1) });
+        break;
+
+      case 'quota':
+        sendJson(res, 429, { message: 'You have exceeded the MONTHLY quota for Requests on your current plan' }, {
+          'x-ratelimit-requests-remaining': '0'
+        });
+        break;
+
+      case 'malformed':
+        res.writeHead(200, { 'Content-Type': 'application/json', ...rateLimitHeaders() });
+        res.end('{"status":"OK","data":[{"job_title":');
+        break;
+
+      case 'slow': {
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          if (!res.destroyed) {
+            respond(behavior.then || 'jobs', req, res, url);
+          }
+        }, behavior.delayMs || 1000);
+        timers.add(timer);
+        break;
+      }
+
+      case 'reset':
+        req.socket.destroy();
+        break;
+
+      default:
+        sendJson(res, 500, { message: `Unknown mock behaviour: ${type}` });
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${host}`);
+    const key = req.headers['x-rapidapi-key'];
+    requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams.entries()), key });
+
+    if (url.pathname !== '/search') {
+      sendJson(res, 404, { message: `Endpoint '${url.pathname}' does not exist` });
+      return;
+    }
+
+    if (!key) {
+      sendJson(res, 401, { message: 'Invalid API key. Go to https://docs.rapidapi.com/docs/keys for more info.' });
+      return;
+    }
+
+    if (key !== apiKey) {
+      sendJson(res, 403, { message: 'You are not subscribed to this API.' });
+      return;
+    }
+
+    if (quota !== null && used >= quota) {
+      respond('quota', req, res, url);
+      return;
+    }
+
+    used++;
+    respond(queue.length > 0 ? queue.shift() : 'jobs', req, res, url);
+  });
+
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return {
+    requests,
+
+    /**
+     * Queue behaviours for the next authorised requests (FIFO)
+     */
+    enqueue(...behaviors) {
+      queue.push(...behaviors);
+      return this;
+    },
+
+    /**
+     * Clear queued behaviours, recorded requests and quota usage
+     */
+    reset() {
+      queue.length = 0;
+      requests.length = 0;
+      used = 0;
+    },
+
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          resolve(`http://${host}:${server.address().port}`);
+        });
+      });
+    },
+
+    stop() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  generateJobs,
+  createMockJSearchServer
+};
+
+// CLI: run a mock server for local development
+if (require.main === module) {
+  const port = Number(process.argv[2] || 4011);
+  const apiKey = process.argv[3] || 'test-key';
+
+  createMockJSearchServer({ port, apiKey }).start().then(baseUrl => {
+    log.info('Mock JSearch server listening', { baseUrl, apiKey });
+  });
+}
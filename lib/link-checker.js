@@ -0,0 +1,296 @@
+/**
+ * @zapply/job-board-shared - Apply Link Checker
+ *
+ * Detects closed postings by requesting each job's apply link (through the
+ * per-domain rate limiter) and recognising the ways ATSs report a closed job:
+ * - HTTP 404 / 410
+ * - Greenhouse: redirect to the board (/acme or ?error=true) instead of a posting
+ *               (/acme/jobs/<id>, ?gh_jid=<id>, or an embed page with ?token=<id>)
+ * - Lever:      redirect from jobs.lever.co/acme/<id> to the company page
+ * - Workday:    redirect away from /job/..., or the "page doesn't exist" page
+ * - Any host:   redirect from a deep link to a careers homepage, or text such
+ *               as "no longer accepting applications"
+ *
+ * Rate-limited, 429, 5xx and network failures are reported as `unknown`
+ * and never close a job.
+ *
+ * Usage:
+ *   const { checkJobLinks } = require('./shared/lib/link-checker');
+ *   const { closed } = await checkJobLinks(currentJobs, { archive });
+ *   // closed jobs get job.link_status = 'closed' and drop out of the README
+ */
+
+const http = require('http');
+const https = require('https');
+const logger = require('./logger');
+const { toCanonical } = require('./job-schema');
+const { getDefaultRateLimiter } = require('./rate-limiter');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_REDIRECTS = 5;
+const MAX_BODY_BYTES = 256 * 1024;
+
+// Page text that means the posting is closed
+const CLOSED_TEXT_PATTERNS = [
+  /no longer accepting applications/i,
+  /(job|position|posting|role|requisition) (you are looking for )?(is |has been )?no longer (available|open|active|posted)/i,
+  /(position|job|role) has been filled/i,
+  /this (job|position|posting) (has )?(expired|closed)/i,
+  /the page you are looking for (doesn't|does not) exist/i
+];
+
+// Hosts whose closed pages can only be recognised from the body
+const BODY_HOSTS = ['greenhouse.io', 'lever.co', 'myworkdayjobs.com'];
+
+/**
+ * Whether a hostname is (a subdomain of) one of the given domains
+ */
+function isHost(host, domains) {
+  return [].concat(domains).some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Path segments of a URL
+ */
+function segments(url) {
+  return url.pathname.split('/').filter(Boolean);
+}
+
+/**
+ * Whether a Greenhouse URL still points at a single posting: /jobs/<id>,
+ * a company site's ?gh_jid=<id>, or an embed page such as
+ * boards.greenhouse.io/embed/job_app?token=<id>
+ */
+function isGreenhousePosting(url) {
+  if (url.searchParams.has('error')) return false;
+  return /\/jobs\/\d+/.test(url.pathname) ||
+    url.searchParams.has('gh_jid') ||
+    url.searchParams.has('token') ||
+    segments(url).join('/') === 'embed/job_app';
+}
+
+/**
+ * Classify a fetched apply link
+ *
+ * @param {Object} response - { url, finalUrl, statusCode, body }
+ * @returns {Object} - { status: 'open'|'closed'|'unknown', reason }
+ */
+function classifyLinkResponse(response) {
+  const { statusCode, body = '' } = response;
+
+  if (statusCode === 404 || statusCode === 410) {
+    return { status: 'closed', reason: `HTTP ${statusCode}` };
+  }
+
+  if (!statusCode || statusCode === 429 || statusCode >= 500) {
+    return { status: 'unknown', reason: statusCode ? `HTTP ${statusCode}` : 'no response' };
+  }
+
+  let original;
+  let final;
+  try {
+    original = new URL(response.url);
+    final = new URL(response.finalUrl || response.url);
+  } catch (e) {
+    return { status: 'unknown', reason: 'invalid URL' };
+  }
+
+  const host = final.hostname.toLowerCase();
+  const redirected = original.href !== final.href;
+
+  if (redirected) {
+    if (isHost(host, 'greenhouse.io') && !isGreenhousePosting(final)) {
+      return { status: 'closed', reason: 'Greenhouse redirected to the job board' };
+    }
+
+    if (isHost(host, 'lever.co') && segments(original).length >= 2 && segments(final).length < 2) {
+      return { status: 'closed', reason: 'Lever redirected to the company page' };
+    }
+
+    if (isHost(host, 'myworkdayjobs.com') && /\/job\//.test(original.pathname) && !/\/job\//.test(final.pathname)) {
+      return { status: 'closed', reason: 'Workday redirected away from the posting' };
+    }
+
+    const finalPath = segments(final);
+    const isCareersHome = finalPath.length === 0 ||
+      (finalPath.length === 1 && /^(careers?|jobs|join(-us)?|openings)$/i.test(finalPath[0]));
+    if (segments(original).length >= 2 && isCareersHome) {
+      return { status: 'closed', reason: 'Redirected to careers homepage' };
+    }
+  }
+
+  const pattern = CLOSED_TEXT_PATTERNS.find(p => p.test(body));
+  if (pattern) {
+    return { status: 'closed', reason: `Page says "${body.match(pattern)[0]}"` };
+  }
+
+  if (statusCode >= 200 && statusCode < 400) {
+    return { status: 'open', reason: `HTTP ${statusCode}` };
+  }
+
+  return { status: 'unknown', reason: `HTTP ${statusCode}` };
+}
+
+/**
+ * Request a URL, following redirects (no rate limiting)
+ *
+ * @returns {Promise<Object>} - { statusCode, finalUrl, body }
+ */
+function request(url, options, redirects = 0) {
+  const { method = 'GET', timeoutMs = 15000 } = options;
+  const client = url.startsWith('http:') ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method,
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; zapply-link-checker)', Accept: 'text/html,*/*' }
+    }, (res) => {
+      const location = res.headers.location;
+
+      if (res.statusCode >= 300 && res.statusCode < 400 && location && redirects < MAX_REDIRECTS) {
+        res.resume();
+        resolve(request(new URL(location, url).href, options, redirects + 1));
+        return;
+      }
+
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+          res.destroy();
+        }
+      });
+      const done = () => resolve({ statusCode: res.statusCode, finalUrl: url, body });
+      res.on('end', done);
+      res.on('close', done);
+    });
+
+    req.on('error', reject);
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`Request timeout for ${url}`));
+    });
+    req.end();
+  });
+}
+
+/**
+ * Check one apply link
+ *
+ * ATS links (Greenhouse, Lever, Workday) are fetched with GET so their page
+ * text can be read; other links use HEAD, falling back to GET when the server
+ * does not support it.
+ *
+ * @param {string} url - Apply link
+ * @param {Object} [options] - Check options
+ * @param {Object} [options.rateLimiter] - Per-domain limiter (default: shared limiter)
+ * @param {number} [options.maxWaitMs=30000] - Skip (unknown) instead of waiting longer for a slot
+ * @param {number} [options.timeoutMs=15000] - Socket timeout
+ * @returns {Promise<Object>} - { url, status, reason, statusCode, finalUrl }
+ */
+async function checkApplyLink(url, options = {}) {
+  const rateLimiter = options.rateLimiter || getDefaultRateLimiter();
+  const maxWaitMs = options.maxWaitMs !== undefined ? options.maxWaitMs : 30000;
+
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return { url, status: 'unknown', reason: 'invalid URL', statusCode: null, finalUrl: null };
+  }
+
+  const fetchPage = method => rateLimiter.schedule(url, () => request(url, { ...options, method }), { maxWaitMs });
+
+  try {
+    let response = await fetchPage(isHost(host, BODY_HOSTS) ? 'GET' : 'HEAD');
+    if ([403, 405, 501].includes(response.statusCode)) {
+      response = await fetchPage('GET');
+    }
+
+    return { url, ...classifyLinkResponse({ url, ...response }), statusCode: response.statusCode, finalUrl: response.finalUrl };
+  } catch (error) {
+    return { url, status: 'unknown', reason: error.message, statusCode: null, finalUrl: null };
+  }
+}
+
+/**
+ * Check the apply links of a list of jobs and mark closed ones
+ *
+ * Each job gets `link_status`, `link_checked_at` and (when closed)
+ * `link_closed_reason`. Jobs checked within `recheckAfterHours` are skipped.
+ *
+ * @param {Array} jobs - Jobs (any supported format)
+ * @param {Object} [options] - checkApplyLink options plus:
+ * @param {number} [options.recheckAfterHours=24] - Minimum time between checks of one job
+ * @param {number} [options.concurrency=4] - Links checked at once (per-domain limits still apply)
+ * @param {Object} [options.archive] - Job archive; closed jobs are moved to `removed`
+ * @param {Function} [options.now] - Clock (for testing)
+ * @returns {Promise<Object>} - { open, closed, unknown, skipped } job arrays
+ */
+async function checkJobLinks(jobs, options = {}) {
+  const now = options.now || Date.now;
+  const recheckMs = (options.recheckAfterHours !== undefined ? options.recheckAfterHours : 24) * HOUR_MS;
+  const concurrency = options.concurrency || 4;
+  const result = { open: [], closed: [], unknown: [], skipped: [] };
+
+  const queue = (jobs || []).filter(job => {
+    const checkedAt = job.link_checked_at ? new Date(job.link_checked_at).getTime() : 0;
+    const url = toCanonical(job).url;
+
+    if (!url || job.link_status === 'closed' || now() - checkedAt < recheckMs) {
+      result.skipped.push(job);
+      return false;
+    }
+    return true;
+  });
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const job = queue.shift();
+      const check = await checkApplyLink(toCanonical(job).url, options);
+
+      job.link_status = check.status;
+      if (check.status !== 'unknown') {
+        job.link_checked_at = new Date(now()).toISOString();
+      }
+
+      if (check.status === 'closed') {
+        job.link_closed_reason = check.reason;
+        if (options.archive && job.id) {
+          options.archive.remove(job.id, `link closed: ${check.reason}`);
+        }
+      }
+
+      result[check.status].push(job);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+  logger.info('Apply links checked', {
+    open: result.open.length,
+    closed: result.closed.length,
+    unknown: result.unknown.length,
+    skipped: result.skipped.length
+  });
+
+  return result;
+}
+
+/**
+ * Whether a job's apply link was found closed
+ *
+ * @param {Object} job - Job
+ * @returns {boolean}
+ */
+function isClosedJob(job) {
+  return Boolean(job && job.link_status === 'closed');
+}
+
+module.exports = {
+  CLOSED_TEXT_PATTERNS,
+  classifyLinkResponse,
+  checkApplyLink,
+  checkJobLinks,
+  isClosedJob
+};
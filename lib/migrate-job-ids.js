@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+
+/**
+ * @zapply/job-board-shared - Job ID Migration
+ *
+ * Rewrites the job IDs persisted in every store keyed by ID (current_jobs,
+ * seen_jobs, job_archive, run_diff and dedup_index) to a single ID scheme
+ * (see id-strategy.js). Stores are read and written through a storage
+ * backend (see storage.js), so json and sqlite boards migrate the same way.
+ *
+ * Stores that hold full jobs (current_jobs, job_archive, run_diff,
+ * dedup_index) re-identify each job directly, and a stored `fingerprint`
+ * is recomputed with the current generateFingerprint. seen_jobs and the
+ * run_diff `unchanged` list only hold IDs: every old-scheme ID of a current
+ * or archived job is mapped to its new ID, and IDs with no matching job are
+ * kept as-is (they belong to jobs that have already expired). Seen entries
+ * whose old IDs map to the same new ID are merged (earliest first_seen,
+ * latest last_seen, summed times_seen) and reported as collisions.
+ *
+ * Usage:
+ *   node lib/migrate-job-ids.js [--scheme url-v1] [--data-dir .github/data] [--backend json] [--dry-run]
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+const { migrateOldJobId } = require('./utils');
+const { generateFingerprint } = require('./deduplication');
+const { DedupIndex } = require('./dedup-index');
+const { DEFAULT_ID_SCHEME, ID_SCHEMES, createIdStrategy } = require('./id-strategy');
+const { createStorage } = require('./storage');
+
+const log = logger.createChild({ component: 'migrate-job-ids' });
+
+/**
+ * Keep a copy of a store before it is rewritten: <file>.bak next to a
+ * JSON file, or a "<name>.bak" document in other backends
+ */
+function backupStore(storage, name, data) {
+  if (typeof storage.fileFor === 'function') {
+    const file = storage.fileFor(name);
+    if (fs.existsSync(file)) {
+      fs.copyFileSync(file, `${file}.bak`);
+    }
+    return;
+  }
+
+  storage.write(`${name}.bak`, data);
+}
+
+/**
+ * Merge two seen_jobs.json entries for the same job
+ *
+ * seen-jobs-store entries keep the earliest first_seen (and its source), the
+ * latest last_seen and the summed times_seen; any other value keeps the
+ * first one.
+ */
+function mergeSeenEntries(a, b) {
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || !a.first_seen || !b.first_seen) {
+    return a;
+  }
+
+  const [earliest, latest] = new Date(a.first_seen) <= new Date(b.first_seen) ? [a, b] : [b, a];
+  const lastSeen = [a.last_seen, b.last_seen].filter(Boolean)
+    .reduce((max, value) => (new Date(value) > new Date(max) ? value : max), earliest.first_seen);
+
+  return {
+    ...latest,
+    ...earliest,
+    last_seen: lastSeen,
+    times_seen: (a.times_seen || 1) + (b.times_seen || 1)
+  };
+}
+
+/**
+ * Merge two job_archive records for the same job
+ *
+ * Keeps the most recently seen record, with the earliest first_seen and
+ * both histories in time order.
+ */
+function mergeArchiveRecords(a, b) {
+  const [older, newer] = new Date(a.last_seen) <= new Date(b.last_seen) ? [a, b] : [b, a];
+
+  return {
+    ...newer,
+    first_seen: new Date(older.first_seen) < new Date(newer.first_seen) ? older.first_seen : newer.first_seen,
+    history: [...(older.history || []), ...(newer.history || [])]
+      .sort((x, y) => new Date(x.at) - new Date(y.at))
+  };
+}
+
+/**
+ * Migrate persisted job IDs to one scheme
+ *
+ * @param {Object} [options] - Migration options
+ * @param {Object} [options.storage] - Storage backend (default: createStorage({ backend, dataDir }))
+ * @param {string} [options.backend] - Backend for the default storage (see storage.js)
+ * @param {string} [options.dataDir] - Directory holding the stores (see storage.js)
+ * @param {string} [options.scheme='url-v1'] - Target ID scheme
+ * @param {boolean} [options.dryRun=false] - Report changes without writing
+ * @param {boolean} [options.backup=true] - Keep a .bak copy of each rewritten store
+ * @returns {Object} - { scheme, current: { total, changed, collapsed, fingerprints },
+ *   seen: { total, changed, unmapped, collisions: [{ id, from: [oldIds] }] },
+ *   archive: { total, changed, collapsed }, runDiff: { total, changed }, dedupIndex: { total, changed } }
+ */
+function migrateJobIds(options = {}) {
+  const storage = options.storage || createStorage({ backend: options.backend, dataDir: options.dataDir });
+  const target = createIdStrategy({ scheme: options.scheme || DEFAULT_ID_SCHEME });
+  const backup = options.backup !== false;
+  const dryRun = options.dryRun === true;
+  const legacy = Object.keys(ID_SCHEMES).map(scheme => createIdStrategy({ scheme }));
+
+  const idMap = new Map();
+  const ambiguous = new Set();
+  let fingerprintsChanged = 0;
+
+  // An old ID shared by two different jobs (e.g. hash-v1 of a job with no bare
+  // company/title) cannot be mapped safely
+  const remember = (oldId, newId) => {
+    if (idMap.has(oldId) && idMap.get(oldId) !== newId) {
+      ambiguous.add(oldId);
+    }
+    idMap.set(oldId, newId);
+  };
+
+  // Re-identify a full job, remembering every old ID it may have had
+  const reidentify = job => {
+    const newId = target.generate(job);
+
+    if (job.id) {
+      remember(job.id, newId);
+    }
+    legacy.forEach(strategy => remember(strategy.generate(job), newId));
+
+    // Stored fingerprints are reused by isDuplicate, so refresh them
+    const refreshed = { ...job, id: newId, id_scheme: target.scheme };
+    if (job.fingerprint) {
+      delete refreshed.fingerprint;
+      refreshed.fingerprint = generateFingerprint(refreshed);
+      if (refreshed.fingerprint !== job.fingerprint) {
+        fingerprintsChanged++;
+      }
+    }
+
+    return refreshed;
+  };
+
+  const writes = [];
+
+  // 1. Re-identify current jobs
+  const storedCurrent = storage.read('current_jobs', null);
+  const currentJobs = storedCurrent || [];
+  const migrated = new Map();
+  let currentChanged = 0;
+
+  currentJobs.forEach(job => {
+    const refreshed = reidentify(job);
+    if (job.id !== refreshed.id) {
+      currentChanged++;
+    }
+
+    // Later entries win, as in job-processor mergeJobs
+    migrated.set(refreshed.id, refreshed);
+  });
+  const currentFingerprints = fingerprintsChanged;
+
+  if (storedCurrent) {
+    writes.push(['current_jobs', storedCurrent, Array.from(migrated.values())]);
+  }
+
+  // 2. Re-identify archived jobs (the archive also knows jobs that have left current_jobs)
+  const storedArchive = storage.read('job_archive', null);
+  const records = (storedArchive && storedArchive.records) || {};
+  const migratedRecords = {};
+  let archiveChanged = 0;
+
+  Object.entries(records).forEach(([id, record]) => {
+    const job = record.job ? reidentify(record.job) : null;
+    const newId = job ? job.id : id;
+    if (newId !== id) {
+      archiveChanged++;
+    }
+
+    const refreshed = { ...record, id: newId, job };
+    migratedRecords[newId] = newId in migratedRecords ? mergeArchiveRecords(migratedRecords[newId], refreshed) : refreshed;
+  });
+
+  if (storedArchive) {
+    writes.push(['job_archive', storedArchive, { ...storedArchive, records: migratedRecords }]);
+  }
+
+  ambiguous.forEach(id => idMap.delete(id));
+  const lookup = id => idMap.get(id) || idMap.get(migrateOldJobId(String(id)));
+
+  // 3. Rewrite seen IDs (array, { id: value } object or seen-jobs-store entries)
+  const storedSeen = storage.read('seen_jobs', null);
+  const seen = storedSeen || [];
+  let seenChanged = 0;
+  let unmapped = 0;
+
+  const remap = id => {
+    const newId = lookup(id);
+    if (!newId) {
+      unmapped++;
+      return id;
+    }
+    if (newId !== id) {
+      seenChanged++;
+    }
+    return newId;
+  };
+
+  // Old IDs behind each new ID, to report the ones that collapsed into one
+  const sources = new Map();
+  const track = (oldId, newId) => {
+    sources.set(newId, [...(sources.get(newId) || []), oldId]);
+    return newId;
+  };
+
+  let migratedSeen;
+  let seenTotal;
+  if (Array.isArray(seen)) {
+    seenTotal = seen.length;
+    migratedSeen = Array.from(new Set(seen.map(id => track(id, remap(id)))));
+  } else {
+    const entries = seen.version && seen.entries ? seen.entries : seen;
+    seenTotal = Object.keys(entries).length;
+    const remapped = {};
+    Object.entries(entries).forEach(([id, value]) => {
+      const newId = track(id, remap(id));
+      remapped[newId] = newId in remapped ? mergeSeenEntries(remapped[newId], value) : value;
+    });
+    migratedSeen = entries === seen ? remapped : { ...seen, entries: remapped };
+  }
+
+  if (storedSeen) {
+    writes.push(['seen_jobs', storedSeen, migratedSeen]);
+  }
+
+  const collisions = Array.from(sources.entries())
+    .filter(([, from]) => from.length > 1)
+    .map(([id, from]) => ({ id, from }));
+  if (collisions.length > 0) {
+    log.warn('Seen job IDs merged into one', { count: collisions.length, collisions });
+  }
+
+  // 4. Rewrite the last run diff (see job-diff.js toRunDiffArtifact)
+  const storedDiff = storage.read('run_diff', null);
+  let diffTotal = 0;
+  let diffChanged = 0;
+
+  if (storedDiff) {
+    const diffJob = job => {
+      diffTotal++;
+      const refreshed = reidentify(job);
+      if (refreshed.id !== job.id) diffChanged++;
+      return refreshed;
+    };
+    const diffId = id => {
+      diffTotal++;
+      const newId = lookup(id) || id;
+      if (newId !== id) diffChanged++;
+      return newId;
+    };
+
+    writes.push(['run_diff', storedDiff, {
+      ...storedDiff,
+      added: (storedDiff.added || []).map(diffJob),
+      removed: (storedDiff.removed || []).map(diffJob),
+      updated: (storedDiff.updated || []).map(entry => {
+        const job = entry.job ? diffJob(entry.job) : null;
+        return { ...entry, id: job ? job.id : diffId(entry.id), job };
+      }),
+      unchanged: (storedDiff.unchanged || []).map(diffId)
+    }]);
+  }
+
+  // 5. Rebuild a saved DedupIndex under the new IDs
+  const storedIndex = storage.read('dedup_index', null);
+  let indexTotal = 0;
+  let indexChanged = 0;
+
+  if (storedIndex && Array.isArray(storedIndex.entries)) {
+    const index = new DedupIndex({ scheme: target.scheme });
+    storedIndex.entries.forEach(({ job }) => {
+      const refreshed = reidentify(job);
+      indexTotal++;
+      if (refreshed.id !== job.id) indexChanged++;
+      index.add(refreshed);
+    });
+    writes.push(['dedup_index', storedIndex, index.toJSON()]);
+  }
+
+  const report = {
+    scheme: target.scheme,
+    dryRun,
+    current: {
+      total: currentJobs.length,
+      changed: currentChanged,
+      collapsed: currentJobs.length - migrated.size,
+      fingerprints: currentFingerprints
+    },
+    seen: { total: seenTotal, changed: seenChanged, unmapped, collisions },
+    archive: {
+      total: Object.keys(records).length,
+      changed: archiveChanged,
+      collapsed: Object.keys(records).length - Object.keys(migratedRecords).length
+    },
+    runDiff: { total: diffTotal, changed: diffChanged },
+    dedupIndex: { total: indexTotal, changed: indexChanged }
+  };
+
+  if (!dryRun) {
+    writes.forEach(([name, before, after]) => {
+      if (backup) {
+        backupStore(storage, name, before);
+      }
+      storage.write(name, after);
+    });
+  }
+
+  log.info('Job ID migration complete', report);
+  return report;
+}
+
+module.exports = {
+  mergeSeenEntries,
+  mergeArchiveRecords,
+  migrateJobIds
+};
+
+// CLI
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const valueOf = flag => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  try {
+    const storage = createStorage({ backend: valueOf('--backend'), dataDir: valueOf('--data-dir') });
+    const report = migrateJobIds({
+      storage,
+      scheme: valueOf('--scheme'),
+      dryRun: args.includes('--dry-run')
+    });
+    console.log(JSON.stringify(report, null, 2));
+    storage.close();
+  } catch (error) {
+    log.error('Job ID migration failed', { error: error.message });
+    process.exit(1);
+  }
+}
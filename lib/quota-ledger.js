@@ -0,0 +1,286 @@
+/**
+ * @zapply/job-board-shared - API Quota Ledger
+ *
+ * Append-only record of every provider request (UTC timestamp, query,
+ * status, result count) with rolling daily/monthly windows aligned to
+ * the provider's reset time, plus a small reporting API.
+ *
+ * Replaces the single-day jsearch_usage.json counter, which reset on the
+ * runner's local date and kept no history.
+ *
+ * Usage:
+ *   const { createQuotaLedger } = require('./shared/lib/quota-ledger');
+ *   const ledger = createQuotaLedger({ provider: 'jsearch', monthlyResetDay: 14 });
+ *   ledger.record({ query: 'software engineer', status: 200, result_count: 30 });
+ *   ledger.save();
+ *   console.log(ledger.report({ monthlyLimit: 10000 }));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LEDGER_VERSION = 1;
+
+/**
+ * Number of days in a UTC month
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Start and end of the quota window containing `now`
+ *
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {Object} [options] - Window options
+ * @param {Date|number} [options.now] - Reference time
+ * @param {number} [options.resetHourUtc=0] - Hour (UTC) the provider resets quotas
+ * @param {number} [options.monthlyResetDay=1] - Day of month the monthly plan renews
+ * @returns {Object} - { start: Date, end: Date }
+ */
+function getWindow(period, options = {}) {
+  const { resetHourUtc = 0, monthlyResetDay = 1 } = options;
+  const now = new Date(options.now !== undefined ? options.now : Date.now());
+
+  if (period === 'daily') {
+    let start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), resetHourUtc);
+    if (start > now.getTime()) {
+      start -= DAY_MS;
+    }
+    return { start: new Date(start), end: new Date(start + DAY_MS) };
+  }
+
+  if (period === 'monthly') {
+    const resetIn = (year, month) => {
+      const y = year + Math.floor(month / 12);
+      const m = ((month % 12) + 12) % 12;
+      return Date.UTC(y, m, Math.min(monthlyResetDay, daysInMonth(y, m)), resetHourUtc);
+    };
+
+    let year = now.getUTCFullYear();
+    let month = now.getUTCMonth();
+    if (resetIn(year, month) > now.getTime()) {
+      month -= 1;
+    }
+
+    return { start: new Date(resetIn(year, month)), end: new Date(resetIn(year, month + 1)) };
+  }
+
+  throw new Error(`Unknown quota period: ${period}`);
+}
+
+/**
+ * Summarize ledger entries into daily and monthly usage
+ *
+ * Entries from several boards' ledgers can be concatenated and passed in
+ * together to see how a shared plan is split between boards.
+ *
+ * @param {Array} entries - Ledger entries
+ * @param {Object} [options] - getWindow options plus:
+ * @param {number} [options.dailyLimit] - Requests allowed per day
+ * @param {number} [options.monthlyLimit] - Requests allowed per month (e.g. RapidAPI plan)
+ * @returns {Object} - { daily, monthly } each { start, end, total, byBoard, byStatus, limit, remaining, percentUsed }
+ */
+function summarizeUsage(entries, options = {}) {
+  const summarize = (period, limit) => {
+    const { start, end } = getWindow(period, options);
+    const inWindow = (entries || []).filter(e => {
+      const t = new Date(e.timestamp).getTime();
+      return t >= start.getTime() && t < end.getTime();
+    });
+
+    const byBoard = {};
+    const byStatus = {};
+    let results = 0;
+
+    inWindow.forEach(e => {
+      const board = e.board || 'unknown';
+      byBoard[board] = (byBoard[board] || 0) + 1;
+      byStatus[e.status] = (byStatus[e.status] || 0) + 1;
+      results += e.result_count || 0;
+    });
+
+    const summary = {
+      start: start.toISOString(),
+      end: end.toISOString(),
+      total: inWindow.length,
+      results,
+      byBoard,
+      byStatus
+    };
+
+    if (limit) {
+      summary.limit = limit;
+      summary.remaining = Math.max(0, limit - inWindow.length);
+      summary.percentUsed = Math.round((inWindow.length / limit) * 1000) / 10;
+    }
+
+    return summary;
+  };
+
+  return {
+    daily: summarize('daily', options.dailyLimit),
+    monthly: summarize('monthly', options.monthlyLimit)
+  };
+}
+
+/**
+ * Read a ledger file
+ *
+ * @param {string} file - Ledger path
+ * @returns {Object} - { version, provider, board, state, entries } (empty ledger if missing/corrupt)
+ */
+function loadLedger(file) {
+  try {
+    if (fs.existsSync(file)) {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return {
+        version: parsed.version || LEDGER_VERSION,
+        provider: parsed.provider,
+        board: parsed.board,
+        state: parsed.state || {},
+        entries: Array.isArray(parsed.entries) ? parsed.entries : []
+      };
+    }
+  } catch (error) {
+    logger.warn('Error loading quota ledger', { error: error.message, file });
+  }
+
+  return { version: LEDGER_VERSION, state: {}, entries: [] };
+}
+
+/**
+ * Create a quota ledger bound to a file
+ *
+ * @param {Object} [options] - Ledger options
+ * @param {string|null} [options.file] - Ledger path; null keeps the ledger in memory
+ *   (default: .github/data/<provider>_ledger.json)
+ * @param {string} [options.provider='jsearch'] - Provider name
+ * @param {string} [options.board] - Board name (default: GITHUB_REPOSITORY or 'local')
+ * @param {number} [options.resetHourUtc=0] - Hour (UTC) the provider resets quotas
+ * @param {number} [options.monthlyResetDay=1] - Day of month the plan renews
+ * @param {number} [options.retentionDays=93] - Entries older than this are dropped on save
+ * @param {Function} [options.now] - Clock (for testing)
+ * @returns {Object} - Ledger with record, count, currentWindow, report, getState, setState and save methods
+ */
+function createQuotaLedger(options = {}) {
+  const provider = options.provider || 'jsearch';
+  const file = options.file === undefined
+    ? path.join(process.cwd(), '.github', 'data', `${provider}_ledger.json`)
+    : options.file;
+  const board = options.board || process.env.GITHUB_REPOSITORY || 'local';
+  const retentionDays = options.retentionDays || 93;
+  const now = options.now || Date.now;
+  const windowOptions = {
+    resetHourUtc: options.resetHourUtc || 0,
+    monthlyResetDay: options.monthlyResetDay || 1
+  };
+
+  const ledger = file ? loadLedger(file) : { version: LEDGER_VERSION, state: {}, entries: [] };
+
+  /**
+   * Record one request
+   *
+   * @param {Object} entry - { query, page, status, result_count, latency_ms }
+   * @returns {Object} - The stored entry
+   */
+  function record(entry) {
+    const stored = {
+      timestamp: new Date(now()).toISOString(),
+      board,
+      ...entry
+    };
+    ledger.entries.push(stored);
+    return stored;
+  }
+
+  /**
+   * Requests recorded by this board in the current window
+   *
+   * @param {string} period - 'daily' or 'monthly'
+   * @returns {number}
+   */
+  function count(period) {
+    const { start, end } = currentWindow(period);
+    return ledger.entries.filter(e => {
+      const t = new Date(e.timestamp).getTime();
+      return e.board === board && t >= start.getTime() && t < end.getTime();
+    }).length;
+  }
+
+  /**
+   * Current quota window (see getWindow)
+   *
+   * @param {string} period - 'daily' or 'monthly'
+   * @returns {Object} - { start: Date, end: Date }
+   */
+  function currentWindow(period) {
+    return getWindow(period, { ...windowOptions, now: now() });
+  }
+
+  /**
+   * Usage summary for this ledger (see summarizeUsage)
+   */
+  function report(reportOptions = {}) {
+    return summarizeUsage(ledger.entries, { ...windowOptions, now: now(), ...reportOptions });
+  }
+
+  function getState() {
+    return { ...ledger.state };
+  }
+
+  function setState(patch) {
+    ledger.state = { ...ledger.state, ...patch };
+  }
+
+  /**
+   * Drop expired entries and write the ledger (atomic write; an in-memory ledger is only pruned)
+   */
+  function save() {
+    const cutoff = now() - retentionDays * DAY_MS;
+    ledger.entries = ledger.entries.filter(e => new Date(e.timestamp).getTime() >= cutoff);
+
+    if (!file) return;
+
+    try {
+      const dir = path.dirname(file);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const tempPath = `${file}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({
+        version: LEDGER_VERSION,
+        provider,
+        board,
+        state: ledger.state,
+        entries: ledger.entries
+      }, null, 2), 'utf8');
+      fs.renameSync(tempPath, file);
+    } catch (error) {
+      logger.error('Error saving quota ledger', { error: error.message, file });
+    }
+  }
+
+  return {
+    file,
+    board,
+    record,
+    count,
+    currentWindow,
+    report,
+    getState,
+    setState,
+    save,
+    entries: () => ledger.entries.slice()
+  };
+}
+
+module.exports = {
+  getWindow,
+  summarizeUsage,
+  loadLedger,
+  createQuotaLedger
+};
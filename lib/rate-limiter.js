@@ -0,0 +1,284 @@
+/**
+ * @zapply/job-board-shared - Per-Domain Rate Limiter
+ *
+ * Token-bucket limiter keyed by hostname that enforces the
+ * `domains` table in config/api-limits.js (requestsPerMinute,
+ * requestsPerHour, concurrent). Hosts without an entry use `default`.
+ *
+ * Bucket state is persisted to .github/data/rate_limits.json so limits
+ * hold across workflow runs, the same way the JSearch quota ledger does.
+ *
+ * Usage:
+ *   const { getDefaultRateLimiter } = require('./rate-limiter');
+ *   const limiter = getDefaultRateLimiter();
+ *   const body = await limiter.schedule('https://api.lever.co/v0/postings/acme', () => getJson(url));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const apiLimits = require('../config/api-limits');
+const logger = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const CONCURRENCY_POLL_MS = 50;
+
+/**
+ * Extract the hostname from a URL or bare host string
+ *
+ * @param {string} target - URL ("https://api.lever.co/v0/...") or hostname
+ * @returns {string} - Lowercase hostname
+ */
+function toHost(target) {
+  if (!target) {
+    throw new Error('Rate limiter target is required');
+  }
+
+  try {
+    const { hostname } = new URL(target);
+    if (hostname) return hostname.toLowerCase();
+  } catch (e) {
+    // Not a URL - treat as a bare host
+  }
+
+  return String(target).split('/')[0].split(':')[0].toLowerCase();
+}
+
+/**
+ * Find the limits for a host: exact match, then parent domains, then default
+ *
+ * @param {string} host - Hostname
+ * @param {Object} [limits] - { domains, default } table (default: config/api-limits)
+ * @returns {Object} - { requestsPerMinute, requestsPerHour, concurrent }
+ */
+function resolveLimits(host, limits = apiLimits) {
+  const fallback = limits.default;
+  const parts = host.split('.');
+
+  for (let i = 0; i < parts.length - 1; i++) {
+    const candidate = parts.slice(i).join('.');
+    if (limits.domains && limits.domains[candidate]) {
+      return { ...fallback, ...limits.domains[candidate] };
+    }
+  }
+
+  return { ...fallback };
+}
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} [options] - Limiter options
+ * @param {Object} [options.limits] - { domains, default } table (default: config/api-limits)
+ * @param {string|null} [options.stateFile] - Persistence path; null disables persistence
+ *   (default: .github/data/rate_limits.json)
+ * @param {number} [options.maxWaitMs=Infinity] - Reject instead of waiting longer than this
+ * @param {Function} [options.now] - Clock (for testing)
+ * @param {Function} [options.sleep] - Sleep function (for testing)
+ * @returns {Object} - Limiter with acquire, schedule, getState and save methods
+ */
+function createRateLimiter(options = {}) {
+  const limits = options.limits || apiLimits;
+  const stateFile = options.stateFile === undefined
+    ? path.join(process.cwd(), '.github', 'data', 'rate_limits.json')
+    : options.stateFile;
+  const maxWaitMs = options.maxWaitMs !== undefined ? options.maxWaitMs : Infinity;
+  const now = options.now || Date.now;
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+  const buckets = loadState();
+  const active = {};
+
+  /**
+   * Load persisted bucket state
+   */
+  function loadState() {
+    if (!stateFile) return {};
+
+    try {
+      if (fs.existsSync(stateFile)) {
+        const parsed = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        return parsed.hosts || {};
+      }
+    } catch (error) {
+      logger.warn('Error loading rate limiter state', { error: error.message });
+    }
+
+    return {};
+  }
+
+  /**
+   * Persist bucket state (atomic write)
+   */
+  function save() {
+    if (!stateFile) return;
+
+    try {
+      const dir = path.dirname(stateFile);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const tempPath = `${stateFile}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ updated_at: new Date(now()).toISOString(), hosts: buckets }, null, 2), 'utf8');
+      fs.renameSync(tempPath, stateFile);
+    } catch (error) {
+      logger.error('Error saving rate limiter state', { error: error.message });
+    }
+  }
+
+  /**
+   * Refill both buckets for a host based on elapsed time
+   */
+  function refill(host, limit) {
+    const current = now();
+    const state = buckets[host] || {
+      minute: { tokens: limit.requestsPerMinute, updated_at: current },
+      hour: { tokens: limit.requestsPerHour, updated_at: current }
+    };
+
+    const refillBucket = (bucket, capacity, windowMs) => {
+      const elapsed = Math.max(0, current - bucket.updated_at);
+      bucket.tokens = Math.min(capacity, bucket.tokens + (elapsed * capacity) / windowMs);
+      bucket.updated_at = current;
+    };
+
+    refillBucket(state.minute, limit.requestsPerMinute, MINUTE_MS);
+    refillBucket(state.hour, limit.requestsPerHour, HOUR_MS);
+
+    buckets[host] = state;
+    return state;
+  }
+
+  /**
+   * Milliseconds until both buckets hold a whole token
+   */
+  function msUntilToken(state, limit) {
+    const waitFor = (bucket, capacity, windowMs) =>
+      bucket.tokens >= 1 ? 0 : Math.ceil(((1 - bucket.tokens) * windowMs) / capacity);
+
+    return Math.max(
+      waitFor(state.minute, limit.requestsPerMinute, MINUTE_MS),
+      waitFor(state.hour, limit.requestsPerHour, HOUR_MS)
+    );
+  }
+
+  /**
+   * Wait for a request slot on the target's host
+   *
+   * @param {string} target - URL or hostname
+   * @param {Object} [callOptions] - { maxWaitMs } overriding the limiter's maxWaitMs
+   * @returns {Promise<Function>} - Resolves with release(); call it when the request finishes
+   * @throws {Error} - code 'ERATELIMIT' when the wait would exceed maxWaitMs
+   */
+  async function acquire(target, callOptions = {}) {
+    const waitLimit = callOptions.maxWaitMs !== undefined ? callOptions.maxWaitMs : maxWaitMs;
+    const host = toHost(target);
+    const limit = resolveLimits(host, limits);
+    const concurrent = limit.concurrent || 1;
+
+    for (;;) {
+      const state = refill(host, limit);
+      const running = active[host] || 0;
+      const tokenWait = msUntilToken(state, limit);
+
+      if (running < concurrent && tokenWait === 0) {
+        state.minute.tokens -= 1;
+        state.hour.tokens -= 1;
+        active[host] = running + 1;
+        save();
+
+        let released = false;
+        return () => {
+          if (released) return;
+          released = true;
+          active[host] = Math.max(0, (active[host] || 1) - 1);
+        };
+      }
+
+      const wait = running >= concurrent ? Math.max(tokenWait, CONCURRENCY_POLL_MS) : tokenWait;
+
+      if (wait > waitLimit) {
+        const error = new Error(`Rate limit for ${host} requires waiting ${wait}ms (max ${waitLimit}ms)`);
+        error.code = 'ERATELIMIT';
+        throw error;
+      }
+
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Run fn once a slot is available, releasing the slot when it settles
+   *
+   * @param {string} target - URL or hostname
+   * @param {Function} fn - Async function performing the request
+   * @param {Object} [callOptions] - { maxWaitMs } (see acquire)
+   * @returns {Promise<*>} - fn's result
+   */
+  async function schedule(target, fn, callOptions = {}) {
+    const release = await acquire(target, callOptions);
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Current token counts per host (after refill)
+   */
+  function getState() {
+    const snapshot = {};
+
+    Object.keys(buckets).forEach(host => {
+      const state = refill(host, resolveLimits(host, limits));
+      snapshot[host] = {
+        minute: Math.floor(state.minute.tokens),
+        hour: Math.floor(state.hour.tokens),
+        active: active[host] || 0
+      };
+    });
+
+    return snapshot;
+  }
+
+  return {
+    acquire,
+    schedule,
+    getState,
+    save
+  };
+}
+
+// Process-wide limiter shared by every outbound request
+let defaultLimiter = null;
+
+/**
+ * Get (or lazily create) the shared process-wide limiter
+ *
+ * @returns {Object} - Rate limiter
+ */
+function getDefaultRateLimiter() {
+  if (!defaultLimiter) {
+    defaultLimiter = createRateLimiter();
+  }
+  return defaultLimiter;
+}
+
+/**
+ * Replace the shared limiter (e.g. with a non-persisting one in tests)
+ *
+ * @param {Object|null} limiter - Limiter, or null to recreate lazily
+ */
+function setDefaultRateLimiter(limiter) {
+  defaultLimiter = limiter;
+}
+
+module.exports = {
+  toHost,
+  resolveLimits,
+  createRateLimiter,
+  getDefaultRateLimiter,
+  setDefaultRateLimiter
+};
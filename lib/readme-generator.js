@@ -23,6 +23,11 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
   // Import shared utilities
   const { logger } = require(path.join(__dirname, "../index.js"));
   const { renderConfigTemplates } = require(path.join(__dirname, "./template-renderer.js"));
+  const { toCanonical } = require(path.join(__dirname, "./job-schema.js"));
+  const { getProvenance } = require(path.join(__dirname, "./job-merge.js"));
+  const { isClosedJob } = require(path.join(__dirname, "./link-checker.js"));
+  const { categorizeJob } = require(path.join(__dirname, "./categorizer.js"));
+  const { getEmploymentType } = require(path.join(__dirname, "./employment-type.js"));
 
   // Import repo-specific utilities using repoRoot
   const utils = require(path.join(repoRoot, '.github/scripts/job-fetcher/utils.js'));
@@ -46,7 +51,7 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
     oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
 
     const currentJobs = allJobs.filter(job => {
-      const dateValue = job.job_posted_at_datetime_utc;
+      const dateValue = toCanonical(job).posted_at;
 
       // Handle null/undefined/invalid dates - assume recent (Bug #1 fix)
       if (!dateValue) {
@@ -62,7 +67,7 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
     });
 
     const archivedJobs = allJobs.filter(job => {
-      const dateValue = job.job_posted_at_datetime_utc;
+      const dateValue = toCanonical(job).posted_at;
 
       // Only archive jobs with valid dates (Bug #1 fix)
       if (!dateValue) {
@@ -83,38 +88,40 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
   // Filter out senior positions - only keep Entry-Level and Mid-Level
   function filterOutSeniorPositions(jobs) {
     return jobs.filter(job => {
-      const level = getExperienceLevel(job.job_title, job.job_description);
+      const { title, description } = toCanonical(job);
+      const level = getExperienceLevel(title, description);
       return level !== "Senior";
     });
   }
 
-  // Helper function to categorize a job based on keywords
+  // Helper function to categorize a job based on keywords (top-ranked
+  // job_categories.json label, see categorizer.js)
   function getJobCategoryFromKeywords(jobTitle, jobDescription = '') {
-    const text = `${jobTitle} ${jobDescription}`.toLowerCase();
+    return categorizeJob(
+      { title: jobTitle, description: jobDescription },
+      { categories: jobCategories, defaultCategory: config.defaultCategory } // From config (varies per repo)
+    ).category;
+  }
 
-    // Check each category's keywords
-    for (const [categoryKey, categoryData] of Object.entries(jobCategories)) {
-      for (const keyword of categoryData.keywords) {
-        if (text.includes(keyword.toLowerCase())) {
-          return categoryKey;
-        }
-      }
-    }
+  // Links to the other places a merged job is listed (job-merge provenance)
+  function formatOtherListings(job) {
+    const others = (job.sources || []).filter(source => source.url && source.url !== job.url);
+    if (others.length === 0) return "";
 
-    return config.defaultCategory; // From config (varies per repo)
+    return `<br><sub>Also on: ${others.map(source => `[${source.source}](${source.url})`).join(", ")}</sub>`;
   }
 
   // Generate job table organized by job type categories
   function generateJobTable(jobs) {
     logger.debug('Starting generateJobTable', { total_jobs: jobs.length });
 
-    jobs = filterOutSeniorPositions(jobs);
+    jobs = filterOutSeniorPositions(jobs).map(job => ({ ...toCanonical(job), sources: getProvenance(job) }));
     logger.debug('After filtering seniors', { remaining_jobs: jobs.length });
 
     if (jobs.length === 0) {
-      return `| Company | Role | Location | Posted | Level | Apply |
-|---------|------|----------|--------|-------|-------|
-| *No current openings* | *Check back tomorrow* | *-* | *-* | *-* | *-* |`;
+      return `| Company | Role | Location | Posted | Level | Type | Apply |
+|---------|------|----------|--------|-------|------|-------|
+| *No current openings* | *Check back tomorrow* | *-* | *-* | *-* | *-* | *-* |`;
     }
 
     logger.debug('Configured job categories', {
@@ -130,7 +137,7 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
     const categorizedJobs = new Set();
 
     jobs.forEach((job) => {
-      const categoryKey = getJobCategoryFromKeywords(job.job_title, job.job_description);
+      const categoryKey = getJobCategoryFromKeywords(job.title, job.description);
       // Use fingerprint instead of job.id to handle jobs without id field
       const jobFingerprint = generateMinimalJobFingerprint(job);
       categorizedJobs.add(jobFingerprint);
@@ -164,7 +171,7 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
       // Group jobs by company within this category
       const jobsByCompany = {};
       categoryJobs.forEach((job) => {
-        const company = job.employer_name;
+        const company = job.company;
         if (!jobsByCompany[company]) {
           jobsByCompany[company] = [];
         }
@@ -185,8 +192,8 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
 
         // Sort jobs by date (newest first)
         const sortedJobs = companyJobs.sort((a, b) => {
-          const dateA = new Date(a.job_posted_at_datetime_utc);
-          const dateB = new Date(b.job_posted_at_datetime_utc);
+          const dateA = new Date(a.posted_at);
+          const dateB = new Date(b.posted_at);
           return dateB - dateA; // Newest first
         });
 
@@ -197,15 +204,15 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
           output += `#### ${emoji} **${companyName}** (${companyJobs.length} positions)\n\n`;
         }
 
-        output += `| Role | Location | Posted | Level | Apply |\n`;
-        output += `|------|----------|--------|-------|-------|\n`;
+        output += `| Role | Location | Posted | Level | Type | Apply |\n`;
+        output += `|------|----------|--------|-------|------|-------|\n`;
 
         sortedJobs.forEach((job) => {
-          const role = job.job_title.length > 35 ? job.job_title.substring(0, 32) + "..." : job.job_title;
-          const location = formatLocation(job.job_city, job.job_state);
-          const posted = formatTimeAgo(job.job_posted_at_datetime_utc);
-          const level = getExperienceLevel(job.job_title, job.job_description);
-          const applyLink = job.job_apply_link || getCompanyCareerUrl(job.employer_name);
+          const role = job.title.length > 35 ? job.title.substring(0, 32) + "..." : job.title;
+          const location = formatLocation(job.city, job.state);
+          const posted = formatTimeAgo(job.posted_at);
+          const level = getExperienceLevel(job.title, job.description);
+          const applyLink = job.url || getCompanyCareerUrl(job.company);
 
           const levelShort = {
             "Entry-Level": '![Entry](https://img.shields.io/badge/-Entry-brightgreen "Entry-Level")',
@@ -214,7 +221,7 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
           }[level] || level;
 
           let statusIndicator = "";
-          const description = (job.job_description || "").toLowerCase();
+          const description = job.description.toLowerCase();
           if (description.includes("no sponsorship") || description.includes("us citizen")) {
             statusIndicator = " 🇺🇸";
           }
@@ -222,7 +229,7 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
             statusIndicator += " 🏠";
           }
 
-          output += `| ${role}${statusIndicator} | ${location} | ${posted} | ${levelShort} | [<img src="images/apply.png" width="75" alt="Apply">](${applyLink}) |\n`;
+          output += `| ${role}${statusIndicator} | ${location} | ${posted} | ${levelShort} | ${getEmploymentType(job)} | [<img src="images/apply.png" width="75" alt="Apply">](${applyLink})${formatOtherListings(job)} |\n`;
         });
 
         if (companyJobs.length > 50) {
@@ -244,23 +251,23 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
 
         // Sort all jobs by date (newest first)
         allSmallCompanyJobs.sort((a, b) => {
-          const dateA = new Date(a.job_posted_at_datetime_utc);
-          const dateB = new Date(b.job_posted_at_datetime_utc);
+          const dateA = new Date(a.posted_at);
+          const dateB = new Date(b.posted_at);
           return dateB - dateA; // Newest first
         });
 
-        output += `| Company | Role | Location | Posted | Level | Apply |\n`;
-        output += `|---------|------|----------|--------|-------|-------|\n`;
+        output += `| Company | Role | Location | Posted | Level | Type | Apply |\n`;
+        output += `|---------|------|----------|--------|-------|------|-------|\n`;
 
         allSmallCompanyJobs.forEach((job) => {
           const companyName = job.companyName;
           const emoji = getCompanyEmoji(companyName);
 
-          const role = job.job_title.length > 35 ? job.job_title.substring(0, 32) + "..." : job.job_title;
-          const location = formatLocation(job.job_city, job.job_state);
-          const posted = formatTimeAgo(job.job_posted_at_datetime_utc);
-          const level = getExperienceLevel(job.job_title, job.job_description);
-          const applyLink = job.job_apply_link || getCompanyCareerUrl(job.employer_name);
+          const role = job.title.length > 35 ? job.title.substring(0, 32) + "..." : job.title;
+          const location = formatLocation(job.city, job.state);
+          const posted = formatTimeAgo(job.posted_at);
+          const level = getExperienceLevel(job.title, job.description);
+          const applyLink = job.url || getCompanyCareerUrl(job.company);
 
           const levelShort = {
             "Entry-Level": '![Entry](https://img.shields.io/badge/-Entry-brightgreen "Entry-Level")',
@@ -269,7 +276,7 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
           }[level] || level;
 
           let statusIndicator = "";
-          const description = (job.job_description || "").toLowerCase();
+          const description = job.description.toLowerCase();
           if (description.includes("no sponsorship") || description.includes("us citizen")) {
             statusIndicator = " 🇺🇸";
           }
@@ -277,7 +284,7 @@ function createReadmeGenerator(config, jobCategories, repoRoot) {
             statusIndicator += " 🏠";
           }
 
-          output += `| ${emoji} **${companyName}** | ${role}${statusIndicator} | ${location} | ${posted} | ${levelShort} | [<img src="images/apply.png" width="75" alt="Apply">](${applyLink}) |\n`;
+          output += `| ${emoji} **${companyName}** | ${role}${statusIndicator} | ${location} | ${posted} | ${levelShort} | ${getEmploymentType(job)} | [<img src="images/apply.png" width="75" alt="Apply">](${applyLink})${formatOtherListings(job)} |\n`;
         });
 
         output += "\n";
@@ -327,7 +334,19 @@ ${internshipData.sources
 `;
   }
 
-  function generateArchivedSection(archivedJobs, stats) {
+  // A job archive (see job-archive.js) supplies archived jobs and their stats from history
+  function resolveArchivedJobs(archivedJobs) {
+    if (archivedJobs && typeof archivedJobs.query === 'function') {
+      return {
+        jobs: archivedJobs.jobs({ state: 'archived' }),
+        archiveStats: archivedJobs.stats(),
+        lastWeek: archivedJobs.stats({ from: Date.now() - 7 * 24 * 60 * 60 * 1000 })
+      };
+    }
+    return { jobs: archivedJobs || [], archiveStats: null, lastWeek: null };
+  }
+
+  function generateArchivedSection(archivedJobs, stats, archive = {}) {
     if (archivedJobs.length === 0) return "";
 
     archivedJobs = filterOutSeniorPositions(archivedJobs);
@@ -335,7 +354,8 @@ ${internshipData.sources
     // Get top category from archived jobs
     const categoryCounts = {};
     archivedJobs.forEach(job => {
-      const cat = getJobCategoryFromKeywords(job.job_title, job.job_description);
+      const { title, description } = toCanonical(job);
+      const cat = getJobCategoryFromKeywords(title, description);
       const catTitle = jobCategories[cat]?.title || 'Software Engineering';
       categoryCounts[catTitle] = (categoryCounts[catTitle] || 0) + 1;
     });
@@ -351,8 +371,9 @@ ${internshipData.sources
 
 ### 📊 **Archived Job Stats**
 - **📁 Total Jobs**: ${archivedJobs.length} positions
-- **🏢 Companies**: ${Object.keys(stats.totalByCompany).length} companies
-- **🏷️ Top Category**: ${topCategory}
+- **🏢 Companies**: ${Object.keys(archive.archiveStats ? archive.archiveStats.archivedByCompany : stats.totalByCompany).length} companies
+- **🏷️ Top Category**: ${topCategory}${archive.lastWeek ? `
+- **📅 Archived This Week**: ${archive.lastWeek.transitions.archived || 0} positions` : ""}
 
 ${generateJobTable(archivedJobs)}
 
@@ -371,8 +392,11 @@ ${generateJobTable(archivedJobs)}
       day: "numeric",
     });
 
-    // Filter senior positions
-    currentJobs = filterOutSeniorPositions(currentJobs);
+    // Filter senior positions and postings whose apply link is closed
+    currentJobs = filterOutSeniorPositions(currentJobs).filter(job => !isClosedJob(job));
+
+    const archive = resolveArchivedJobs(archivedJobs);
+    archivedJobs = archive.jobs;
 
     // Calculate stats from currentJobs only (not archived)
     const currentStats = {
@@ -382,22 +406,24 @@ ${generateJobTable(archivedJobs)}
       totalByCompany: {}
     };
 
-    currentJobs.forEach(job => {
+    currentJobs.forEach(rawJob => {
+      const job = toCanonical(rawJob);
+
       // Count by level
-      const level = getExperienceLevel(job.job_title, job.job_description);
+      const level = getExperienceLevel(job.title, job.description);
       currentStats.byLevel[level] = (currentStats.byLevel[level] || 0) + 1;
 
       // Count by location
-      const location = formatLocation(job.job_city, job.job_state);
+      const location = formatLocation(job.city, job.state);
       currentStats.byLocation[location] = (currentStats.byLocation[location] || 0) + 1;
 
       // Count by category (using new job categories)
-      const categoryKey = getJobCategoryFromKeywords(job.job_title, job.job_description);
+      const categoryKey = getJobCategoryFromKeywords(job.title, job.description);
       const categoryTitle = jobCategories[categoryKey]?.title || 'Software Engineering';
       currentStats.byCategory[categoryTitle] = (currentStats.byCategory[categoryTitle] || 0) + 1;
 
       // Count by company
-      const company = job.employer_name;
+      const company = job.company;
       currentStats.totalByCompany[company] = (currentStats.totalByCompany[company] || 0) + 1;
     });
 
@@ -536,7 +562,7 @@ Our team reviews within 24-48 hours and approved jobs are added to the main list
 
 Questions? Create a miscellaneous issue, and we'll assist! 🙏
 
-${archivedJobs.length > 0 ? generateArchivedSection(archivedJobs, currentStats) : ""}
+${archivedJobs.length > 0 ? generateArchivedSection(archivedJobs, currentStats, archive) : ""}
 
 <div align="center">
 
@@ -554,18 +580,70 @@ ${archivedJobs.length > 0 ? generateArchivedSection(archivedJobs, currentStats)
   }
 
   // Update README file
-  async function updateReadme(currentJobs, existingArchivedJobs = [], internshipData, stats) {
+  /**
+   * Line-level change summary between two README versions
+   *
+   * Lines are compared as multisets, so a moved line counts as unchanged.
+   *
+   * @param {string} before - Existing README ('' if none)
+   * @param {string} after - Generated README
+   * @returns {Object} - { linesBefore, linesAfter, added, removed, delta }
+   */
+  function diffReadmeLines(before, after) {
+    const beforeLines = before ? before.split("\n") : [];
+    const afterLines = after.split("\n");
+    const remaining = new Map();
+    beforeLines.forEach(line => remaining.set(line, (remaining.get(line) || 0) + 1));
+
+    let added = 0;
+    afterLines.forEach(line => {
+      const count = remaining.get(line) || 0;
+      if (count > 0) {
+        remaining.set(line, count - 1);
+      } else {
+        added++;
+      }
+    });
+    const removed = Array.from(remaining.values()).reduce((sum, count) => sum + count, 0);
+
+    return {
+      linesBefore: beforeLines.length,
+      linesAfter: afterLines.length,
+      added,
+      removed,
+      delta: afterLines.length - beforeLines.length
+    };
+  }
+
+  /**
+   * Generate README.md and write it to the repo root
+   *
+   * With `options.dryRun` (or DRY_RUN=true) the README is generated and
+   * compared with the existing file, but not written.
+   *
+   * @param {Array} currentJobs - Jobs from processJobs()
+   * @param {Array|Object} existingArchivedJobs - Archived jobs or the job archive
+   * @param {Object} internshipData - Internship section data
+   * @param {Object} stats - Job stats
+   * @param {Object} [options] - { dryRun }
+   * @returns {Promise<Object>} - Line change summary (see diffReadmeLines) plus { dryRun }
+   */
+  async function updateReadme(currentJobs, existingArchivedJobs = [], internshipData, stats, options = {}) {
+    const dryRun = options.dryRun !== undefined ? options.dryRun : process.env.DRY_RUN === 'true';
+
     try {
       logger.info('Generating README content');
 
       // Jobs are already filtered by processJobs() - no need to re-filter
       // currentJobs: jobs <14 days old, existingArchivedJobs: jobs >14 days old
+      // (or the job archive from processJobs)
 
       const archivedJobs = existingArchivedJobs;
+      const archivedCount = resolveArchivedJobs(archivedJobs).jobs.length;
 
       logger.info('Using pre-filtered jobs', {
         current: currentJobs.length,
-        archived: archivedJobs.length
+        archived: archivedCount
       });
 
       const readmeContent = await generateReadme(
@@ -574,13 +652,26 @@ ${archivedJobs.length > 0 ? generateArchivedSection(archivedJobs, currentStats)
         internshipData,
         stats
       );
+      const existingContent = fs.existsSync(REPO_README_PATH) ? fs.readFileSync(REPO_README_PATH, "utf8") : "";
+      const changes = diffReadmeLines(existingContent, readmeContent);
+
+      if (dryRun) {
+        logger.info('Dry run: README.md not written', changes);
+        console.log(`🧪 README.md would change: +${changes.added} / -${changes.removed} lines (${changes.linesBefore} → ${changes.linesAfter})`);
+        return { dryRun: true, ...changes };
+      }
+
       fs.writeFileSync(REPO_README_PATH, readmeContent, "utf8");
 
       logger.info('README.md updated successfully', {
         current_jobs: currentJobs.length,
-        archived_jobs: archivedJobs.length,
-        companies: Object.keys(stats?.totalByCompany || {}).length
+        archived_jobs: archivedCount,
+        companies: Object.keys(stats?.totalByCompany || {}).length,
+        lines_added: changes.added,
+        lines_removed: changes.removed
       });
+
+      return { dryRun: false, ...changes };
     } catch (err) {
       logger.error('Error updating README', {
         error: err.message,
@@ -597,6 +688,7 @@ ${archivedJobs.length > 0 ? generateArchivedSection(archivedJobs, currentStats)
     generateArchivedSection,
     generateReadme,
     updateReadme,
+    diffReadmeLines,
     filterJobsByAge,
     filterOutSeniorPositions,
   };
@@ -0,0 +1,185 @@
+/**
+ * @zapply/job-board-shared - Seen Jobs Store
+ *
+ * Records when each job ID was first and last seen, its source and how
+ * many runs saw it. Entries not seen for `ttlDays` are dropped when the
+ * store is compacted (on save), so seen_jobs.json no longer grows forever.
+ *
+ * The legacy formats (a flat array of IDs, or an { id: value } object) are
+ * read as entries first seen at load time.
+ *
+ * The store is Set-like (has, add, delete, size, iteration over IDs), so
+ * code written against the old `Set` from loadSeenJobsStore keeps working.
+ *
+ * Usage:
+ *   const { createSeenJobsStore } = require('./shared/lib/seen-jobs-store');
+ *   const seen = createSeenJobsStore({ ttlDays: 30 });
+ *   const fresh = jobs.filter(job => !seen.has(job.id));
+ *   jobs.forEach(job => seen.markSeen(job));
+ *   seen.save();
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const { toCanonical } = require('./job-schema');
+const { getDefaultStorage, createJsonStorage } = require('./storage');
+const { processing } = require('../config/api-limits');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STORE_VERSION = 1;
+
+/**
+ * Convert stored seen data in any supported format to entries
+ *
+ * @param {Array|Object|null} data - Parsed seen_jobs document
+ * @param {string} loadedAt - ISO timestamp used for legacy entries
+ * @returns {Object} - { id: { first_seen, last_seen, source, times_seen } }
+ */
+function parseSeenEntries(data, loadedAt) {
+  const legacyEntry = () => ({ first_seen: loadedAt, last_seen: loadedAt, source: null, times_seen: 1 });
+  const entries = {};
+
+  if (Array.isArray(data)) {
+    data.forEach(id => {
+      entries[id] = legacyEntry();
+    });
+  } else if (data && data.version && data.entries) {
+    Object.assign(entries, data.entries);
+  } else if (data) {
+    Object.keys(data).forEach(id => {
+      entries[id] = legacyEntry();
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Read seen entries from a file in any supported format
+ *
+ * @param {string} file - seen_jobs.json path
+ * @param {string} loadedAt - ISO timestamp used for legacy entries
+ * @returns {Object} - { id: { first_seen, last_seen, source, times_seen } } (empty if missing/corrupt)
+ */
+function loadSeenEntries(file, loadedAt) {
+  const name = path.basename(file, '.json');
+  return parseSeenEntries(createJsonStorage({ dataDir: path.dirname(file) }).read(name, null), loadedAt);
+}
+
+/**
+ * Create a seen-jobs store bound to a storage backend (or a JSON file)
+ *
+ * @param {Object} [options] - Store options
+ * @param {Object} [options.storage] - Storage backend (see storage.js; default: getDefaultStorage())
+ * @param {string} [options.file] - JSON file path instead of a backend (e.g. .github/data/seen_jobs.json)
+ * @param {number} [options.ttlDays] - Days an unseen entry is kept (default: config processing.seenJobsTtlDays)
+ * @param {Function} [options.now] - Clock (for testing)
+ * @returns {Object} - Set-like store with markSeen, get, compact and save methods
+ */
+function createSeenJobsStore(options = {}) {
+  const file = options.file || null;
+  const name = file ? path.basename(file, '.json') : 'seen_jobs';
+  const storage = file ? createJsonStorage({ dataDir: path.dirname(file) }) : (options.storage || getDefaultStorage());
+  const ttlDays = options.ttlDays || processing.seenJobsTtlDays;
+  const now = options.now || Date.now;
+
+  const entries = parseSeenEntries(storage.read(name, null), new Date(now()).toISOString());
+
+  /**
+   * Record that a job was seen in this run
+   *
+   * @param {Object|string} jobOrId - Job (with id) or job ID
+   * @param {Object} [details] - { source } (defaults to the job's source)
+   * @returns {Object} - The updated entry
+   */
+  function markSeen(jobOrId, details = {}) {
+    const id = typeof jobOrId === 'string' ? jobOrId : jobOrId && jobOrId.id;
+    if (!id) {
+      throw new Error('Job ID is required');
+    }
+
+    const timestamp = new Date(now()).toISOString();
+    const source = details.source || (typeof jobOrId === 'object' ? toCanonical(jobOrId).source : '') || null;
+    const entry = entries[id];
+
+    if (entry) {
+      entry.last_seen = timestamp;
+      entry.times_seen = (entry.times_seen || 0) + 1;
+      entry.source = source || entry.source || null;
+    } else {
+      entries[id] = { first_seen: timestamp, last_seen: timestamp, source, times_seen: 1 };
+    }
+
+    return entries[id];
+  }
+
+  /**
+   * Drop entries not seen within the TTL
+   *
+   * @returns {number} - Number of entries removed
+   */
+  function compact() {
+    const cutoff = now() - ttlDays * DAY_MS;
+    let removed = 0;
+
+    Object.keys(entries).forEach(id => {
+      const lastSeen = new Date(entries[id].last_seen).getTime();
+      if (!(lastSeen >= cutoff)) {
+        delete entries[id];
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Compact and write the store
+   *
+   * @returns {number} - Number of entries removed by compaction
+   */
+  function save() {
+    const removed = compact();
+
+    try {
+      storage.write(name, { version: STORE_VERSION, ttl_days: ttlDays, entries });
+    } catch (error) {
+      logger.error('Error saving seen jobs', { error: error.message, backend: storage.backend, file });
+    }
+
+    return removed;
+  }
+
+  const store = {
+    file,
+    storage,
+    ttlDays,
+    markSeen,
+    compact,
+    save,
+    has: id => Object.prototype.hasOwnProperty.call(entries, id),
+    get: id => (Object.prototype.hasOwnProperty.call(entries, id) ? { ...entries[id] } : undefined),
+    delete: id => {
+      const existed = store.has(id);
+      delete entries[id];
+      return existed;
+    },
+    ids: () => Object.keys(entries),
+    [Symbol.iterator]: () => Object.keys(entries)[Symbol.iterator]()
+  };
+
+  // Set compatibility: add(id) records a sighting, size counts entries
+  store.add = id => {
+    markSeen(id);
+    return store;
+  };
+  Object.defineProperty(store, 'size', { get: () => Object.keys(entries).length });
+
+  return store;
+}
+
+module.exports = {
+  parseSeenEntries,
+  loadSeenEntries,
+  createSeenJobsStore
+};
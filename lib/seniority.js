@@ -0,0 +1,150 @@
+/**
+ * @zapply/job-board-shared - Seniority Classifier
+ *
+ * Scores a job's title and description against the weighted signals in
+ * config/categories.js (`seniority`) and returns the winning level with a
+ * confidence and the evidence behind it. Replaces the substring checks that
+ * matched 'lead' in "leadership" and 'l1' in "html1". Required years of
+ * experience (see experience.js) count as one more signal.
+ *
+ * Usage:
+ *   const { classifySeniority } = require('./shared/lib/seniority');
+ *   classifySeniority({ job_title: 'Sr. Software Engineer', job_description: '...' });
+ *   // { level: 'Senior', confidence: 1, scores: { Senior: 9 },
+ *   //   evidence: [{ level: 'Senior', signal: 'sr', field: 'title', weight: 9 }] }
+ */
+
+const defaultCategories = require('../config/categories');
+const { toCanonical } = require('./job-schema');
+const { extractExperience } = require('./experience');
+
+const patternCache = new Map();
+
+/**
+ * Whole-word, case-insensitive pattern for a signal ('entry level' also
+ * matches "entry-level")
+ *
+ * @param {string} signal - Signal phrase
+ * @returns {RegExp}
+ */
+function signalPattern(signal) {
+  if (!patternCache.has(signal)) {
+    const body = signal.trim().toLowerCase()
+      .split(/[\s-]+/)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[\\s-]+');
+    patternCache.set(signal, new RegExp(`(?<![a-z0-9])${body}(?![a-z0-9])`, 'i'));
+  }
+  return patternCache.get(signal);
+}
+
+/**
+ * Classifier settings from a categories config
+ *
+ * Configs without a `seniority` section fall back to their
+ * `experienceLevels` keyword lists, each keyword weighing 1.
+ */
+function resolveSettings(categories) {
+  const defaults = defaultCategories.seniority;
+  if (categories.seniority) {
+    return { ...defaults, ...categories.seniority };
+  }
+
+  if (categories.experienceLevels) {
+    const levels = ['Entry-Level', 'Mid-Level', 'Senior'].filter(level => categories.experienceLevels[level]);
+    const signals = {};
+    levels.forEach(level => {
+      signals[level] = Object.fromEntries(categories.experienceLevels[level].map(keyword => [keyword, 1]));
+    });
+    return { ...defaults, signals };
+  }
+
+  return defaults;
+}
+
+/**
+ * Level for a minimum number of required years
+ */
+function levelForYears(years, thresholds) {
+  if (years >= thresholds.seniorFrom) return 'Senior';
+  if (years >= thresholds.midLevelFrom) return 'Mid-Level';
+  return 'Entry-Level';
+}
+
+/**
+ * Classify a job's seniority
+ *
+ * Every signal found in a field counts once (weight x field weight), and a
+ * years-of-experience requirement (see experience.js) adds the
+ * experienceYears weight to the level its minimum maps to. The level with
+ * the highest score wins; confidence is its share of all scores (0 when
+ * nothing matched and the default level is used). Levels listed in
+ * needsTitleOrExperience only win with a title or experience signal, so
+ * description wording alone ("pair with senior engineers") is not enough.
+ *
+ * @param {Object} job - Job (any supported format)
+ * @param {Object} [options] - Classifier options
+ * @param {Object} [options.categories] - Categories config (default: config/categories.js)
+ * @returns {Object} - { level, confidence, scores, evidence: [{ level, signal, field, weight }], experience }
+ */
+function classifySeniority(job, options = {}) {
+  const settings = resolveSettings(options.categories || defaultCategories);
+  const canonical = toCanonical(job || {});
+  const fields = [
+    { field: 'title', text: canonical.title, weight: settings.titleWeight },
+    { field: 'description', text: canonical.description, weight: settings.descriptionWeight }
+  ];
+
+  const scores = {};
+  const evidence = [];
+  const backed = new Set(); // Levels with a title or experience signal
+
+  Object.entries(settings.signals).forEach(([level, signals]) => {
+    Object.entries(signals).forEach(([signal, signalWeight]) => {
+      fields.forEach(({ field, text, weight }) => {
+        if (text && signalPattern(signal).test(text)) {
+          scores[level] = (scores[level] || 0) + signalWeight * weight;
+          evidence.push({ level, signal, field, weight: signalWeight * weight });
+          if (field !== 'description') backed.add(level);
+        }
+      });
+    });
+  });
+
+  const experience = extractExperience(job || {});
+  if (experience && settings.experienceYears) {
+    const level = levelForYears(experience.min, settings.experienceYears);
+    const { weight } = settings.experienceYears;
+    const [requirement] = experience.requirements.filter(r => r.min === experience.min);
+
+    scores[level] = (scores[level] || 0) + weight;
+    evidence.push({ level, signal: requirement.text, field: requirement.source, weight });
+    backed.add(level);
+  }
+
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  if (total === 0) {
+    return { level: settings.defaultLevel, confidence: 0, scores, evidence, experience };
+  }
+
+  // Strictly greater, so ties go to the level listed first
+  const needsBacking = settings.needsTitleOrExperience || [];
+  const candidates = Array.from(new Set([...Object.keys(settings.signals), ...Object.keys(scores)]))
+    .filter(name => scores[name] && (backed.has(name) || !needsBacking.includes(name)));
+  const level = candidates.length > 0
+    ? candidates.reduce((best, name) => (scores[name] > scores[best] ? name : best))
+    : settings.defaultLevel;
+
+  return {
+    level,
+    confidence: Math.round(((scores[level] || 0) / total) * 100) / 100,
+    scores,
+    evidence: evidence.sort((a, b) => b.weight - a.weight),
+    experience
+  };
+}
+
+module.exports = {
+  classifySeniority,
+  signalPattern
+};
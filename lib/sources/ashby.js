@@ -0,0 +1,83 @@
+/**
+ * @zapply/job-board-shared - Ashby Source Adapter
+ *
+ * Fetches published jobs from the public Ashby Job Posting API
+ * https://developers.ashbyhq.com/docs/public-job-posting-api
+ */
+
+const { getJson } = require('./http');
+const { splitLocation, toIsoDate } = require('./normalize');
+
+const SOURCE_NAME = 'ashby';
+
+/**
+ * Create an Ashby source adapter
+ *
+ * @param {Array<string|Object>} boards - Job board names, or { board, company } objects
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.baseUrl] - API base URL (default: https://api.ashbyhq.com/posting-api/job-board)
+ * @param {Function} [options.getJson] - JSON fetch function (default: ./http getJson)
+ * @returns {Object} - Source adapter { name, fetch, normalize }
+ */
+function createAshbySource(boards, options = {}) {
+  const baseUrl = options.baseUrl || 'https://api.ashbyhq.com/posting-api/job-board';
+  const fetchJson = options.getJson || getJson;
+  const boardList = (boards || []).map(b => (typeof b === 'string' ? { board: b, company: b } : b));
+
+  /**
+   * Fetch every board; a failing board is listed in `errors` ([{ board, error }])
+   * and does not discard the others
+   */
+  async function fetch() {
+    const results = [];
+    const errors = [];
+
+    for (const board of boardList) {
+      try {
+        const body = await fetchJson(`${baseUrl}/${encodeURIComponent(board.board)}`);
+        (body.jobs || [])
+          .filter(job => job.isListed !== false)
+          .forEach(job => results.push({ ...job, _board: board }));
+      } catch (error) {
+        errors.push({ board: board.board, error: error.message });
+      }
+    }
+
+    return { jobs: results, errors };
+  }
+
+  function normalize(raw) {
+    const postal = (raw.address && raw.address.postalAddress) || {};
+    const location = postal.addressLocality
+      ? {
+          job_city: postal.addressLocality,
+          job_state: postal.addressRegion || '',
+          job_country: postal.addressCountry || ''
+        }
+      : splitLocation(raw.location);
+
+    if (raw.isRemote && !location.job_city) {
+      location.job_city = 'Remote';
+    }
+
+    return {
+      job_id: `ashby-${raw.id}`,
+      job_title: raw.title || '',
+      employer_name: (raw._board && raw._board.company) || '',
+      ...location,
+      job_apply_link: raw.applyUrl || raw.jobUrl || '',
+      job_description: raw.descriptionPlain || '',
+      job_posted_at_datetime_utc: toIsoDate(raw.publishedAt),
+      job_employment_type: raw.employmentType || '',
+      job_source: SOURCE_NAME
+    };
+  }
+
+  return {
+    name: SOURCE_NAME,
+    fetch,
+    normalize
+  };
+}
+
+module.exports = createAshbySource;
@@ -0,0 +1,70 @@
+/**
+ * @zapply/job-board-shared - Greenhouse Source Adapter
+ *
+ * Fetches published jobs from the public Greenhouse Job Board API
+ * https://developers.greenhouse.io/job-board.html
+ */
+
+const { getJson } = require('./http');
+const { splitLocation, stripHtml, toIsoDate } = require('./normalize');
+
+const SOURCE_NAME = 'greenhouse';
+
+/**
+ * Create a Greenhouse source adapter
+ *
+ * @param {Array<string|Object>} boards - Board tokens, or { token, company } objects
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.baseUrl] - API base URL (default: https://boards-api.greenhouse.io/v1/boards)
+ * @param {Function} [options.getJson] - JSON fetch function (default: ./http getJson)
+ * @returns {Object} - Source adapter { name, fetch, normalize }
+ */
+function createGreenhouseSource(boards, options = {}) {
+  const baseUrl = options.baseUrl || 'https://boards-api.greenhouse.io/v1/boards';
+  const fetchJson = options.getJson || getJson;
+  const boardList = (boards || []).map(b => (typeof b === 'string' ? { token: b, company: b } : b));
+
+  /**
+   * Fetch every board; a failing board is listed in `errors` ([{ board, error }])
+   * and does not discard the others
+   */
+  async function fetch() {
+    const results = [];
+    const errors = [];
+
+    for (const board of boardList) {
+      try {
+        const body = await fetchJson(`${baseUrl}/${encodeURIComponent(board.token)}/jobs?content=true`);
+        (body.jobs || []).forEach(job => results.push({ ...job, _board: board }));
+      } catch (error) {
+        errors.push({ board: board.token, error: error.message });
+      }
+    }
+
+    return { jobs: results, errors };
+  }
+
+  function normalize(raw) {
+    const location = splitLocation(raw.location && raw.location.name);
+
+    return {
+      job_id: `greenhouse-${raw.id}`,
+      job_title: raw.title || '',
+      employer_name: raw.company_name || (raw._board && raw._board.company) || '',
+      ...location,
+      job_apply_link: raw.absolute_url || '',
+      job_description: stripHtml(raw.content),
+      job_posted_at_datetime_utc: toIsoDate(raw.first_published || raw.updated_at),
+      job_employment_type: '',
+      job_source: SOURCE_NAME
+    };
+  }
+
+  return {
+    name: SOURCE_NAME,
+    fetch,
+    normalize
+  };
+}
+
+module.exports = createGreenhouseSource;
@@ -0,0 +1,66 @@
+/**
+ * @zapply/job-board-shared - Source HTTP Helper
+ *
+ * Minimal JSON-over-HTTPS client shared by the job source adapters
+ */
+
+const https = require('https');
+const { getDefaultRateLimiter } = require('../rate-limiter');
+
+/**
+ * Fetch a URL and parse the response body as JSON
+ *
+ * @param {string} url - Absolute https URL
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.timeoutMs=30000] - Socket timeout
+ * @param {Object} [options.rateLimiter] - Per-domain limiter (default: shared limiter)
+ * @returns {Promise<*>} - Parsed JSON body
+ * @throws {Error} - On network errors, timeouts, non-2xx status or invalid JSON
+ */
+function getJson(url, options = {}) {
+  const rateLimiter = options.rateLimiter || getDefaultRateLimiter();
+  return rateLimiter.schedule(url, () => requestJson(url, options));
+}
+
+/**
+ * Perform the GET request (no rate limiting)
+ */
+function requestJson(url, options) {
+  const { headers = {}, timeoutMs = 30000 } = options;
+
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { headers: { Accept: 'application/json', ...headers } }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const error = new Error(`HTTP ${res.statusCode} for ${url}`);
+          error.statusCode = res.statusCode;
+          reject(error);
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error(`Invalid JSON from ${url}: ${error.message}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`Request timeout for ${url}`));
+    });
+  });
+}
+
+module.exports = {
+  getJson
+};
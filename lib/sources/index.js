@@ -0,0 +1,193 @@
+/**
+ * @zapply/job-board-shared - Job Source Registry
+ *
+ * Runs every registered source adapter (JSearch, Greenhouse, Lever, Ashby)
+ * in one pass and returns their jobs in the JSearch-style shape used by
+ * job-processor and readme-generator.
+ *
+ * Each adapter exposes the same interface:
+ *   { name: string, fetch(): Promise<{ jobs, errors }|Array>, normalize(raw): Object }
+ *
+ * Multi-board adapters (Greenhouse, Lever, Ashby) catch failures per board
+ * and return them with that call's jobs as `errors` ([{ board, error }]), so
+ * one bad board token does not discard the jobs from the others. Adapters
+ * without per-board errors may return a plain array of jobs.
+ *
+ * fetchAllJobs is the fetch step for a board: it registers the JSearch
+ * adapter plus any configured ATS boards and runs them through fetchAll.
+ *
+ * Usage:
+ *   const { jobs, errors } = await fetchAllJobs(SEARCH_QUERIES, JSEARCH_API_KEY, {
+ *     greenhouse: [{ token: 'stripe', company: 'Stripe' }],
+ *     tracer
+ *   });
+ *
+ *   // Or build the registry by hand
+ *   const { createSourceRegistry, createGreenhouseSource } = require('./shared/lib/sources');
+ *   const registry = createSourceRegistry()
+ *     .register(createJSearchSource(SEARCH_QUERIES, JSEARCH_API_KEY))
+ *     .register(createGreenhouseSource([{ token: 'stripe', company: 'Stripe' }]));
+ *   const { jobs } = await registry.fetchAll({ tracer });
+ */
+
+const logger = require('../logger');
+const createJSearchSource = require('./jsearch');
+const createGreenhouseSource = require('./greenhouse');
+const createLeverSource = require('./lever');
+const createAshbySource = require('./ashby');
+
+/**
+ * Validate that an object implements the source adapter interface
+ *
+ * @param {Object} adapter - Candidate adapter
+ * @throws {Error} - If a required member is missing
+ */
+function validateAdapter(adapter) {
+  if (!adapter || typeof adapter.name !== 'string' || !adapter.name) {
+    throw new Error('Source adapter must have a non-empty name');
+  }
+
+  if (typeof adapter.fetch !== 'function') {
+    throw new Error(`Source adapter "${adapter.name}" must implement fetch()`);
+  }
+
+  if (typeof adapter.normalize !== 'function') {
+    throw new Error(`Source adapter "${adapter.name}" must implement normalize()`);
+  }
+}
+
+/**
+ * Create an empty source registry
+ *
+ * @returns {Object} - Registry with register, get, list and fetchAll methods
+ */
+function createSourceRegistry() {
+  const adapters = new Map();
+
+  const registry = {
+    /**
+     * Register an adapter (replaces any adapter with the same name)
+     * @returns {Object} - The registry, for chaining
+     */
+    register(adapter) {
+      validateAdapter(adapter);
+      adapters.set(adapter.name, adapter);
+      return registry;
+    },
+
+    get(name) {
+      return adapters.get(name) || null;
+    },
+
+    list() {
+      return Array.from(adapters.keys());
+    },
+
+    /**
+     * Fetch and normalize jobs from every registered source
+     *
+     * A failing source is logged and reported in `errors`; it does not
+     * abort the other sources. Failed boards (the `errors` fetch() returns) and
+     * jobs whose normalize() throws are reported the same way, with `board`
+     * or `job` set.
+     *
+     * @param {Object} [options] - Run options
+     * @param {Object} [options.tracer] - PipelineTracer instance for checkpoints
+     * @returns {Promise<Object>} - { jobs, bySource: { name: count }, errors: [{ source, error, board?, job? }] }
+     */
+    async fetchAll(options = {}) {
+      const { tracer } = options;
+      const jobs = [];
+      const bySource = {};
+      const errors = [];
+
+      for (const adapter of adapters.values()) {
+        const startTime = Date.now();
+
+        try {
+          const result = await adapter.fetch();
+          const rawJobs = Array.isArray(result) ? result : (result && result.jobs);
+          ((result && result.errors) || []).forEach(({ board, error }) => {
+            errors.push({ source: adapter.name, board, error });
+            logger.warn(`Board ${board} failed for ${adapter.name}`, { source: adapter.name, board, error });
+          });
+
+          const normalized = [];
+          (rawJobs || []).forEach(raw => {
+            try {
+              const job = { ...adapter.normalize(raw), job_source: adapter.name };
+              if (job.job_title && job.employer_name) normalized.push(job);
+            } catch (error) {
+              const job = raw && raw.id !== undefined ? raw.id : null;
+              errors.push({ source: adapter.name, job, error: error.message });
+              logger.warn(`Could not normalize a ${adapter.name} job`, { source: adapter.name, job, error: error.message });
+            }
+          });
+
+          bySource[adapter.name] = normalized.length;
+          jobs.push(...normalized);
+
+          logger.info(`Fetched ${normalized.length} jobs from ${adapter.name}`, {
+            source: adapter.name,
+            count: normalized.length,
+            duration: Date.now() - startTime
+          });
+        } catch (error) {
+          bySource[adapter.name] = 0;
+          errors.push({ source: adapter.name, error: error.message });
+          logger.logError(error, `fetch source ${adapter.name}`, { source: adapter.name });
+        }
+      }
+
+      if (tracer) {
+        tracer.checkpoint('fetch_all_sources', jobs, { by_source: bySource, errors });
+      }
+
+      return { jobs, bySource, errors };
+    }
+  };
+
+  return registry;
+}
+
+/**
+ * Fetch jobs from JSearch and any configured ATS boards in one pass
+ *
+ * @param {Array} searchQueries - JSearch search queries
+ * @param {string} apiKey - JSearch API key
+ * @param {Object} [options] - Fetch options
+ * @param {Object} [options.jsearch] - Options passed to createJSearchSource
+ * @param {Array} [options.greenhouse] - Greenhouse boards ({ token, company } or token)
+ * @param {Array} [options.lever] - Lever sites ({ site, company } or site)
+ * @param {Array} [options.ashby] - Ashby boards ({ board, company } or board)
+ * @param {Array<Object>} [options.sources] - Extra source adapters to register
+ * @param {Object} [options.tracer] - PipelineTracer instance for checkpoints
+ * @returns {Promise<Object>} - fetchAll result { jobs, bySource, errors }
+ */
+async function fetchAllJobs(searchQueries, apiKey, options = {}) {
+  const registry = createSourceRegistry()
+    .register(createJSearchSource(searchQueries, apiKey, options.jsearch));
+
+  if (options.greenhouse && options.greenhouse.length > 0) {
+    registry.register(createGreenhouseSource(options.greenhouse));
+  }
+  if (options.lever && options.lever.length > 0) {
+    registry.register(createLeverSource(options.lever));
+  }
+  if (options.ashby && options.ashby.length > 0) {
+    registry.register(createAshbySource(options.ashby));
+  }
+  (options.sources || []).forEach(adapter => registry.register(adapter));
+
+  return registry.fetchAll({ tracer: options.tracer });
+}
+
+module.exports = {
+  createSourceRegistry,
+  fetchAllJobs,
+  validateAdapter,
+  createJSearchSource,
+  createGreenhouseSource,
+  createLeverSource,
+  createAshbySource
+};
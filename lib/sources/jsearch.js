@@ -0,0 +1,43 @@
+/**
+ * @zapply/job-board-shared - JSearch Source Adapter
+ *
+ * Wraps createJSearchFetcher so JSearch runs through the source registry
+ * alongside the ATS adapters
+ */
+
+const createJSearchFetcher = require('../jsearch-fetcher');
+
+const SOURCE_NAME = 'jsearch';
+
+/**
+ * Create a JSearch source adapter
+ *
+ * @param {Array<string>} searchQueries - Domain-specific search queries
+ * @param {string} apiKey - JSearch API key
+ * @param {Object} [options] - Passed through to createJSearchFetcher
+ * @param {Object} [options.fetcher] - Pre-built fetcher instance (skips createJSearchFetcher)
+ * @returns {Object} - Source adapter { name, fetch, normalize }
+ */
+function createJSearchSource(searchQueries, apiKey, options = {}) {
+  const fetcher = options.fetcher || createJSearchFetcher(searchQueries, apiKey, options);
+
+  async function fetch() {
+    return { jobs: await fetcher.fetchAllJSearchJobs(), errors: [] };
+  }
+
+  // JSearch payloads already use the job_* field names the pipeline expects
+  function normalize(raw) {
+    return {
+      ...raw,
+      job_source: SOURCE_NAME
+    };
+  }
+
+  return {
+    name: SOURCE_NAME,
+    fetch,
+    normalize
+  };
+}
+
+module.exports = createJSearchSource;
@@ -0,0 +1,78 @@
+/**
+ * @zapply/job-board-shared - Lever Source Adapter
+ *
+ * Fetches published postings from the public Lever Postings API
+ * https://github.com/lever/postings-api
+ */
+
+const { getJson } = require('./http');
+const { splitLocation, toIsoDate } = require('./normalize');
+
+const SOURCE_NAME = 'lever';
+
+/**
+ * Create a Lever source adapter
+ *
+ * @param {Array<string|Object>} companies - Lever site names, or { site, company } objects
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.baseUrl] - API base URL (default: https://api.lever.co/v0/postings)
+ * @param {Function} [options.getJson] - JSON fetch function (default: ./http getJson)
+ * @returns {Object} - Source adapter { name, fetch, normalize }
+ */
+function createLeverSource(companies, options = {}) {
+  const baseUrl = options.baseUrl || 'https://api.lever.co/v0/postings';
+  const fetchJson = options.getJson || getJson;
+  const siteList = (companies || []).map(c => (typeof c === 'string' ? { site: c, company: c } : c));
+
+  /**
+   * Fetch every site; a failing site is listed in `errors` ([{ board, error }])
+   * and does not discard the others
+   */
+  async function fetch() {
+    const results = [];
+    const errors = [];
+
+    for (const site of siteList) {
+      try {
+        const body = await fetchJson(`${baseUrl}/${encodeURIComponent(site.site)}?mode=json`);
+        (Array.isArray(body) ? body : []).forEach(posting => results.push({ ...posting, _site: site }));
+      } catch (error) {
+        errors.push({ board: site.site, error: error.message });
+      }
+    }
+
+    return { jobs: results, errors };
+  }
+
+  function normalize(raw) {
+    const categories = raw.categories || {};
+    const location = splitLocation(categories.location);
+
+    if (!location.job_country && raw.country) {
+      location.job_country = raw.country;
+    }
+    if (raw.workplaceType === 'remote' && !location.job_city) {
+      location.job_city = 'Remote';
+    }
+
+    return {
+      job_id: `lever-${raw.id}`,
+      job_title: raw.text || '',
+      employer_name: (raw._site && raw._site.company) || '',
+      ...location,
+      job_apply_link: raw.hostedUrl || raw.applyUrl || '',
+      job_description: raw.descriptionPlain || '',
+      job_posted_at_datetime_utc: toIsoDate(raw.createdAt),
+      job_employment_type: categories.commitment || '',
+      job_source: SOURCE_NAME
+    };
+  }
+
+  return {
+    name: SOURCE_NAME,
+    fetch,
+    normalize
+  };
+}
+
+module.exports = createLeverSource;
@@ -0,0 +1,77 @@
+/**
+ * @zapply/job-board-shared - Source Normalization Helpers
+ *
+ * Shared helpers for mapping ATS payloads onto the JSearch-style job shape
+ * consumed by job-processor and readme-generator
+ */
+
+/**
+ * Split a free-text location ("Austin, TX", "Remote - US") into city/state/country
+ *
+ * @param {string} location - Raw location string
+ * @returns {Object} - { job_city, job_state, job_country }
+ *
+ * @example
+ * splitLocation('San Francisco, CA, United States');
+ * // Returns: { job_city: 'San Francisco', job_state: 'CA', job_country: 'United States' }
+ */
+function splitLocation(location) {
+  const raw = (location || '').trim();
+
+  if (!raw) {
+    return { job_city: '', job_state: '', job_country: '' };
+  }
+
+  if (/\bremote\b/i.test(raw)) {
+    const rest = raw.replace(/\bremote\b/i, '').replace(/^[\s,\-–()]+|[\s,\-–()]+$/g, '');
+    return { job_city: 'Remote', job_state: '', job_country: rest };
+  }
+
+  const parts = raw.split(',').map(p => p.trim()).filter(Boolean);
+
+  return {
+    job_city: parts[0] || '',
+    job_state: parts[1] || '',
+    job_country: parts.slice(2).join(', ')
+  };
+}
+
+/**
+ * Strip HTML tags and decode the handful of entities ATS APIs emit
+ *
+ * @param {string} html - HTML (possibly entity-escaped) content
+ * @returns {string} - Plain text
+ */
+function stripHtml(html) {
+  if (!html) return '';
+
+  return String(html)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Convert an epoch (ms) or date string into an ISO-8601 UTC string
+ *
+ * @param {number|string} value - Timestamp
+ * @returns {string|null} - ISO string, or null when unparseable
+ */
+function toIsoDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = {
+  splitLocation,
+  stripHtml,
+  toIsoDate
+};
@@ -0,0 +1,291 @@
+/**
+ * @zapply/job-board-shared - Job Store Backends
+ *
+ * The job processor keeps its documents (seen_jobs, current_jobs, new_jobs,
+ * run_diff, job_archive) in a storage backend, which reads and writes them by name:
+ * - json:   <dataDir>/<name>.json files (atomic writes; the default)
+ * - sqlite: one row per document in <dataDir>/jobs.sqlite
+ *           (node:sqlite on Node 22.5+, otherwise the better-sqlite3 package)
+ * - memory: an in-process Map, for tests
+ *
+ * The backend is chosen by the `storage` section of config/api-limits.js,
+ * overridden by JOB_STORAGE_BACKEND / JOB_STORAGE_DIR or createStorage options.
+ * Store helpers that are not handed a backend share one per backend and
+ * directory (getDefaultStorage), so a run opens the sqlite database once.
+ *
+ * Usage:
+ *   const { createStorage } = require('./shared/lib/storage');
+ *   const storage = createStorage({ backend: 'sqlite', dataDir: '/tmp/board' });
+ *   storage.write('current_jobs', jobs);
+ *   const jobs = storage.read('current_jobs', []);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { storage: storageConfig } = require('../config/api-limits');
+
+/**
+ * JSON-file backend: one <name>.json file per document
+ *
+ * @param {Object} [options] - Backend options
+ * @param {string} [options.dataDir] - Directory holding the files (default: .github/data)
+ * @returns {Object} - Storage with read, write, remove and close methods
+ */
+function createJsonStorage(options = {}) {
+  const dataDir = path.resolve(options.dataDir || path.join(process.cwd(), '.github', 'data'));
+  const fileFor = name => path.join(dataDir, `${name}.json`);
+
+  return {
+    backend: 'json',
+    dataDir,
+    fileFor,
+
+    read(name, fallback = null) {
+      const file = fileFor(name);
+      try {
+        if (!fs.existsSync(file)) {
+          return fallback;
+        }
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return data === null ? fallback : data;
+      } catch (error) {
+        logger.error(`Error loading ${name}`, { error: error.message, file });
+        return fallback;
+      }
+    },
+
+    write(name, data) {
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      const tempPath = path.join(dataDir, `${name}.tmp.json`);
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+      fs.renameSync(tempPath, fileFor(name));
+    },
+
+    remove(name) {
+      const file = fileFor(name);
+      if (!fs.existsSync(file)) return false;
+      fs.unlinkSync(file);
+      return true;
+    },
+
+    close() {}
+  };
+}
+
+/**
+ * Open a synchronous SQLite database (node:sqlite, else better-sqlite3)
+ */
+function openSqliteDatabase(file) {
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(file);
+  } catch (error) {
+    // node:sqlite needs Node 22.5+
+  }
+
+  try {
+    const Database = require('better-sqlite3');
+    return new Database(file);
+  } catch (error) {
+    throw new Error('SQLite storage needs Node 22.5+ (node:sqlite) or the better-sqlite3 package');
+  }
+}
+
+/**
+ * SQLite backend: documents stored as JSON in a `documents` table
+ *
+ * @param {Object} [options] - Backend options
+ * @param {string} [options.dataDir] - Directory for the database (default: .github/data)
+ * @param {string} [options.file] - Database path (default: <dataDir>/<config sqliteFile>, ':memory:' allowed)
+ * @param {Function} [options.openDatabase] - (file) => database with the node:sqlite / better-sqlite3
+ *   exec and prepare API (default: openSqliteDatabase)
+ * @returns {Object} - Storage with read, write, remove and close methods
+ */
+function createSqliteStorage(options = {}) {
+  const dataDir = path.resolve(options.dataDir || path.join(process.cwd(), '.github', 'data'));
+  const file = options.file || path.join(dataDir, storageConfig.sqliteFile);
+
+  if (file !== ':memory:' && !fs.existsSync(path.dirname(file))) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  const db = (options.openDatabase || openSqliteDatabase)(file);
+  db.exec('CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at TEXT NOT NULL)');
+
+  const select = db.prepare('SELECT data FROM documents WHERE name = ?');
+  const upsert = db.prepare(
+    'INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?) ' +
+    'ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at'
+  );
+  const del = db.prepare('DELETE FROM documents WHERE name = ?');
+
+  return {
+    backend: 'sqlite',
+    dataDir,
+    file,
+
+    read(name, fallback = null) {
+      try {
+        const row = select.get(name);
+        return row ? JSON.parse(row.data) : fallback;
+      } catch (error) {
+        logger.error(`Error loading ${name}`, { error: error.message, file });
+        return fallback;
+      }
+    },
+
+    write(name, data) {
+      upsert.run(name, JSON.stringify(data), new Date().toISOString());
+    },
+
+    remove(name) {
+      return del.run(name).changes > 0;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * In-memory backend (documents are copied in and out, as if serialized)
+ *
+ * @param {Object} [options] - Backend options
+ * @param {Object} [options.documents] - Initial documents by name
+ * @returns {Object} - Storage with read, write, remove and close methods
+ */
+function createMemoryStorage(options = {}) {
+  const copy = data => JSON.parse(JSON.stringify(data));
+  const documents = new Map(Object.entries(options.documents || {}).map(([name, data]) => [name, copy(data)]));
+
+  return {
+    backend: 'memory',
+    documents,
+
+    read(name, fallback = null) {
+      return documents.has(name) ? copy(documents.get(name)) : fallback;
+    },
+
+    write(name, data) {
+      documents.set(name, copy(data));
+    },
+
+    remove(name) {
+      return documents.delete(name);
+    },
+
+    close() {}
+  };
+}
+
+/**
+ * Dry-run wrapper: reads come from the wrapped backend, writes are kept in
+ * memory (and read back) so a run can be computed without changing anything
+ *
+ * @param {Object} storage - Backend to read from
+ * @returns {Object} - Storage with read, write, remove and close methods, plus `writes`
+ */
+function createDryRunStorage(storage) {
+  const copy = data => JSON.parse(JSON.stringify(data));
+  const writes = new Map();
+
+  return {
+    backend: storage.backend,
+    dryRun: true,
+    writes,
+
+    read(name, fallback = null) {
+      if (writes.has(name)) {
+        const data = writes.get(name);
+        return data === undefined ? fallback : copy(data);
+      }
+      return storage.read(name, fallback);
+    },
+
+    write(name, data) {
+      writes.set(name, copy(data));
+    },
+
+    remove(name) {
+      const existed = writes.has(name) ? writes.get(name) !== undefined : storage.read(name, undefined) !== undefined;
+      writes.set(name, undefined);
+      return existed;
+    },
+
+    close() {
+      storage.close();
+    }
+  };
+}
+
+const BACKENDS = {
+  json: createJsonStorage,
+  sqlite: createSqliteStorage,
+  memory: createMemoryStorage
+};
+
+/**
+ * Create the configured storage backend
+ *
+ * @param {Object} [options] - Backend options (passed through to the backend)
+ * @param {string} [options.backend] - 'json', 'sqlite' or 'memory' (default: JOB_STORAGE_BACKEND, then config)
+ * @param {string} [options.dataDir] - Data directory (default: JOB_STORAGE_DIR, then config, relative to cwd)
+ * @returns {Object} - Storage with read, write, remove and close methods
+ */
+function createStorage(options = {}) {
+  const backend = options.backend || process.env.JOB_STORAGE_BACKEND || storageConfig.backend;
+  const factory = BACKENDS[backend];
+
+  if (!factory) {
+    throw new Error(`Unknown storage backend: ${backend} (expected ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  const dataDir = options.dataDir || process.env.JOB_STORAGE_DIR || path.join(process.cwd(), storageConfig.dataDir);
+  return factory({ ...options, dataDir });
+}
+
+// Default backends by backend name and data directory (see getDefaultStorage)
+const defaultStorages = new Map();
+
+/**
+ * The configured backend, created once per backend and data directory
+ *
+ * Used by the store helpers when no `storage` is passed, so repeated calls
+ * share one backend (and one sqlite connection) instead of opening a new
+ * one each time.
+ *
+ * @returns {Object} - Storage with read, write, remove and close methods
+ */
+function getDefaultStorage() {
+  const backend = process.env.JOB_STORAGE_BACKEND || storageConfig.backend;
+  const dataDir = path.resolve(process.env.JOB_STORAGE_DIR || path.join(process.cwd(), storageConfig.dataDir));
+  const key = `${backend}:${dataDir}`;
+
+  if (!defaultStorages.has(key)) {
+    defaultStorages.set(key, createStorage({ backend, dataDir }));
+  }
+  return defaultStorages.get(key);
+}
+
+/**
+ * Close and forget every backend created by getDefaultStorage
+ */
+function closeDefaultStorages() {
+  defaultStorages.forEach(storage => storage.close());
+  defaultStorages.clear();
+}
+
+module.exports = {
+  createStorage,
+  getDefaultStorage,
+  closeDefaultStorages,
+  createJsonStorage,
+  createSqliteStorage,
+  createMemoryStorage,
+  createDryRunStorage
+};
@@ -7,7 +7,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const { toCanonical } = require('./job-schema');
+const { classifySeniority } = require('./seniority');
+const { categorizeJob } = require('./categorizer');
 
 // Company database (loaded from file in repo, fallback to empty object)
 let companies = {};
@@ -40,7 +42,8 @@ function initCompanyDatabase(companiesData) {
  * @returns {string} - Normalized job ID
  */
 function generateEnhancedId(job) {
-  let title = (job.title || job.job_title || '').toLowerCase().trim();
+  const canonical = toCanonical(job);
+  let title = canonical.title.toLowerCase().trim();
 
   // Normalize Roman numerals BEFORE replacing spaces
   title = title
@@ -56,7 +59,7 @@ function generateEnhancedId(job) {
     .replace(/\s+/g, '-');
 
   // Normalize company name
-  let company = (job.company_name || job.employer_name || job.company || '')
+  let company = canonical.company
     .toLowerCase()
     .trim()
     .replace(/\s+(inc\.?|incorporated|llc|corp\.?|corporation|ltd\.?|limited)$/i, '')
@@ -68,13 +71,7 @@ function generateEnhancedId(job) {
     .replace(/\s+/g, '-');
 
   // Normalize location
-  let city = '';
-  if (job.locations && Array.isArray(job.locations) && job.locations.length > 0) {
-    city = job.locations[0].toLowerCase().trim();
-  } else {
-    city = (job.job_city || job.location || '').toLowerCase().trim();
-  }
-  city = city.replace(/\s+/g, '-');
+  const city = canonical.location.toLowerCase().trim().replace(/\s+/g, '-');
 
   // Remove special characters
   const normalize = (str) => str
@@ -85,53 +82,50 @@ function generateEnhancedId(job) {
   return `${normalize(company)}-${normalize(title)}-${normalize(city)}`;
 }
 
+// id-strategy.js strategies by scheme, created on first use
+const idStrategies = new Map();
+
+/**
+ * Job ID with one of the id-strategy.js schemes
+ *
+ * id-strategy.js builds its schemes from this module, so it is required on
+ * first use rather than at load time.
+ */
+function generateIdWithScheme(scheme, job) {
+  if (!idStrategies.has(scheme)) {
+    idStrategies.set(scheme, require('./id-strategy').createIdStrategy({ scheme }));
+  }
+  return idStrategies.get(scheme).generate(job);
+}
+
 /**
- * Generate job ID using URL (most reliable)
+ * Generate job ID using URL (most reliable) - the url-v1 scheme
  *
  * @param {Object} job - Job data
  * @returns {string} - Job ID
  */
 function generateJobIdFromUrl(job) {
-  const jobUrl = job.url || job.job_apply_link;
-
-  if (jobUrl) {
-    try {
-      const urlObj = new URL(jobUrl);
-      const normalized = urlObj.hostname + urlObj.pathname.replace(/\/$/, '');
-      return normalized.toLowerCase().replace(/[^\w]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-    } catch (e) {
-      // Invalid URL, fall through
-    }
-  }
-
-  return generateEnhancedId(job);
+  return generateIdWithScheme('url-v1', job);
 }
 
 /**
- * Generate job ID using SHA-256 hash (crypto-based)
+ * Generate job ID using SHA-256 hash (crypto-based) - the hash-canonical-v1 scheme
  *
  * @param {Object} job - Job data
  * @returns {string} - 8-character hex ID
  */
 function generateJobIdHash(job) {
-  const company = normalizeCompanyNameStr(job.company_name || job.employer_name || job.company || '');
-  const title = (job.title || job.job_title || '').toLowerCase().trim();
-  const location = job.location || job.job_city || '';
-
-  const hashInput = `${company}|${title}|${location}`.toLowerCase().trim();
-  const hash = crypto.createHash('sha256').update(hashInput).digest('hex');
-
-  return hash.substring(0, 8);
+  return generateIdWithScheme('hash-canonical-v1', job);
 }
 
 /**
- * Generate job ID (unified function - tries URL first, then hash)
+ * Generate job ID (unified function) - the default scheme, url-v1
  *
  * @param {Object} job - Job data
  * @returns {string} - Job ID
  */
 function generateJobId(job) {
-  return generateJobIdFromUrl(job);
+  return generateIdWithScheme(undefined, job);
 }
 
 /**
@@ -141,7 +135,8 @@ function generateJobId(job) {
  * @returns {string} - Fingerprint hash
  */
 function generateJobFingerprint(job) {
-  let title = (job.title || job.job_title || '').toLowerCase().trim();
+  const canonical = toCanonical(job);
+  let title = canonical.title.toLowerCase().trim();
 
   // Remove seniority variations
   title = title
@@ -151,15 +146,8 @@ function generateJobFingerprint(job) {
     .replace(/\s+/g, ' ')
     .trim();
 
-  const company = normalizeCompanyNameStr(job.company_name || job.employer_name || job.company || '');
-
-  let location = '';
-  if (job.locations && Array.isArray(job.locations) && job.locations.length > 0) {
-    location = job.locations[0].split(',')[0];
-  } else {
-    location = (job.job_city || job.location || '').split(',')[0];
-  }
-  location = location.toLowerCase().trim();
+  const company = normalizeCompanyNameStr(canonical.company);
+  const location = canonical.location.split(',')[0].toLowerCase().trim();
 
   return `${company}::${title}::${location}`;
 }
@@ -171,7 +159,8 @@ function generateJobFingerprint(job) {
  * @returns {string} - Minimal fingerprint
  */
 function generateMinimalJobFingerprint(job) {
-  let title = (job.title || job.job_title || '').toLowerCase().trim();
+  const canonical = toCanonical(job);
+  let title = canonical.title.toLowerCase().trim();
 
   // Minimal normalization
   title = title
@@ -179,15 +168,8 @@ function generateMinimalJobFingerprint(job) {
     .replace(/\s+/g, ' ')
     .trim();
 
-  const company = normalizeCompanyNameStr(job.company_name || job.employer_name || job.company || '');
-
-  let location = '';
-  if (job.locations && Array.isArray(job.locations) && job.locations.length > 0) {
-    location = job.locations[0].split(',')[0];
-  } else {
-    location = (job.job_city || job.location || '').split(',')[0];
-  }
-  location = location.toLowerCase().trim();
+  const company = normalizeCompanyNameStr(canonical.company);
+  const location = canonical.location.split(',')[0].toLowerCase().trim();
 
   return `${company}::${title}::${location}`;
 }
@@ -366,107 +348,32 @@ function isUSOnlyJob(job, config) {
 /**
  * Get experience level from job data
  *
+ * Uses the weighted seniority classifier (see seniority.js); jobs with no
+ * signals default to Entry-Level.
+ *
  * @param {string} title - Job title
  * @param {string} description - Job description
- * @param {Object} config - Configuration object (optional)
+ * @param {Object} config - Configuration object (optional; its `categories` supply the signals)
  * @returns {string} - Experience level
  */
 function getExperienceLevel(title, description = '', config) {
-  const text = `${title} ${description}`.toLowerCase();
-
-  // If config provided with experience levels, use it
-  if (config && config.categories && config.categories.experienceLevels) {
-    const levels = config.categories.experienceLevels;
-
-    // Check Senior
-    if (levels['Senior'] && levels['Senior'].some(keyword => text.includes(keyword))) {
-      return 'Senior';
-    }
-
-    // Check Entry-Level
-    if (levels['Entry-Level'] && levels['Entry-Level'].some(keyword => text.includes(keyword))) {
-      return 'Entry-Level';
-    }
-
-    // Check Mid-Level
-    if (levels['Mid-Level'] && levels['Mid-Level'].some(keyword => text.includes(keyword))) {
-      return 'Mid-Level';
-    }
-  }
-
-  // Fallback to default logic
-  if (text.includes('senior') || text.includes('sr.') || text.includes('lead') ||
-      text.includes('principal') || text.includes('staff') || text.includes('architect')) {
-    return 'Senior';
-  }
-
-  if (text.includes('entry') || text.includes('junior') || text.includes('jr.') ||
-      text.includes('new grad') || text.includes('graduate') || text.includes('intern') ||
-      text.includes('associate') || text.includes('level 1') || text.includes('l1') ||
-      text.includes('campus') || text.includes('student') || text.includes('early career')) {
-    return 'Entry-Level';
-  }
-
-  // CRITICAL FIX 2026-02-11: Default to Entry-Level instead of Mid-Level
-  // Reason: JSearch API already filters for under_3_years_experience, so jobs without
-  // obvious keywords are likely entry-level. This prevents 100% rejection of JSearch jobs.
-  // TODO: When migrating to centralized aggregator, repos will control their own filtering
-  return 'Entry-Level';
+  const options = config && config.categories ? { categories: config.categories } : {};
+  return classifySeniority({ title, description }, options).level;
 }
 
 /**
  * Get job category from title/description
  *
+ * Returns the top-ranked label from the categorizer (see categorizer.js).
+ *
  * @param {string} title - Job title
  * @param {string} description - Job description
- * @param {Object} config - Configuration object (optional)
+ * @param {Object} config - Configuration object (optional; its `categories` supply the keywords)
  * @returns {string} - Job category
  */
 function getJobCategory(title, description = '', config) {
-  const text = `${title} ${description}`.toLowerCase();
-
-  // If config provided with keywords, use it
-  if (config && config.categories && config.categories.keywords) {
-    for (const [category, keywords] of Object.entries(config.categories.keywords)) {
-      if (Array.isArray(keywords) && keywords.some(keyword => text.includes(keyword))) {
-        return category;
-      }
-    }
-  }
-
-  // Fallback to default logic
-  if (text.includes('ios') || text.includes('android') || text.includes('mobile')) {
-    return 'Mobile Development';
-  }
-  if (text.includes('frontend') || text.includes('front-end') || text.includes('react') || text.includes('vue')) {
-    return 'Frontend Development';
-  }
-  if (text.includes('backend') || text.includes('back-end') || text.includes('api') || text.includes('server')) {
-    return 'Backend Development';
-  }
-  if (text.includes('machine learning') || text.includes('ml ') || text.includes('ai ') || text.includes('deep learning')) {
-    return 'Machine Learning & AI';
-  }
-  if (text.includes('data scientist') || text.includes('data analyst') || text.includes('analytics')) {
-    return 'Data Science & Analytics';
-  }
-  if (text.includes('devops') || text.includes('infrastructure') || text.includes('cloud')) {
-    return 'DevOps & Infrastructure';
-  }
-  if (text.includes('security') || text.includes('cybersecurity')) {
-    return 'Security Engineering';
-  }
-  if (text.includes('product manager') || text.includes('pm ')) {
-    return 'Product Management';
-  }
-  if (text.includes('design') || text.includes('ux') || text.includes('ui')) {
-    return 'Design';
-  }
-  if (text.includes('full stack') || text.includes('fullstack')) {
-    return 'Full Stack Development';
-  }
-
-  return 'Software Engineering';
+  const options = config && config.categories ? { categories: config.categories } : {};
+  return categorizeJob({ title, description }, options).category;
 }
 
 /**